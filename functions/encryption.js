@@ -0,0 +1,77 @@
+import { Buffer } from 'node:buffer'
+import { createCipheriv, createDecipheriv, createHmac, pbkdf2Sync, randomBytes } from 'node:crypto'
+
+// ----------------------
+// CONFIG
+// ----------------------
+// Format matches the PINs previously encrypted in the browser with WebCrypto:
+// base64(iv | ciphertext | authTag), AES-256-GCM with a PBKDF2-SHA256 derived key
+const IV_LENGTH = 12
+const AUTH_TAG_LENGTH = 16
+const KEY_SALT = 'salt'
+const KEY_ITERATIONS = 100000
+
+// PBKDF2 is deliberately slow, so derived keys are cached per secret for the life of the instance
+const keyCache = new Map()
+
+/**
+ * Derive the AES-256 key for a secret
+ * @param {string} secret - Encryption secret
+ * @returns {Buffer} 32 byte key
+ */
+const getKey = (secret) => {
+  if (!secret) {
+    throw new Error('PIN encryption secret is not configured')
+  }
+  if (!keyCache.has(secret)) {
+    keyCache.set(secret, pbkdf2Sync(secret, KEY_SALT, KEY_ITERATIONS, 32, 'sha256'))
+  }
+  return keyCache.get(secret)
+}
+
+// ----------------------
+// FUNCTIONS
+// ----------------------
+
+/**
+ * Encrypt a PIN for storage on the bucket document
+ * @param {string} pin - Raw PIN code
+ * @param {string} secret - Encryption secret
+ * @returns {string} Base64 encoded IV, ciphertext and auth tag
+ */
+export const encryptPIN = (pin, secret) => {
+  const iv = randomBytes(IV_LENGTH)
+  const cipher = createCipheriv('aes-256-gcm', getKey(secret), iv)
+  const ciphertext = Buffer.concat([cipher.update(pin, 'utf8'), cipher.final()])
+  return Buffer.concat([iv, ciphertext, cipher.getAuthTag()]).toString('base64')
+}
+
+/**
+ * Decrypt a PIN stored on a bucket document
+ * @param {string} encryptedData - Base64 encoded IV, ciphertext and auth tag
+ * @param {string} secret - Encryption secret
+ * @returns {string} Raw PIN code
+ */
+export const decryptPIN = (encryptedData, secret) => {
+  const data = Buffer.from(encryptedData, 'base64')
+  const iv = data.subarray(0, IV_LENGTH)
+  const authTag = data.subarray(data.length - AUTH_TAG_LENGTH)
+  const ciphertext = data.subarray(IV_LENGTH, data.length - AUTH_TAG_LENGTH)
+
+  const decipher = createDecipheriv('aes-256-gcm', getKey(secret), iv)
+  decipher.setAuthTag(authTag)
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8')
+}
+
+/**
+ * Compute the lookup hash for a PIN (HMAC-SHA256, base64 encoded)
+ * @param {string} pin - Raw PIN code
+ * @param {string} secret - HMAC secret
+ * @returns {string} Hashed PIN
+ */
+export const hashPIN = (pin, secret) => {
+  if (!secret) {
+    throw new Error('PIN HMAC secret is not configured')
+  }
+  return createHmac('sha256', secret).update(pin).digest('base64')
+}
@@ -1,85 +1,2310 @@
+import { Buffer } from 'node:buffer'
+import { createHash, randomBytes, randomInt, randomUUID, scrypt, timingSafeEqual } from 'node:crypto'
+import process from 'node:process'
+import { promisify } from 'node:util'
 import { initializeApp } from 'firebase-admin/app'
+import { getAuth } from 'firebase-admin/auth'
 import fetch from 'node-fetch'
 import { logger } from 'firebase-functions'
+import { defineSecret, defineString } from 'firebase-functions/params'
 import { onSchedule } from 'firebase-functions/v2/scheduler'
-import { getFirestore } from 'firebase-admin/firestore'
+import { onDocumentCreated, onDocumentWritten, onDocumentUpdated, onDocumentDeleted } from 'firebase-functions/v2/firestore'
+import { getFirestore, FieldValue } from 'firebase-admin/firestore'
 import { getStorage } from 'firebase-admin/storage'
-import { onCall, HttpsError } from 'firebase-functions/v2/https'
+import archiver from 'archiver'
+import { onCall, onRequest, HttpsError } from 'firebase-functions/v2/https'
+import { encryptPIN, decryptPIN, hashPIN } from './encryption.js'
+import { createMailer } from './mailer.js'
 
 // Initialize Firebase Admin
 initializeApp()
 
+// PIN secrets are held in Secret Manager and never reach the client.
+// The LEGACY_ pair holds the values that used to ship in the web bundle (VITE_ENCRYPTION_SECRET
+// and VITE_HMAC_SECRET); they are only needed to read buckets that rekeyBucketPins has not migrated yet.
+const pinEncryptionSecret = defineSecret('PIN_ENCRYPTION_SECRET')
+const pinHmacSecret = defineSecret('PIN_HMAC_SECRET')
+const legacyPinEncryptionSecret = defineSecret('LEGACY_PIN_ENCRYPTION_SECRET')
+const legacyPinHmacSecret = defineSecret('LEGACY_PIN_HMAC_SECRET')
+
+// Outgoing mail: SMTP_URL picks the transport (smtp://, smtps:// or log:// to only log messages)
+const smtpUrl = defineSecret('SMTP_URL')
+const mailFrom = defineString('MAIL_FROM', { default: 'DropSto <no-reply@dropsto.app>' })
+
+// Buckets sealed with the server-held secrets carry this pinKeyVersion
+const PIN_KEY_VERSION = 2
+
+// Rate limiting thresholds for PIN lookups (attempts are counted per rolling window)
+const SECURITY = {
+  PIN_ATTEMPTS_BEFORE_CAPTCHA: 3,
+  PIN_ATTEMPTS_BEFORE_TIMEOUT: 10,
+  PIN_TIMEOUT_MINUTES: 60,
+  // A PIN prefix is shared by many legitimate users, so it only ever escalates to reCAPTCHA
+  PREFIX_ATTEMPTS_BEFORE_CAPTCHA: 20,
+  PREFIX_LENGTH: 7, // 'drop-' plus the first two PIN characters
+  // Access granted by a PIN lasts this long before the PIN has to be entered again
+  PIN_SESSION_MINUTES: 60,
+  // Custom claims are capped at 1000 bytes, so only the most recent grants are kept
+  MAX_PIN_GRANTS: 10
+}
+
+// Optional bucket passwords, asked for after the PIN. They are stored as salted scrypt hashes
+// in bucketSecrets/{bucketId}, which clients can't read.
+const BUCKET_PASSWORD = {
+  MIN_LENGTH: 8,
+  MAX_LENGTH: 128,
+  SALT_BYTES: 16,
+  KEY_LENGTH: 64
+}
+
+// Collaborator roles, kept by email in a bucket's collaboratorRoles map. Viewers can only read,
+// uploaders can also add files, editors can also rename, move and delete them. Collaborators
+// added before roles existed have no entry and keep the full access they had.
+const COLLABORATOR_ROLES = ['viewer', 'uploader', 'editor']
+const DEFAULT_COLLABORATOR_ROLE = 'editor'
+
+// UIDs of the custom-token users created for visitors who open a bucket by PIN
+const PIN_SESSION_UID_PREFIX = 'pin-'
+
+const PIN_PATTERN = /^drop-[A-Za-z0-9]{4,8}$/
+
+// Bucket lifetime limits; buckets without expiresAt expire DEFAULT_HOURS after creation
+const BUCKET_EXPIRY = {
+  MIN_HOURS: 1,
+  MAX_HOURS: 30 * 24,
+  DEFAULT_HOURS: 7 * 24,
+  // Owners are warned once a bucket is this close to being purged
+  WARNING_HOURS: 24
+}
+
+// Deleted files stay restorable in the trash for this long before cleanupBuckets purges them
+const TRASH_RETENTION_DAYS = 7
+
+// Signed download URLs stop working after this long; clients ask for new ones as needed
+const SIGNED_URL_MINUTES = 15
+const MAX_SIGNED_URLS_PER_CALL = 100
+
+// How a file was downloaded, recorded on each download event
+const DOWNLOAD_CHANNELS = ['single', 'zip', 'preview']
+
+// Per-user storage limit, also enforced by storage.rules (STORAGE_LIMITS in the app)
+const STORAGE_LIMIT_BYTES = 500 * 1024 * 1024
+
+// Encrypted buckets: PBKDF2 rounds and salt size for the content key, which the browser derives
+// from the PIN and the owner's passphrase. Only the salt and a key check are stored here.
+const BUCKET_KEY_ITERATIONS = 600000
+const BUCKET_KEY_SALT_BYTES = 16
+
+// Most files a selection-based call (ZIP of selected files, moves and copies) takes at once
+const MAX_FILES_PER_BULK_CALL = 500
+
+// ZIP export tickets must be redeemed this soon after createZipExport issues them
+const ZIP_EXPORT_TICKET_MINUTES = 5
+// Region exportBucketZip is deployed to. Browsers are sent to the function's own URL, so ZIP
+// downloads don't depend on a rewrite from whichever host serves the app
+const ZIP_EXPORT_REGION = 'us-central1'
+// How often a running export reports its progress
+const ZIP_EXPORT_PROGRESS_INTERVAL_MS = 2000
+
+// New PINs start at drop-XXXX and grow a character whenever the reserved share of the
+// current keyspace passes MAX_OCCUPANCY, which keeps random collisions rare
+const PIN_ALLOCATION = {
+  CHARACTERS: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789',
+  MIN_LENGTH: 4,
+  MAX_LENGTH: 8,
+  MAX_OCCUPANCY: 0.01,
+  MAX_ATTEMPTS: 10
+}
+
+/**
+ * Get the client IP address from the raw HTTP request behind a callable
+ * @param {object} req - Express request object
+ * @returns {string} Client IP address
+ */
+const getClientIP = (req) => {
+  if (!req) return 'unknown'
+  const xForwardedFor = req.headers && req.headers['x-forwarded-for']
+  if (xForwardedFor) {
+    // x-forwarded-for may contain a list of IPs, take the first one
+    return xForwardedFor.split(',')[0].trim()
+  }
+  if (req.headers && req.headers['x-real-ip']) {
+    return req.headers['x-real-ip']
+  }
+  return req.ip || 'unknown'
+}
+
+/**
+ * One-way hash used to key rate limit documents without storing raw IPs
+ * @param {string} value - Value to hash
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+const sha256 = (value) => createHash('sha256').update(value).digest('hex')
+
+const scryptAsync = promisify(scrypt)
+
+/**
+ * Hash a bucket password with scrypt
+ * @param {string} password - Password
+ * @param {Buffer} salt - Random salt
+ * @returns {Promise<Buffer>} Derived key
+ */
+const hashBucketPassword = (password, salt) =>
+  scryptAsync(password.normalize('NFKC'), salt, BUCKET_PASSWORD.KEY_LENGTH)
+
+/**
+ * Check a password against a bucket's stored hash
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} bucketId - Bucket ID
+ * @param {string} password - Password to check
+ * @returns {Promise<boolean>} True if it matches
+ */
+const verifyBucketPassword = async (db, bucketId, password) => {
+  const secretDoc = await db.collection('bucketSecrets').doc(bucketId).get()
+  if (!secretDoc.exists) {
+    return false
+  }
+  const expected = Buffer.from(secretDoc.get('passwordHash'), 'hex')
+  const actual = await hashBucketPassword(password, Buffer.from(secretDoc.get('passwordSalt'), 'hex'))
+  return timingSafeEqual(expected, actual)
+}
+
+/**
+ * Encrypt and hash a PIN with the current server-held secrets
+ * @param {string} pin - Raw PIN code
+ * @returns {{encryptedPin: string, hashedPin: string, pinKeyVersion: number}} Sealed PIN fields
+ */
+const sealPinCode = (pin) => ({
+  encryptedPin: encryptPIN(pin, pinEncryptionSecret.value()),
+  hashedPin: hashPIN(pin, pinHmacSecret.value()),
+  pinKeyVersion: PIN_KEY_VERSION
+})
+
+/**
+ * Decrypt the PIN stored on a bucket document, using the legacy secret for unmigrated buckets
+ * @param {object} data - Bucket document data
+ * @returns {string|null} Raw PIN code
+ */
+const openPinCode = (data) => {
+  if (!data.encryptedPin) return null
+  const secret = data.pinKeyVersion === PIN_KEY_VERSION
+    ? pinEncryptionSecret.value()
+    : legacyPinEncryptionSecret.value()
+  return decryptPIN(data.encryptedPin, secret)
+}
+
+/**
+ * Require a signed-in caller
+ * @param {object} request - Callable request
+ * @returns {string} Caller UID
+ */
+const requireAuth = (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'You must be signed in to do this')
+  }
+  return request.auth.uid
+}
+
+/**
+ * Require a caller with the admin custom claim
+ * @param {object} request - Callable request
+ */
+const requireAdmin = (request) => {
+  requireAuth(request)
+  if (request.auth.token.admin !== true) {
+    throw new HttpsError('permission-denied', 'Only admins can run migrations')
+  }
+}
+
+/**
+ * Reference to the reservation document for a hashed PIN
+ * Hashes are base64, so they are converted to base64url to be valid document IDs
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} hashedPin - Hashed PIN
+ * @returns {FirebaseFirestore.DocumentReference}
+ */
+const pinReservationRef = (db, hashedPin) => db.collection('pins').doc(
+  hashedPin.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+)
+
+/**
+ * Pick the PIN length for the current number of reserved PINs
+ * @param {number} reserved - Number of reserved PINs
+ * @returns {number} Number of random characters after 'drop-'
+ */
+const pinLengthFor = (reserved) => {
+  for (let length = PIN_ALLOCATION.MIN_LENGTH; length < PIN_ALLOCATION.MAX_LENGTH; length++) {
+    const keyspace = Math.pow(PIN_ALLOCATION.CHARACTERS.length, length)
+    if (reserved < keyspace * PIN_ALLOCATION.MAX_OCCUPANCY) {
+      return length
+    }
+  }
+  return PIN_ALLOCATION.MAX_LENGTH
+}
+
+/**
+ * Generate a random PIN candidate
+ * @param {number} length - Number of random characters after 'drop-'
+ * @returns {string} PIN code
+ */
+const generatePinCode = (length) => {
+  let result = 'drop-'
+  for (let i = 0; i < length; i++) {
+    result += PIN_ALLOCATION.CHARACTERS.charAt(randomInt(PIN_ALLOCATION.CHARACTERS.length))
+  }
+  return result
+}
+
+/**
+ * Allocate an unused PIN and reserve it for a bucket inside a transaction
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {FirebaseFirestore.Transaction} transaction - Transaction to reserve the PIN in
+ * @param {string} bucketId - Bucket the PIN belongs to
+ * @param {number} pinLength - Number of random characters after 'drop-'
+ * @returns {Promise<{pinCode: string, sealed: object}>} Raw PIN and its sealed bucket fields
+ */
+const allocatePin = async (db, transaction, bucketId, pinLength) => {
+  for (let attempt = 0; attempt < PIN_ALLOCATION.MAX_ATTEMPTS; attempt++) {
+    const pinCode = generatePinCode(pinLength)
+    const sealed = sealPinCode(pinCode)
+    const reservationRef = pinReservationRef(db, sealed.hashedPin)
+
+    if ((await transaction.get(reservationRef)).exists) {
+      continue
+    }
+
+    transaction.create(reservationRef, { bucketId, createdAt: new Date().toISOString() })
+    return { pinCode, sealed }
+  }
+  throw new HttpsError('resource-exhausted', 'Could not allocate a unique PIN. Please try again.')
+}
+
+/**
+ * Count reserved PINs to pick the length for the next allocation
+ * Occupancy only picks the PIN length; uniqueness comes from the reservation itself
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @returns {Promise<number>} Number of random characters after 'drop-'
+ */
+const nextPinLength = async (db) => {
+  const reserved = (await db.collection('pins').count().get()).data().count
+  return pinLengthFor(reserved)
+}
+
+/**
+ * Load a bucket and make sure the caller owns it
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {object} request - Callable request
+ * @returns {Promise<FirebaseFirestore.DocumentSnapshot>} Bucket document
+ */
+const getOwnedBucket = async (db, request) => {
+  const uid = requireAuth(request)
+  const { bucketId } = request.data || {}
+
+  if (typeof bucketId !== 'string' || !bucketId) {
+    throw new HttpsError('invalid-argument', 'No bucket ID provided')
+  }
+
+  const bucketDoc = await db.collection('buckets').doc(bucketId).get()
+  if (!bucketDoc.exists) {
+    throw new HttpsError('not-found', 'Bucket not found')
+  }
+  if (bucketDoc.get('ownerId') !== uid) {
+    throw new HttpsError('permission-denied', 'Only the bucket owner can manage its PIN')
+  }
+  return bucketDoc
+}
+
+/**
+ * Validate a requested bucket lifetime and turn it into an expiry timestamp
+ * @param {number} hours - Lifetime in hours, counted from now
+ * @returns {string} ISO timestamp of the expiry
+ */
+const expiresAtFromNow = (hours) => {
+  if (!Number.isFinite(hours) || hours < BUCKET_EXPIRY.MIN_HOURS || hours > BUCKET_EXPIRY.MAX_HOURS) {
+    throw new HttpsError('invalid-argument', 'Bucket expiry must be between 1 hour and 30 days')
+  }
+  return new Date(Date.now() + hours * 60 * 60 * 1000).toISOString()
+}
+
+/**
+ * Get the expiry of a bucket, falling back to the default lifetime for older buckets
+ * @param {object} data - Bucket document data
+ * @returns {Date} Expiration date
+ */
+const getBucketExpirationDate = (data) => {
+  if (data.expiresAt) {
+    return new Date(data.expiresAt)
+  }
+  return new Date(new Date(data.createdAt).getTime() + BUCKET_EXPIRY.DEFAULT_HOURS * 60 * 60 * 1000)
+}
+
+/**
+ * Verify a reCAPTCHA token with Google's siteverify API
+ * @param {string} token - reCAPTCHA token from the client
+ * @returns {Promise<{success: boolean, errorCodes: Array<string>}>}
+ */
+const verifyRecaptchaToken = async (token) => {
+  // Get secret key from functions config
+  const secretKey = process.env.RECAPTCHA_SECRET_KEY
+  if (!secretKey) {
+    throw new HttpsError('internal', 'reCAPTCHA configuration is missing')
+  }
+
+  const response = await fetch('https://www.google.com/recaptcha/api/siteverify', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: `secret=${secretKey}&response=${token}`
+  })
+
+  const result = await response.json()
+  return { success: !!result.success, errorCodes: result['error-codes'] || [] }
+}
+
+/**
+ * Verify reCAPTCHA token
+ */
+export const verifyRecaptcha = onCall(async (request) => {
+  try {
+    const { token } = request.data
+    
+    if (!token) {
+      throw new HttpsError('invalid-argument', 'No reCAPTCHA token provided')
+    }
+
+    const result = await verifyRecaptchaToken(token)
+
+    if (!result.success) {
+      logger.error('reCAPTCHA verification failed:', result.errorCodes)
+      throw new HttpsError('invalid-argument', 'reCAPTCHA verification failed: ' + result.errorCodes.join(', '))
+    }
+
+    return { success: true }
+  } catch (error) {
+    logger.error('Error verifying reCAPTCHA:', error)
+    if (error instanceof HttpsError) {
+      throw error
+    }
+    throw new HttpsError('internal', 'Failed to verify reCAPTCHA')
+  }
+})
+
+/**
+ * Register a PIN lookup attempt for the caller's IP and the PIN prefix
+ * Old attempts outside the timeout window are pruned on every call
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Array<FirebaseFirestore.DocumentReference>} refs - [ipRef, prefixRef]
+ * @returns {Promise<object>} Attempt state for the IP and prefix
+ */
+const registerPinAttempt = (db, [ipRef, prefixRef]) => {
+  const now = Date.now()
+  const windowStart = now - SECURITY.PIN_TIMEOUT_MINUTES * 60 * 1000
+  const recent = (times = []) => times.filter(time => time > windowStart)
+
+  return db.runTransaction(async (transaction) => {
+    const [ipDoc, prefixDoc] = await transaction.getAll(ipRef, prefixRef)
+    const ipAttempts = recent(ipDoc.get('attempts'))
+    const ipFailures = recent(ipDoc.get('failures'))
+    const prefixFailures = recent(prefixDoc.get('failures'))
+
+    if (ipAttempts.length >= SECURITY.PIN_ATTEMPTS_BEFORE_TIMEOUT) {
+      return { lockedUntil: ipAttempts[0] + SECURITY.PIN_TIMEOUT_MINUTES * 60 * 1000 }
+    }
+
+    transaction.set(ipRef, {
+      attempts: [...ipAttempts, now],
+      failures: ipFailures,
+      updatedAt: new Date(now).toISOString()
+    })
+    transaction.set(prefixRef, {
+      failures: prefixFailures,
+      updatedAt: new Date(now).toISOString()
+    })
+
+    return {
+      lockedUntil: null,
+      captchaRequired: ipFailures.length >= SECURITY.PIN_ATTEMPTS_BEFORE_CAPTCHA ||
+        prefixFailures.length >= SECURITY.PREFIX_ATTEMPTS_BEFORE_CAPTCHA
+    }
+  })
+}
+
+/**
+ * Find the active bucket for a PIN
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} pinCode - Raw PIN code
+ * @returns {Promise<FirebaseFirestore.DocumentSnapshot|null>} Bucket document or null
+ */
+const findBucketByPin = async (db, pinCode) => {
+  // Unmigrated buckets are still hashed with the legacy secret
+  const hashedSnapshot = await db.collection('buckets')
+    .where('hashedPin', 'in', [
+      hashPIN(pinCode, pinHmacSecret.value()),
+      hashPIN(pinCode, legacyPinHmacSecret.value())
+    ])
+    .where('isActive', '==', true)
+    .limit(1)
+    .get()
+
+  return hashedSnapshot.empty ? null : hashedSnapshot.docs[0]
+}
+
+/**
+ * Build the bucket handle returned to PIN users
+ * Only display and upload-policy fields are exposed; PIN material never leaves the server
+ * @param {FirebaseFirestore.DocumentSnapshot} bucketDoc - Bucket document
+ * @returns {object} Scoped bucket data
+ */
+const toBucketHandle = (bucketDoc) => {
+  const data = bucketDoc.data()
+  return {
+    id: bucketDoc.id,
+    name: data.name,
+    description: data.description || '',
+    owner: data.owner || null,
+    ownerId: data.ownerId,
+    createdAt: data.createdAt,
+    updatedAt: data.updatedAt,
+    isActive: data.isActive,
+    fileCount: data.fileCount || 0,
+    storageUsed: data.storageUsed || 0,
+    preview: data.preview,
+    color: data.color,
+    allowPinUploads: data.allowPinUploads !== false,
+    encryption: data.encryption || null
+  }
+}
+
+/**
+ * Grant the caller short-lived access to a bucket resolved by PIN
+ * Grants live in the pinBuckets token claim as { [bucketId]: { exp, v } }, where exp is the
+ * expiry in epoch seconds and v the bucket's pinVersion. The Firestore and Storage rules check
+ * both, so rotating or revoking a PIN (which bumps pinVersion) ends every existing grant.
+ * - Signed-in accounts get the grant as a custom claim and must refresh their ID token
+ * - Anyone else gets a custom token for a PIN session user carrying the grant
+ * @param {object} request - Callable request
+ * @param {FirebaseFirestore.DocumentSnapshot} bucketDoc - Bucket the PIN resolved to
+ * @returns {Promise<{token?: string, refreshToken?: boolean}>}
+ */
+const grantPinAccess = async (request, bucketDoc) => {
+  const auth = getAuth()
+  const bucketId = bucketDoc.id
+  const now = Math.floor(Date.now() / 1000)
+  const withGrant = (grants = {}) => {
+    const active = Object.entries(grants)
+      .filter(([id, grant]) => id !== bucketId && grant.exp > now)
+      .sort((a, b) => b[1].exp - a[1].exp)
+      .slice(0, SECURITY.MAX_PIN_GRANTS - 1)
+    return {
+      ...Object.fromEntries(active),
+      [bucketId]: { exp: now + SECURITY.PIN_SESSION_MINUTES * 60, v: bucketDoc.get('pinVersion') || 0 }
+    }
+  }
+
+  const uid = request.auth?.uid
+  if (uid && !uid.startsWith(PIN_SESSION_UID_PREFIX)) {
+    const { customClaims = {} } = await auth.getUser(uid)
+    await auth.setCustomUserClaims(uid, { ...customClaims, pinBuckets: withGrant(customClaims.pinBuckets) })
+    return { refreshToken: true }
+  }
+
+  // Reuse an existing PIN session so grants for other buckets carry over
+  const sessionUid = uid || `${PIN_SESSION_UID_PREFIX}${randomUUID()}`
+  const token = await auth.createCustomToken(sessionUid, {
+    pinBuckets: withGrant(request.auth?.token.pinBuckets)
+  })
+  return { token }
+}
+
+/**
+ * Resolve a bucket PIN on the server with per-IP and per-prefix rate limiting
+ * - Attempts are tracked in the pinAttempts collection so limits survive page refreshes
+ * - reCAPTCHA is required once the IP or the PIN prefix has too many failed lookups
+ * - Callers are locked out after too many attempts within the timeout window
+ * - Password-protected buckets answer PASSWORD_REQUIRED until the password is sent along with the
+ *   PIN. A wrong password counts as a failed lookup. Members don't need the password.
+ * - A successful lookup grants the caller PIN-scoped access to the bucket (see grantPinAccess)
+ */
+export const resolveBucketPin = onCall({ secrets: [pinHmacSecret, legacyPinHmacSecret] }, async (request) => {
+  const { pinCode, recaptchaToken, password = null } = request.data || {}
+
+  if (typeof pinCode !== 'string' || !PIN_PATTERN.test(pinCode)) {
+    throw new HttpsError('invalid-argument', 'Invalid PIN format')
+  }
+
+  const db = getFirestore()
+  const ipRef = db.collection('pinAttempts').doc(`ip_${sha256(getClientIP(request.rawRequest))}`)
+  const prefixRef = db.collection('pinAttempts').doc(`prefix_${sha256(pinCode.slice(0, SECURITY.PREFIX_LENGTH))}`)
+
+  try {
+    const attemptState = await registerPinAttempt(db, [ipRef, prefixRef])
+
+    if (attemptState.lockedUntil) {
+      const timeLeft = Math.ceil((attemptState.lockedUntil - Date.now()) / 60000)
+      throw new HttpsError('resource-exhausted', `Too many attempts. Please try again in ${timeLeft} minutes.`)
+    }
+
+    if (attemptState.captchaRequired) {
+      if (!recaptchaToken) {
+        throw new HttpsError('failed-precondition', 'RECAPTCHA_REQUIRED')
+      }
+
+      const recaptcha = await verifyRecaptchaToken(recaptchaToken)
+      if (!recaptcha.success) {
+        logger.warn('reCAPTCHA verification failed during PIN lookup:', recaptcha.errorCodes)
+        throw new HttpsError('invalid-argument', recaptcha.errorCodes.includes('timeout-or-duplicate')
+          ? 'reCAPTCHA verification failed: timeout-or-duplicate'
+          : 'Invalid reCAPTCHA. Please try again.')
+      }
+    }
+
+    const bucketDoc = await findBucketByPin(db, pinCode)
+    const recordFailure = () => {
+      const failedAt = Date.now()
+      return Promise.all([
+        ipRef.update({ failures: FieldValue.arrayUnion(failedAt) }),
+        prefixRef.update({ failures: FieldValue.arrayUnion(failedAt) })
+      ])
+    }
+
+    // Revoked buckets look exactly like unknown PINs to the caller
+    if (!bucketDoc || bucketDoc.get('pinAccessEnabled') === false) {
+      await recordFailure()
+      return { bucket: null }
+    }
+
+    if (bucketDoc.get('passwordProtected') === true && !(request.auth && isBucketMember(request.auth, bucketDoc.data()))) {
+      if (typeof password !== 'string' || !password) {
+        throw new HttpsError('failed-precondition', 'PASSWORD_REQUIRED')
+      }
+      if (password.length > BUCKET_PASSWORD.MAX_LENGTH || !(await verifyBucketPassword(db, bucketDoc.id, password))) {
+        await recordFailure()
+        throw new HttpsError('permission-denied', 'Incorrect password. Please try again.')
+      }
+    }
+
+    return {
+      bucket: toBucketHandle(bucketDoc),
+      ...await grantPinAccess(request, bucketDoc)
+    }
+  } catch (error) {
+    if (error instanceof HttpsError) {
+      throw error
+    }
+    logger.error('Error resolving bucket PIN:', error)
+    throw new HttpsError('internal', 'Failed to process PIN. Please try again.')
+  }
+})
+
+/**
+ * Create a bucket for the signed-in user with a guaranteed-unique PIN
+ * The PIN is reserved in pins/{hashedPin} in the same transaction that creates the bucket,
+ * so two buckets can never share a PIN.
+ * Encrypted buckets get a key salt here; the owner's browser adds the key check once it
+ * knows the PIN (see the bucket rules), and until then nothing can be uploaded.
+ */
+export const createBucket = onCall({ secrets: [pinEncryptionSecret, pinHmacSecret] }, async (request) => {
+  const uid = requireAuth(request)
+  if (uid.startsWith(PIN_SESSION_UID_PREFIX)) {
+    throw new HttpsError('permission-denied', 'Sign in to create buckets')
+  }
+
+  const {
+    name,
+    description = '',
+    color,
+    preview,
+    allowPinUploads = true,
+    expiresInHours = BUCKET_EXPIRY.DEFAULT_HOURS,
+    encrypted = false
+  } = request.data || {}
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new HttpsError('invalid-argument', 'Bucket name is required')
+  }
+  if (typeof description !== 'string' || typeof allowPinUploads !== 'boolean' || typeof encrypted !== 'boolean') {
+    throw new HttpsError('invalid-argument', 'Invalid bucket details')
+  }
+
+  const db = getFirestore()
+  const bucketRef = db.collection('buckets').doc()
+  const now = new Date().toISOString()
+  const { token } = request.auth
+  const bucketData = {
+    name: name.trim(),
+    description: description.trim(),
+    ownerId: uid,
+    ownerEmail: token.email || null,
+    owner: token.name || token.email || null,
+    collaborators: [],
+    createdAt: now,
+    updatedAt: now,
+    expiresAt: expiresAtFromNow(expiresInHours),
+    isActive: true,
+    fileCount: 0,
+    storageUsed: 0,
+    preview: typeof preview === 'string' ? preview : 'folder',
+    color: typeof color === 'string' ? color : 'from-blue-500 to-cyan-500',
+    allowPinUploads,
+    pinAccessEnabled: true,
+    pinVersion: 0
+  }
+  if (encrypted) {
+    bucketData.encryption = {
+      version: 1,
+      salt: randomBytes(BUCKET_KEY_SALT_BYTES).toString('base64'),
+      iterations: BUCKET_KEY_ITERATIONS,
+      keyCheck: null
+    }
+  }
+
+  try {
+    const pinLength = await nextPinLength(db)
+
+    const pinCode = await db.runTransaction(async (transaction) => {
+      const { pinCode, sealed } = await allocatePin(db, transaction, bucketRef.id, pinLength)
+      transaction.create(bucketRef, { ...bucketData, ...sealed })
+      Object.assign(bucketData, sealed)
+      return pinCode
+    })
+
+    return { bucket: { id: bucketRef.id, ...bucketData }, pinCode }
+  } catch (error) {
+    if (error instanceof HttpsError) {
+      throw error
+    }
+    logger.error('Error creating bucket:', error)
+    throw new HttpsError('internal', 'Failed to create bucket. Please try again.')
+  }
+})
+
+/**
+ * Decrypt a bucket's PIN for its owner
+ */
+export const revealPin = onCall({ secrets: [pinEncryptionSecret, legacyPinEncryptionSecret] }, async (request) => {
+  const bucketDoc = await getOwnedBucket(getFirestore(), request)
+
+  try {
+    return { pinCode: openPinCode(bucketDoc.data()) }
+  } catch (error) {
+    logger.error(`Error decrypting PIN for bucket ${bucketDoc.id}:`, error)
+    throw new HttpsError('internal', 'Failed to decrypt PIN')
+  }
+})
+
+/**
+ * Extend a bucket's expiry to a new lifetime counted from now (1 hour to 30 days)
+ */
+export const extendBucketExpiry = onCall(async (request) => {
+  const bucketDoc = await getOwnedBucket(getFirestore(), request)
+  const expiresAt = expiresAtFromNow((request.data || {}).expiresInHours)
+
+  if (new Date(expiresAt) <= getBucketExpirationDate(bucketDoc.data())) {
+    throw new HttpsError('failed-precondition', 'This bucket already lasts longer than that. Pick a longer time.')
+  }
+
+  await bucketDoc.ref.update({ expiresAt, updatedAt: new Date().toISOString() })
+
+  logger.info(`Extended bucket ${bucketDoc.id} until ${expiresAt}`)
+  return { expiresAt }
+})
+
+/**
+ * Replace a bucket's PIN with a newly allocated one
+ * The old reservation is released and pinVersion is bumped, so the old PIN stops resolving
+ * and every access grant issued for it is rejected by the security rules.
+ * Encrypted buckets keep their PIN, since it is part of the key their files are encrypted with.
+ */
+export const rotateBucketPin = onCall({ secrets: [pinEncryptionSecret, pinHmacSecret] }, async (request) => {
+  const db = getFirestore()
+  const bucketDoc = await getOwnedBucket(db, request)
+  if (bucketDoc.get('encryption')) {
+    throw new HttpsError('failed-precondition', "This bucket's files are encrypted with a key made from its PIN, so the PIN can't be changed.")
+  }
+
+  try {
+    const pinLength = await nextPinLength(db)
+
+    const pinCode = await db.runTransaction(async (transaction) => {
+      const current = await transaction.get(bucketDoc.ref)
+      const { pinCode, sealed } = await allocatePin(db, transaction, bucketDoc.id, pinLength)
+
+      if (current.get('hashedPin')) {
+        transaction.delete(pinReservationRef(db, current.get('hashedPin')))
+      }
+      transaction.update(bucketDoc.ref, {
+        ...sealed,
+        pinVersion: FieldValue.increment(1),
+        updatedAt: new Date().toISOString()
+      })
+      return pinCode
+    })
+
+    logger.info(`Rotated PIN for bucket ${bucketDoc.id}`)
+    return { pinCode }
+  } catch (error) {
+    if (error instanceof HttpsError) {
+      throw error
+    }
+    logger.error(`Error rotating PIN for bucket ${bucketDoc.id}:`, error)
+    throw new HttpsError('internal', 'Failed to rotate PIN. Please try again.')
+  }
+})
+
+/**
+ * Turn PIN lookup for a bucket off or back on
+ * While off, the PIN resolves like an unknown PIN and existing grants are rejected,
+ * but the owner keeps full access. Turning it back on restores the same PIN.
+ */
+export const setBucketPinAccess = onCall(async (request) => {
+  const db = getFirestore()
+  const bucketDoc = await getOwnedBucket(db, request)
+  const { enabled } = request.data
+
+  if (typeof enabled !== 'boolean') {
+    throw new HttpsError('invalid-argument', 'Missing PIN access setting')
+  }
+
+  const updates = { pinAccessEnabled: enabled, updatedAt: new Date().toISOString() }
+  if (!enabled) {
+    // Revoking ends existing grants for good; re-enabling does not bring them back
+    updates.pinVersion = FieldValue.increment(1)
+  }
+  await bucketDoc.ref.update(updates)
+
+  logger.info(`PIN access ${enabled ? 'restored' : 'revoked'} for bucket ${bucketDoc.id}`)
+  return { pinAccessEnabled: enabled }
+})
+
+/**
+ * Set, change or remove a bucket's password (password: null removes it)
+ * Setting or changing it bumps pinVersion, so everyone who opened the bucket with the PIN alone
+ * loses access and has to enter the password.
+ */
+export const setBucketPassword = onCall(async (request) => {
+  const db = getFirestore()
+  const bucketDoc = await getOwnedBucket(db, request)
+  const { password = null } = request.data || {}
+
+  if (password !== null && (typeof password !== 'string' ||
+    password.length < BUCKET_PASSWORD.MIN_LENGTH || password.length > BUCKET_PASSWORD.MAX_LENGTH)) {
+    throw new HttpsError('invalid-argument',
+      `Passwords must be ${BUCKET_PASSWORD.MIN_LENGTH} to ${BUCKET_PASSWORD.MAX_LENGTH} characters long`)
+  }
+
+  const secretRef = db.collection('bucketSecrets').doc(bucketDoc.id)
+  const now = new Date().toISOString()
+  const batch = db.batch()
+
+  if (password === null) {
+    batch.delete(secretRef)
+    batch.update(bucketDoc.ref, { passwordProtected: false, updatedAt: now })
+  } else {
+    const salt = randomBytes(BUCKET_PASSWORD.SALT_BYTES)
+    const hash = await hashBucketPassword(password, salt)
+    batch.set(secretRef, {
+      passwordHash: hash.toString('hex'),
+      passwordSalt: salt.toString('hex'),
+      updatedAt: now
+    })
+    batch.update(bucketDoc.ref, {
+      passwordProtected: true,
+      pinVersion: FieldValue.increment(1),
+      updatedAt: now
+    })
+  }
+  await batch.commit()
+
+  logger.info(`Password ${password === null ? 'removed from' : 'set for'} bucket ${bucketDoc.id}`)
+  return { passwordProtected: password !== null }
+})
+
+/**
+ * Accept or decline an invitation to collaborate on a bucket
+ * - Owners write invites to invites/{inviteId} with the invitee's email and role; only the
+ *   signed-in user with that email can answer them, once their provider has verified it
+ * - Accepting adds the caller's email to the bucket's collaborators with the invited role
+ * - The invite is deleted either way, and also if its bucket is gone or expired
+ */
+export const respondToInvite = onCall(async (request) => {
+  requireAuth(request)
+  const { inviteId, accept } = request.data || {}
+  if (typeof inviteId !== 'string' || !inviteId || typeof accept !== 'boolean') {
+    throw new HttpsError('invalid-argument', 'Invite ID and answer are required')
+  }
+
+  // Unverified addresses can be claimed by anyone who signs up with them
+  const email = request.auth.token.email
+  if (!email || request.auth.token.email_verified !== true) {
+    throw new HttpsError('permission-denied', 'Verify your email address before answering invitations')
+  }
+
+  const db = getFirestore()
+  const inviteRef = db.collection('invites').doc(inviteId)
+
+  return db.runTransaction(async (transaction) => {
+    const inviteDoc = await transaction.get(inviteRef)
+    if (!inviteDoc.exists) {
+      throw new HttpsError('not-found', 'This invitation is no longer available')
+    }
+    const invite = inviteDoc.data()
+    if (invite.email !== email.toLowerCase()) {
+      throw new HttpsError('permission-denied', 'This invitation was sent to a different email address')
+    }
+
+    const bucketRef = db.collection('buckets').doc(invite.bucketId)
+    const bucketDoc = await transaction.get(bucketRef)
+    const bucket = bucketDoc.data()
+    transaction.delete(inviteRef)
+
+    if (!accept) {
+      return { bucketId: invite.bucketId, accepted: false }
+    }
+    if (!bucket || bucket.isActive === false || getBucketExpirationDate(bucket) <= new Date()) {
+      return { bucketId: invite.bucketId, accepted: false, unavailable: true }
+    }
+
+    // Roles are keyed by email, and emails contain dots, so the whole map is rewritten
+    // rather than updated through a field path
+    transaction.update(bucketRef, {
+      collaborators: FieldValue.arrayUnion(email),
+      collaboratorRoles: {
+        ...(bucket.collaboratorRoles || {}),
+        [email]: COLLABORATOR_ROLES.includes(invite.role) ? invite.role : COLLABORATOR_ROLES[0]
+      },
+      updatedAt: new Date().toISOString()
+    })
+    logger.info(`${email} joined bucket ${invite.bucketId} as ${invite.role}`)
+    return { bucketId: invite.bucketId, accepted: true }
+  })
+})
+
+/**
+ * One-time migration that re-keys bucket PINs sealed with the legacy client-side secrets
+ * - Restricted to callers with the admin custom claim
+ * - Safe to run repeatedly; buckets already on the current pinKeyVersion are skipped
+ */
+export const rekeyBucketPins = onCall({
+  secrets: [pinEncryptionSecret, pinHmacSecret, legacyPinEncryptionSecret],
+  timeoutSeconds: 540
+}, async (request) => {
+  requireAdmin(request)
+
+  const db = getFirestore()
+  const summary = { migrated: 0, skipped: 0, failed: 0 }
+  const pageSize = 300
+  let lastDoc = null
+
+  for (;;) {
+    let pageQuery = db.collection('buckets').orderBy('__name__').limit(pageSize)
+    if (lastDoc) pageQuery = pageQuery.startAfter(lastDoc)
+    const page = await pageQuery.get()
+    if (page.empty) break
+
+    const batch = db.batch()
+    let pending = 0
+
+    for (const bucketDoc of page.docs) {
+      const data = bucketDoc.data()
+      if (!data.encryptedPin || data.pinKeyVersion === PIN_KEY_VERSION) {
+        summary.skipped++
+        continue
+      }
+
+      try {
+        const pinCode = decryptPIN(data.encryptedPin, legacyPinEncryptionSecret.value())
+        batch.update(bucketDoc.ref, sealPinCode(pinCode))
+        pending++
+      } catch (error) {
+        logger.error(`Failed to re-key PIN for bucket ${bucketDoc.id}:`, error)
+        summary.failed++
+      }
+    }
+
+    if (pending > 0) {
+      await batch.commit()
+      summary.migrated += pending
+    }
+
+    lastDoc = page.docs[page.docs.length - 1]
+    if (page.docs.length < pageSize) break
+  }
+
+  logger.info('PIN re-key completed:', summary)
+  return summary
+})
+
+/**
+ * One-time migration for buckets that still store their PIN in plaintext (pinCode field)
+ * - Restricted to callers with the admin custom claim
+ * - Seals each PIN with the current secrets and deletes the plaintext field
+ */
+export const migrateLegacyPins = onCall({
+  secrets: [pinEncryptionSecret, pinHmacSecret],
+  timeoutSeconds: 540
+}, async (request) => {
+  requireAdmin(request)
+
+  const db = getFirestore()
+  const summary = { migrated: 0, failed: 0 }
+  const pageSize = 300
+  let lastDoc = null
+
+  for (;;) {
+    // Ordering by pinCode only returns documents that still have the field
+    let pageQuery = db.collection('buckets').orderBy('pinCode').limit(pageSize)
+    if (lastDoc) pageQuery = pageQuery.startAfter(lastDoc)
+    const page = await pageQuery.get()
+    if (page.empty) break
+
+    const batch = db.batch()
+    let pending = 0
+
+    for (const bucketDoc of page.docs) {
+      const pinCode = bucketDoc.get('pinCode')
+      if (typeof pinCode !== 'string' || !PIN_PATTERN.test(pinCode)) {
+        logger.error(`Bucket ${bucketDoc.id} has a malformed legacy PIN, skipping`)
+        summary.failed++
+        continue
+      }
+
+      batch.update(bucketDoc.ref, {
+        ...sealPinCode(pinCode),
+        pinCode: FieldValue.delete()
+      })
+      pending++
+    }
+
+    if (pending > 0) {
+      await batch.commit()
+      summary.migrated += pending
+    }
+
+    lastDoc = page.docs[page.docs.length - 1]
+    if (page.docs.length < pageSize) break
+  }
+
+  logger.info('Legacy PIN migration completed:', summary)
+  return summary
+})
+
+/**
+ * Reserve the PINs of existing buckets so new PINs can never collide with them
+ * - Restricted to callers with the admin custom claim
+ * - Run after rekeyBucketPins and migrateLegacyPins; buckets still on legacy keys are skipped
+ * - Buckets that already share a PIN with another bucket are reported as duplicates
+ */
+export const backfillPinReservations = onCall({ timeoutSeconds: 540 }, async (request) => {
+  requireAdmin(request)
+
+  const db = getFirestore()
+  const summary = { reserved: 0, skipped: 0, duplicates: 0 }
+  const pageSize = 300
+  let lastDoc = null
+
+  for (;;) {
+    let pageQuery = db.collection('buckets').orderBy('__name__').limit(pageSize)
+    if (lastDoc) pageQuery = pageQuery.startAfter(lastDoc)
+    const page = await pageQuery.get()
+    if (page.empty) break
+
+    const candidates = page.docs.filter(bucketDoc =>
+      bucketDoc.get('hashedPin') && bucketDoc.get('pinKeyVersion') === PIN_KEY_VERSION)
+    summary.skipped += page.docs.length - candidates.length
+
+    if (candidates.length > 0) {
+      const refs = candidates.map(bucketDoc => pinReservationRef(db, bucketDoc.get('hashedPin')))
+      const reservations = await db.getAll(...refs)
+      const batch = db.batch()
+      const claimed = new Map()
+
+      candidates.forEach((bucketDoc, index) => {
+        const owner = reservations[index].exists
+          ? reservations[index].get('bucketId')
+          : claimed.get(refs[index].id)
+
+        if (owner && owner !== bucketDoc.id) {
+          logger.warn(`Bucket ${bucketDoc.id} shares its PIN with bucket ${owner}`)
+          summary.duplicates++
+          return
+        }
+        if (!owner) {
+          batch.set(refs[index], { bucketId: bucketDoc.id, createdAt: bucketDoc.get('createdAt') || new Date().toISOString() })
+          claimed.set(refs[index].id, bucketDoc.id)
+        }
+        summary.reserved++
+      })
+
+      await batch.commit()
+    }
+
+    lastDoc = page.docs[page.docs.length - 1]
+    if (page.docs.length < pageSize) break
+  }
+
+  logger.info('PIN reservation backfill completed:', summary)
+  return summary
+})
+
+/**
+ * Bytes a file takes up in Storage: storedSize, as measured by recordStoredSize, or the size the
+ * uploading browser reported until that has run (and for files uploaded before it existed)
+ * @param {object} data - File document data
+ * @returns {number}
+ */
+const storedFileSize = (data) => (typeof data.storedSize === 'number' ? data.storedSize : data.size || 0)
+
+/**
+ * Bytes a file document counts towards its owner's storage. Trashed files keep counting until
+ * purgeFiles deletes them, since their objects stay in Storage and restoring them isn't checked.
+ * @param {object|undefined} data - File document data
+ * @returns {number}
+ */
+const countedFileSize = (data) => (data ? storedFileSize(data) : 0)
+
+/**
+ * Record the size of a new file's Storage object in storedSize, so storage usage and bucket stats
+ * count the bytes actually stored rather than the size the browser reported
+ * - The counters' own triggers apply the difference once storedSize is written
+ * - Encrypted files are counted with their encryption overhead, as the storage rules' quota check does
+ * - Files whose object is missing, or outside their bucket's folder, count nothing
+ */
+export const recordStoredSize = onDocumentCreated('files/{fileId}', async (event) => {
+  const data = event.data.data()
+  // Copies made by transferFiles carry over the original's measurement
+  if (typeof data.storedSize === 'number') return
+
+  let storedSize = 0
+  if (isBucketStoragePath(data)) {
+    try {
+      const [metadata] = await getStorage().bucket().file(data.storagePath).getMetadata()
+      storedSize = Number(metadata.size) || 0
+    } catch (error) {
+      if (error.code !== 404) throw error
+      logger.warn(`Storage object of file ${event.params.fileId} not found; it counts as empty`)
+    }
+  } else {
+    logger.warn(`File ${event.params.fileId} has a storagePath outside its bucket; it counts as empty`)
+  }
+
+  try {
+    await event.data.ref.update({ storedSize })
+  } catch (error) {
+    // gRPC NOT_FOUND: the file was deleted before its size was recorded
+    if (error.code === 5) return
+    throw error
+  }
+})
+
+/**
+ * Keep users/{ownerId}.storageUsed in step with the bucket owner's files, trashed ones included
+ * - Uploads and permanent deletes each apply the size difference; trashing and restoring change nothing
+ * - Files moved to another owner's bucket come off the old owner's usage and onto the new one's
+ * - Files uploaded before ownerId was recorded fall back to their bucket's owner
+ * - Releases the storage transferFiles reserved for a file (reservedBytes) once it is counted
+ * - Triggers can be delivered more than once, so backfillStorageUsage can recount if the counter drifts
+ */
+export const updateStorageUsage = onDocumentWritten('files/{fileId}', async (event) => {
+  const before = event.data.before.data()
+  const after = event.data.after.data()
+
+  const db = getFirestore()
+  const findOwner = async (data) => {
+    if (data.ownerId) return data.ownerId
+    const bucketDoc = await db.collection('buckets').doc(data.bucketId).get()
+    return bucketDoc.get('ownerId')
+  }
+
+  // ownerId -> storageUsed change; a file moved to another owner's bucket changes two counters
+  const deltas = new Map()
+  for (const [data, sign] of [[before, -1], [after, 1]]) {
+    const size = countedFileSize(data)
+    if (size === 0) continue
+
+    const ownerId = await findOwner(data)
+    if (!ownerId) {
+      logger.warn(`Could not find the owner of file ${event.params.fileId}; storage usage not updated`)
+      continue
+    }
+    deltas.set(ownerId, (deltas.get(ownerId) || 0) + sign * size)
+  }
+
+  await Promise.all(Array.from(deltas)
+    .filter(([, delta]) => delta !== 0)
+    .map(([ownerId, delta]) => db.collection('users').doc(ownerId).set({
+      storageUsed: FieldValue.increment(delta),
+      storageUpdatedAt: new Date().toISOString()
+    }, { merge: true })))
+
+  // Bytes transferFiles reserved for this file are counted now, so the reservation is given back
+  if (after && after.reservedBytes && after.reservedBytes !== (before && before.reservedBytes)) {
+    await releaseStorage(db, after.ownerId, after.reservedBytes)
+    try {
+      await event.data.after.ref.update({ reservedBytes: FieldValue.delete() })
+    } catch (error) {
+      // gRPC NOT_FOUND: the file was deleted in the meantime
+      if (error.code !== 5) throw error
+    }
+  }
+})
+
+/**
+ * Keep a bucket's fileCount and storageUsed in step with its active files
+ * - Applied as increments, so concurrent uploads and deletes can't overwrite each other
+ * - A file moved to another bucket is taken off the old bucket's stats and added to the new one's
+ * - Files of buckets that are already gone (e.g. removed by cleanupBuckets) are ignored
+ */
+export const updateBucketStats = onDocumentWritten('files/{fileId}', async (event) => {
+  const before = event.data.before.data()
+  const after = event.data.after.data()
+
+  // bucketId -> { fileCount, storageUsed } changes
+  const deltas = new Map()
+  const addToStats = (data, sign) => {
+    if (!data) return
+    const delta = deltas.get(data.bucketId) || { fileCount: 0, storageUsed: 0 }
+    delta.fileCount += sign * (data.isActive !== false ? 1 : 0)
+    delta.storageUsed += sign * (data.isActive !== false ? storedFileSize(data) : 0)
+    deltas.set(data.bucketId, delta)
+  }
+  addToStats(before, -1)
+  addToStats(after, 1)
+
+  const db = getFirestore()
+  await Promise.all(Array.from(deltas).map(async ([bucketId, delta]) => {
+    if (delta.fileCount === 0 && delta.storageUsed === 0) return
+
+    try {
+      await db.collection('buckets').doc(bucketId).update({
+        fileCount: FieldValue.increment(delta.fileCount),
+        storageUsed: FieldValue.increment(delta.storageUsed),
+        updatedAt: new Date().toISOString()
+      })
+    } catch (error) {
+      // gRPC NOT_FOUND: the bucket was deleted along with its files
+      if (error.code === 5) {
+        logger.info(`Bucket ${bucketId} no longer exists; stats not updated`)
+        return
+      }
+      throw error
+    }
+  }))
+})
+
+/**
+ * Recount every user's storageUsed from their active files
+ * - Restricted to callers with the admin custom claim
+ * - Also records ownerId on files uploaded before it existed
+ * - Run once after deploying updateStorageUsage, and again whenever the counters look off;
+ *   uploads that land while it runs may be counted twice or not at all
+ */
+export const backfillStorageUsage = onCall({ timeoutSeconds: 540 }, async (request) => {
+  requireAdmin(request)
+
+  const db = getFirestore()
+  const summary = { files: 0, ownersStamped: 0, orphaned: 0, users: 0 }
+  const usage = new Map()
+  const bucketOwners = new Map()
+  const pageSize = 300
+  let lastDoc = null
+
+  for (;;) {
+    let pageQuery = db.collection('files').orderBy('__name__').limit(pageSize)
+    if (lastDoc) pageQuery = pageQuery.startAfter(lastDoc)
+    const page = await pageQuery.get()
+    if (page.empty) break
+
+    const batch = db.batch()
+    let pending = 0
+
+    for (const fileDoc of page.docs) {
+      const data = fileDoc.data()
+      let ownerId = data.ownerId
+      if (!ownerId) {
+        if (!bucketOwners.has(data.bucketId)) {
+          const bucketDoc = await db.collection('buckets').doc(data.bucketId).get()
+          bucketOwners.set(data.bucketId, bucketDoc.get('ownerId') || null)
+        }
+        ownerId = bucketOwners.get(data.bucketId)
+        if (!ownerId) {
+          summary.orphaned++
+          continue
+        }
+        batch.update(fileDoc.ref, { ownerId })
+        pending++
+        summary.ownersStamped++
+      }
+
+      usage.set(ownerId, (usage.get(ownerId) || 0) + countedFileSize(data))
+      summary.files++
+    }
+
+    if (pending > 0) {
+      await batch.commit()
+    }
+
+    lastDoc = page.docs[page.docs.length - 1]
+    if (page.docs.length < pageSize) break
+  }
+
+  // Users with no files left are reset too, so deleted files stop counting
+  const usersWithUsage = await db.collection('users').where('storageUsed', '>', 0).get()
+  usersWithUsage.docs.forEach(userDoc => {
+    if (!usage.has(userDoc.id)) usage.set(userDoc.id, 0)
+  })
+
+  const owners = Array.from(usage.entries())
+  for (let i = 0; i < owners.length; i += pageSize) {
+    const batch = db.batch()
+    owners.slice(i, i + pageSize).forEach(([ownerId, storageUsed]) => {
+      batch.set(db.collection('users').doc(ownerId), {
+        storageUsed,
+        storageUpdatedAt: new Date().toISOString()
+      }, { merge: true })
+    })
+    await batch.commit()
+  }
+  summary.users = owners.length
+
+  logger.info('Storage usage backfill completed:', summary)
+  return summary
+})
+
+/**
+ * Scheduled function that runs every hour to warn owners about buckets expiring within a day
+ * - Each warning is written to users/{ownerId}/notifications and emailed to the owner
+ * - Warnings are keyed by bucket and expiry date, so a bucket is warned about once per expiry
+ *   and extending it re-arms the warning
+ */
+export const sendExpiryWarnings = onSchedule({ schedule: '30 * * * *', secrets: [smtpUrl] }, async () => {
+  const db = getFirestore()
+  const hourMs = 60 * 60 * 1000
+  const now = Date.now()
+  const warningCutoff = new Date(now + BUCKET_EXPIRY.WARNING_HOURS * hourMs).toISOString()
+
+  const [expiringSnapshot, legacySnapshot] = await Promise.all([
+    db.collection('buckets')
+      .where('isActive', '==', true)
+      .where('expiresAt', '>', new Date(now).toISOString())
+      .where('expiresAt', '<=', warningCutoff)
+      .get(),
+    // Buckets without expiresAt expire DEFAULT_HOURS after creation
+    db.collection('buckets')
+      .where('isActive', '==', true)
+      .where('createdAt', '>', new Date(now - BUCKET_EXPIRY.DEFAULT_HOURS * hourMs).toISOString())
+      .where('createdAt', '<=', new Date(now + (BUCKET_EXPIRY.WARNING_HOURS - BUCKET_EXPIRY.DEFAULT_HOURS) * hourMs).toISOString())
+      .get()
+  ])
+
+  const expiringBuckets = [
+    ...expiringSnapshot.docs,
+    ...legacySnapshot.docs.filter(bucketDoc => !bucketDoc.get('expiresAt'))
+  ]
+  if (expiringBuckets.length === 0) {
+    logger.info('No buckets expiring soon')
+    return null
+  }
+
+  const mailer = createMailer(smtpUrl.value(), mailFrom.value())
+  let warned = 0
+
+  for (const bucketDoc of expiringBuckets) {
+    const bucket = bucketDoc.data()
+    const expiresAt = getBucketExpirationDate(bucket)
+    const fileCount = bucket.fileCount || 0
+    const title = `"${bucket.name}" expires soon`
+    const message = `Your bucket "${bucket.name}" and its ${fileCount} file${fileCount === 1 ? '' : 's'} will be deleted on ${expiresAt.toUTCString()}. ` +
+      'Download anything you want to keep, or extend the bucket from your dashboard.'
+
+    try {
+      await db.collection('users').doc(bucket.ownerId)
+        .collection('notifications').doc(`expiry-${bucketDoc.id}-${expiresAt.getTime()}`)
+        .create({
+          type: 'bucket_expiring',
+          title,
+          message,
+          bucketId: bucketDoc.id,
+          bucketName: bucket.name,
+          expiresAt: expiresAt.toISOString(),
+          read: false,
+          createdAt: new Date().toISOString()
+        })
+    } catch (error) {
+      // ALREADY_EXISTS: the owner was already warned about this expiry
+      if (error.code !== 6) {
+        logger.error(`Failed to write expiry warning for bucket ${bucketDoc.id}:`, error)
+      }
+      continue
+    }
+
+    warned++
+    try {
+      const owner = await getAuth().getUser(bucket.ownerId)
+      if (owner.email) {
+        await mailer.send({ to: owner.email, subject: `DropSto: ${title}`, text: message })
+      }
+    } catch (error) {
+      // The in-app notification is already written, so a failed email is not retried
+      logger.error(`Failed to email expiry warning for bucket ${bucketDoc.id}:`, error)
+    }
+  }
+
+  logger.info(`Sent ${warned} expiry warning(s) for ${expiringBuckets.length} expiring bucket(s)`)
+  return null
+})
+
 /**
- * Verify reCAPTCHA token
+ * Check a callable's list of file IDs
+ * @param {*} fileIds - Value to check
+ * @param {number} max - Most IDs allowed
+ * @returns {boolean} True for an array of 1 to max non-empty strings
  */
-export const verifyRecaptcha = onCall(async (request) => {
+const isFileIdList = (fileIds, max) =>
+  Array.isArray(fileIds) && fileIds.length > 0 && fileIds.length <= max &&
+  fileIds.every(fileId => typeof fileId === 'string' && fileId)
+
+/**
+ * Check whether a file has been downloaded as often as its maxDownloads allows
+ * @param {object} data - File document data
+ * @returns {boolean}
+ */
+const hasReachedDownloadLimit = (data) => Boolean(data.maxDownloads) && (data.downloadCount || 0) >= data.maxDownloads
+
+/**
+ * Check whether a file is past its own expiry or download limit
+ * @param {object} data - File document data
+ * @returns {boolean}
+ */
+const isFileExpired = (data) =>
+  (Boolean(data.expiresAt) && data.expiresAt <= new Date().toISOString()) || hasReachedDownloadLimit(data)
+
+/**
+ * Check that a file document's storagePath lies inside its own bucket's files/ folder.
+ * Clients write storagePath, so anything that signs, copies or deletes the object checks it first.
+ * @param {object} data - File document data
+ * @returns {boolean}
+ */
+const isBucketStoragePath = (data) =>
+  typeof data.storagePath === 'string' && typeof data.bucketId === 'string' &&
+  data.storagePath.startsWith(`buckets/${data.bucketId}/files/`)
+
+/**
+ * Remove the Firebase download tokens from a Storage object, so token URLs handed out for it stop working
+ * @param {string} storagePath - Object path
+ * @returns {Promise<boolean>} False if the object no longer exists
+ */
+const revokeDownloadTokens = async (storagePath) => {
   try {
-    const { token } = request.data
-    
-    if (!token) {
-      throw new HttpsError('invalid-argument', 'No reCAPTCHA token provided')
+    await getStorage().bucket().file(storagePath).setMetadata({
+      metadata: { firebaseStorageDownloadTokens: null }
+    })
+    return true
+  } catch (error) {
+    if (error.code === 404) return false
+    throw error
+  }
+}
+
+/**
+ * Get the caller's role in a bucket, with the same fallback as the security rules
+ * @param {object} auth - Callable request auth
+ * @param {object} bucket - Bucket document data
+ * @returns {string|null} 'owner', a collaborator role, or null if the caller isn't a member
+ */
+const getBucketRole = (auth, bucket) => {
+  if (bucket.ownerId === auth.uid) return 'owner'
+  if (!auth.token.email || !(bucket.collaborators || []).includes(auth.token.email)) return null
+  return (bucket.collaboratorRoles || {})[auth.token.email] || DEFAULT_COLLABORATOR_ROLE
+}
+
+/**
+ * Check whether the caller is the bucket's owner or a collaborator
+ * @param {object} auth - Callable request auth
+ * @param {object} bucket - Bucket document data
+ * @returns {boolean}
+ */
+const isBucketMember = (auth, bucket) => getBucketRole(auth, bucket) !== null
+
+/**
+ * Check whether the caller may read a bucket's files, with the same checks as the security rules:
+ * the owner, a collaborator, or a live PIN grant for the bucket's current pinVersion
+ * @param {object} auth - Callable request auth
+ * @param {string} bucketId - Bucket ID
+ * @param {object|undefined} bucket - Bucket document data
+ * @returns {boolean}
+ */
+const canReadBucket = (auth, bucketId, bucket) => {
+  if (!auth || !bucket) return false
+  if (isBucketMember(auth, bucket)) return true
+
+  const grant = (auth.token.pinBuckets || {})[bucketId]
+  return Boolean(grant) &&
+    grant.exp * 1000 > Date.now() &&
+    grant.v === (bucket.pinVersion || 0) &&
+    bucket.pinAccessEnabled !== false
+}
+
+/**
+ * Build a Content-Disposition header value with an ASCII fallback and the UTF-8 file name
+ * @param {string} type - 'attachment' or 'inline'
+ * @param {string} fileName - File name
+ * @returns {string}
+ */
+const contentDisposition = (type, fileName) =>
+  `${type}; filename="${fileName.replace(/[^\x20-\x7e]|["\\]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(fileName).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)}`
+
+/**
+ * Issue short-lived V4 signed URLs for files the caller can read
+ * - Callers need owner, collaborator or PIN-scoped access to each file's bucket
+ * - Trashed files and files past their expiry or download limit are refused
+ * - Files with a download limit are refused too: a URL for one is only issued by recordFileDownload,
+ *   which counts the download in the same transaction
+ * - disposition 'attachment' (default) makes browsers save the file; 'inline' is for previews
+ * - Files that can't be signed, for whatever reason, are returned in denied rather than failing the whole call
+ */
+export const getSignedDownloadUrl = onCall(async (request) => {
+  requireAuth(request)
+  const { fileIds, disposition = 'attachment' } = request.data || {}
+
+  if (!isFileIdList(fileIds, MAX_SIGNED_URLS_PER_CALL)) {
+    throw new HttpsError('invalid-argument', `Provide between 1 and ${MAX_SIGNED_URLS_PER_CALL} file IDs`)
+  }
+  if (disposition !== 'attachment' && disposition !== 'inline') {
+    throw new HttpsError('invalid-argument', "disposition must be 'attachment' or 'inline'")
+  }
+
+  const db = getFirestore()
+  const fileDocs = await db.getAll(...[...new Set(fileIds)].map(fileId => db.collection('files').doc(fileId)))
+  const bucketIds = [...new Set(fileDocs.filter(fileDoc => fileDoc.exists).map(fileDoc => fileDoc.get('bucketId')))]
+  const bucketDocs = bucketIds.length > 0
+    ? await db.getAll(...bucketIds.map(bucketId => db.collection('buckets').doc(bucketId)))
+    : []
+  const buckets = new Map(bucketDocs.map(bucketDoc => [bucketDoc.id, bucketDoc.data()]))
+
+  const expires = Date.now() + SIGNED_URL_MINUTES * 60 * 1000
+  const urls = {}
+  const denied = []
+
+  await Promise.all(fileDocs.map(async (fileDoc) => {
+    const data = fileDoc.data()
+    if (!data || !isBucketStoragePath(data) || data.isActive === false || isFileExpired(data) || data.maxDownloads ||
+        !canReadBucket(request.auth, data.bucketId, buckets.get(data.bucketId))) {
+      denied.push(fileDoc.id)
+      return
     }
 
-    // Get secret key from functions config
-    const secretKey = process.env.RECAPTCHA_SECRET_KEY
-    if (!secretKey) {
-      throw new HttpsError('internal', 'reCAPTCHA configuration is missing')
+    try {
+      const [url] = await getStorage().bucket().file(data.storagePath).getSignedUrl({
+        version: 'v4',
+        action: 'read',
+        expires,
+        responseDisposition: contentDisposition(disposition, data.name)
+      })
+      urls[fileDoc.id] = url
+    } catch (error) {
+      logger.warn(`Could not sign a URL for file ${fileDoc.id}:`, error)
+      denied.push(fileDoc.id)
     }
+  }))
 
-    // Verify with Google's reCAPTCHA API
-    const response = await fetch('https://www.google.com/recaptcha/api/siteverify', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: `secret=${secretKey}&response=${token}`
+  return { urls, denied, expiresAt: new Date(expires).toISOString() }
+})
+
+/**
+ * Reduce a User-Agent header to browser and operating system, e.g. "Firefox on Windows"
+ * @param {string} [userAgent] - User-Agent header
+ * @returns {string}
+ */
+const coarseUserAgent = (userAgent = '') => {
+  // Order matters: Edge and Opera also claim Chrome, Chrome claims Safari, Android claims Linux
+  const browsers = [['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]]
+  const systems = [['Android', /Android/], ['iOS', /iPhone|iPad|iPod/], ['Windows', /Windows/], ['macOS', /Mac OS X/], ['Linux', /Linux/]]
+  const [browser] = browsers.find(([, pattern]) => pattern.test(userAgent)) || ['Unknown browser']
+  const [system] = systems.find(([, pattern]) => pattern.test(userAgent)) || ['unknown OS']
+  return `${browser} on ${system}`
+}
+
+/**
+ * Queue the writes that record one download of a file: its downloadCount, an event in
+ * downloadEvents and, for PIN users, an entry in the file's download history
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {FirebaseFirestore.Transaction|FirebaseFirestore.WriteBatch} writer - Transaction or batch to add the writes to
+ * @param {FirebaseFirestore.DocumentReference} fileRef - File document
+ * @param {object} download
+ * @param {string} download.bucketId - The file's bucket
+ * @param {string} download.actor - UID of the downloading user
+ * @param {string} download.channel - One of DOWNLOAD_CHANNELS
+ * @param {string} download.timestamp - ISO timestamp of the download
+ * @param {object} [download.visitor] - PIN users' request, as { userAgent, ip }
+ * @param {boolean} [download.counted] - False to leave downloadCount alone (the event is still logged)
+ */
+const writeDownloadRecords = (db, writer, fileRef, { bucketId, actor, channel, timestamp, visitor, counted = true }) => {
+  if (counted) {
+    writer.update(fileRef, {
+      downloadCount: FieldValue.increment(1),
+      lastDownloaded: timestamp
+    })
+  }
+  writer.create(db.collection('downloadEvents').doc(), {
+    fileId: fileRef.id,
+    bucketId,
+    actor,
+    timestamp,
+    channel
+  })
+  if (visitor) {
+    writer.create(fileRef.collection('downloads').doc(), {
+      downloadedAt: timestamp,
+      userAgent: coarseUserAgent(visitor.userAgent),
+      ipHash: sha256(`${bucketId}:${visitor.ip}`)
     })
+  }
+}
+
+/**
+ * Download a file as a PIN user, or any file with a download limit, recording the download
+ * - Same access checks as getSignedDownloadUrl, with the download limit checked and the
+ *   count incremented in one transaction so concurrent downloads can't overshoot it
+ * - The bucket owner and editors don't use up a file's downloads, so they can check a
+ *   "burn after reading" file without spending one
+ * - PIN users' downloads are logged in files/{fileId}/downloads with a coarse user agent and a
+ *   hashed IP (salted with the bucket ID, so visitors can't be matched across buckets)
+ * - Every download is appended to the bucket's downloadEvents like any other download
+ * - Returns a signed attachment URL for the file, and whether the download was counted
+ */
+export const recordFileDownload = onCall(async (request) => {
+  requireAuth(request)
+  const { fileId, channel = 'single' } = request.data || {}
+  if (typeof fileId !== 'string' || !fileId) {
+    throw new HttpsError('invalid-argument', 'File ID is required')
+  }
+  if (!DOWNLOAD_CHANNELS.includes(channel)) {
+    throw new HttpsError('invalid-argument', `channel must be one of ${DOWNLOAD_CHANNELS.join(', ')}`)
+  }
 
-    const result = await response.json()
+  const db = getFirestore()
+  const fileRef = db.collection('files').doc(fileId)
+  const downloadedAt = new Date().toISOString()
 
-    if (!result.success) {
-      logger.error('reCAPTCHA verification failed:', result['error-codes'])
-      throw new HttpsError('invalid-argument', 'reCAPTCHA verification failed: ' + (result['error-codes'] || []).join(', '))
+  const { file, counted } = await db.runTransaction(async (transaction) => {
+    const fileDoc = await transaction.get(fileRef)
+    const data = fileDoc.data()
+    if (!data) {
+      throw new HttpsError('not-found', 'File not found')
     }
 
-    return { success: true }
+    const bucket = (await transaction.get(db.collection('buckets').doc(data.bucketId))).data()
+    if (!canReadBucket(request.auth, data.bucketId, bucket)) {
+      throw new HttpsError('permission-denied', 'You do not have access to this file')
+    }
+    if (!isBucketStoragePath(data) || data.isActive === false || isFileExpired(data)) {
+      throw new HttpsError('failed-precondition', 'This file is no longer available for download.')
+    }
+
+    const role = getBucketRole(request.auth, bucket)
+    const isCounted = role !== 'owner' && role !== 'editor'
+    writeDownloadRecords(db, transaction, fileRef, {
+      bucketId: data.bucketId,
+      actor: request.auth.uid,
+      channel,
+      timestamp: downloadedAt,
+      counted: isCounted,
+      visitor: role !== null ? null : {
+        userAgent: request.rawRequest && request.rawRequest.headers['user-agent'],
+        ip: getClientIP(request.rawRequest)
+      }
+    })
+    return { file: data, counted: isCounted }
+  })
+
+  const expires = Date.now() + SIGNED_URL_MINUTES * 60 * 1000
+  const [url] = await getStorage().bucket().file(file.storagePath).getSignedUrl({
+    version: 'v4',
+    action: 'read',
+    expires,
+    responseDisposition: contentDisposition('attachment', file.name)
+  })
+
+  return { url, counted, expiresAt: new Date(expires).toISOString() }
+})
+
+/**
+ * Delete a file's download history along with the file, however it was deleted
+ */
+export const deleteDownloadHistory = onDocumentDeleted('files/{fileId}', async (event) => {
+  await getFirestore().recursiveDelete(event.data.ref.collection('downloads'))
+})
+
+/**
+ * Delete a bucket's download events once the bucket itself is deleted
+ * (events outlive their files, so the timeline still shows files deleted since)
+ */
+export const deleteDownloadEvents = onDocumentDeleted('buckets/{bucketId}', async (event) => {
+  const db = getFirestore()
+  const events = await db.collection('downloadEvents').where('bucketId', '==', event.params.bucketId).get()
+  const writer = db.bulkWriter()
+  events.docs.forEach(eventDoc => writer.delete(eventDoc.ref))
+  await writer.close()
+})
+
+/**
+ * Delete a bucket's pending invitations once the bucket itself is deleted
+ */
+export const deleteBucketInvites = onDocumentDeleted('buckets/{bucketId}', async (event) => {
+  const db = getFirestore()
+  const invites = await db.collection('invites').where('bucketId', '==', event.params.bucketId).get()
+  const writer = db.bulkWriter()
+  invites.docs.forEach(inviteDoc => writer.delete(inviteDoc.ref))
+  await writer.close()
+})
+
+/**
+ * Delete a bucket's password hash once the bucket itself is deleted
+ */
+export const deleteBucketSecrets = onDocumentDeleted('buckets/{bucketId}', async (event) => {
+  await getFirestore().collection('bucketSecrets').doc(event.params.bucketId).delete()
+})
+
+/**
+ * Get the files a ZIP export of a bucket includes: its active files that can still be downloaded.
+ * Files with a download limit are left out, since each of their downloads has to be counted.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} bucketId - Bucket ID
+ * @param {Array<string>|null} [fileIds] - Only include these files (all of the bucket's files if null)
+ * @returns {Promise<Array<FirebaseFirestore.DocumentSnapshot>>}
+ */
+const getExportableFiles = async (db, bucketId, fileIds = null) => {
+  const fileDocs = fileIds
+    ? await db.getAll(...fileIds.map(fileId => db.collection('files').doc(fileId)))
+    : (await db.collection('files').where('bucketId', '==', bucketId).where('isActive', '==', true).get()).docs
+  return fileDocs.filter(fileDoc => {
+    const data = fileDoc.data()
+    return data && data.bucketId === bucketId && data.isActive !== false && isBucketStoragePath(data) &&
+      !data.maxDownloads && !isFileExpired(data)
+  })
+}
+
+/**
+ * Path of a file inside a ZIP export: its folder path and name, with a counter added to repeated names
+ * @param {Set<string>} usedNames - Paths already in the archive; the new path is added
+ * @param {object} data - File document data
+ * @returns {string}
+ */
+const zipEntryName = (usedNames, data) => {
+  const folder = data.path ? `${data.path}/` : ''
+  const dot = data.name.lastIndexOf('.')
+  const [baseName, extension] = dot > 0 ? [data.name.slice(0, dot), data.name.slice(dot)] : [data.name, '']
+
+  let entryName = folder + data.name
+  for (let counter = 1; usedNames.has(entryName); counter++) {
+    entryName = `${folder}${baseName}_${counter}${extension}`
+  }
+  usedNames.add(entryName)
+  return entryName
+}
+
+/**
+ * Wait until the archive has written the entry appended last, or failed
+ * @param {object} archive - archiver instance
+ * @returns {Promise<void>}
+ */
+const waitForEntry = (archive) => new Promise((resolve, reject) => {
+  const onEntry = () => {
+    archive.off('error', onError)
+    resolve()
+  }
+  const onError = (error) => {
+    archive.off('entry', onEntry)
+    reject(error)
+  }
+  archive.once('entry', onEntry)
+  archive.once('error', onError)
+})
+
+/**
+ * Issue a ticket for downloading a bucket as a ZIP through exportBucketZip
+ * - Callers need owner, collaborator or PIN-scoped access to the bucket
+ * - fileIds limits the ZIP to some of the bucket's files (at most MAX_FILES_PER_BULK_CALL)
+ * - Files with a download limit are left out (see getExportableFiles)
+ * - A browser link can't carry the caller's ID token, so the ticket stands in for it: it is
+ *   single use, expires after ZIP_EXPORT_TICKET_MINUTES and records who it was issued to
+ * - The zipExports/{exportId} document doubles as the export's progress report
+ */
+export const createZipExport = onCall(async (request) => {
+  requireAuth(request)
+  const { bucketId, fileIds = null } = request.data || {}
+  if (typeof bucketId !== 'string' || !bucketId) {
+    throw new HttpsError('invalid-argument', 'Bucket ID is required')
+  }
+  if (fileIds !== null && !isFileIdList(fileIds, MAX_FILES_PER_BULK_CALL)) {
+    throw new HttpsError('invalid-argument', `Provide between 1 and ${MAX_FILES_PER_BULK_CALL} file IDs`)
+  }
+
+  const db = getFirestore()
+  const bucketDoc = await db.collection('buckets').doc(bucketId).get()
+  if (!canReadBucket(request.auth, bucketId, bucketDoc.data())) {
+    throw new HttpsError('permission-denied', 'You do not have access to this bucket')
+  }
+  // The server only has the encrypted contents, which are no use in a ZIP
+  if (bucketDoc.get('encryption')) {
+    throw new HttpsError('failed-precondition', 'Files in encrypted buckets are decrypted in the browser, so they can only be downloaded one at a time.')
+  }
+
+  const uniqueFileIds = fileIds && [...new Set(fileIds)]
+  const fileDocs = await getExportableFiles(db, bucketId, uniqueFileIds)
+  if (fileDocs.length === 0) {
+    throw new HttpsError('failed-precondition', 'No files found in bucket')
+  }
+
+  const now = Date.now()
+  const bytesTotal = fileDocs.reduce((total, fileDoc) => total + (fileDoc.get('size') || 0), 0)
+  const exportRef = await db.collection('zipExports').add({
+    bucketId,
+    uid: request.auth.uid,
+    email: request.auth.token.email || null,
+    pinGrant: (request.auth.token.pinBuckets || {})[bucketId] || null,
+    fileIds: uniqueFileIds,
+    status: 'ready',
+    filesTotal: fileDocs.length,
+    bytesTotal,
+    filesDone: 0,
+    bytesDone: 0,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ZIP_EXPORT_TICKET_MINUTES * 60 * 1000).toISOString()
+  })
+
+  return {
+    exportId: exportRef.id,
+    url: `https://${ZIP_EXPORT_REGION}-${process.env.GCLOUD_PROJECT}.cloudfunctions.net/exportBucketZip/${exportRef.id}`,
+    filesTotal: fileDocs.length,
+    bytesTotal
+  }
+})
+
+/**
+ * Stream a bucket's active files as a ZIP, straight from Storage
+ * - Served at exportBucketZip/{exportId}, the URL createZipExport returns; the export ID is a ticket from createZipExport
+ * - Access is checked again when the ticket is redeemed, in case it was revoked in between
+ * - Files are read one at a time, so memory use doesn't grow with the bucket
+ * - Progress (filesDone, bytesDone) and the outcome (status 'done', 'failed' or 'aborted')
+ *   are written to the zipExports document for the client to follow
+ * - Each file in a finished export counts as a download on the 'zip' channel
+ */
+export const exportBucketZip = onRequest({ region: ZIP_EXPORT_REGION, timeoutSeconds: 540, memory: '512MiB' }, async (req, res) => {
+  if (req.method !== 'GET') {
+    res.status(405).send('Method not allowed')
+    return
+  }
+
+  const exportId = req.path.split('/').filter(Boolean).pop()
+  if (!exportId) {
+    res.status(400).send('Export ID is required')
+    return
+  }
+
+  const db = getFirestore()
+  const exportRef = db.collection('zipExports').doc(exportId)
+
+  // Claim the ticket so it can only be redeemed once
+  const ticket = await db.runTransaction(async (transaction) => {
+    const exportDoc = await transaction.get(exportRef)
+    const data = exportDoc.data()
+    if (!data || data.status !== 'ready' || data.expiresAt <= new Date().toISOString()) return null
+
+    transaction.update(exportRef, { status: 'streaming', startedAt: new Date().toISOString() })
+    return data
+  })
+  if (!ticket) {
+    res.status(410).send('This download link has expired. Please start the download again.')
+    return
+  }
+
+  const auth = {
+    uid: ticket.uid,
+    token: {
+      email: ticket.email,
+      pinBuckets: ticket.pinGrant ? { [ticket.bucketId]: ticket.pinGrant } : {}
+    }
+  }
+  const bucketDoc = await db.collection('buckets').doc(ticket.bucketId).get()
+  const bucket = bucketDoc.data()
+  if (!canReadBucket(auth, ticket.bucketId, bucket)) {
+    await exportRef.update({ status: 'failed' })
+    res.status(403).send('You no longer have access to this bucket.')
+    return
+  }
+
+  const fileDocs = await getExportableFiles(db, ticket.bucketId, ticket.fileIds || null)
+  const archive = archiver('zip', { zlib: { level: 6 } })
+  const progress = { filesDone: 0, bytesDone: 0 }
+  const included = []
+  let lastReport = 0
+  let aborted = false
+
+  const reportProgress = () => {
+    if (Date.now() - lastReport < ZIP_EXPORT_PROGRESS_INTERVAL_MS) return
+    lastReport = Date.now()
+    exportRef.update(progress).catch(error => logger.warn(`Failed to report progress of ZIP export ${exportId}:`, error))
+  }
+
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      aborted = true
+      archive.abort()
+    }
+  })
+  archive.on('warning', warning => logger.warn(`ZIP export ${exportId}:`, warning))
+
+  res.set('Content-Type', 'application/zip')
+  res.set('Content-Disposition', contentDisposition('attachment', `${bucket.name.replace(/[^a-zA-Z0-9.-]/g, '_')}_files.zip`))
+  res.set('Cache-Control', 'no-store')
+  archive.pipe(res)
+
+  try {
+    const usedNames = new Set()
+    for (const fileDoc of fileDocs) {
+      if (aborted) break
+
+      const data = fileDoc.data()
+      const storageFile = getStorage().bucket().file(data.storagePath)
+      const [exists] = await storageFile.exists()
+      if (!exists) {
+        logger.warn(`Skipping missing file in ZIP export ${exportId}: ${data.storagePath}`)
+        continue
+      }
+
+      const written = waitForEntry(archive)
+      archive.append(storageFile.createReadStream(), {
+        name: zipEntryName(usedNames, data),
+        date: data.uploadedAt ? new Date(data.uploadedAt) : new Date()
+      })
+      await written
+
+      included.push(fileDoc)
+      progress.filesDone++
+      progress.bytesDone += data.size || 0
+      reportProgress()
+    }
+
+    if (aborted) {
+      throw new Error('The client disconnected')
+    }
+    await archive.finalize()
   } catch (error) {
-    logger.error('Error verifying reCAPTCHA:', error)
-    if (error instanceof HttpsError) {
-      throw error
+    logger.error(`ZIP export ${exportId} failed:`, error)
+    await exportRef.update({ ...progress, status: aborted ? 'aborted' : 'failed' })
+    // The headers are already sent, so break the connection rather than end a truncated ZIP cleanly
+    archive.abort()
+    res.destroy(error)
+    return
+  }
+
+  try {
+    // Batches are capped at 500 writes and a download takes up to 3
+    const visitor = isBucketMember(auth, bucket) ? null : { userAgent: req.get('user-agent'), ip: getClientIP(req) }
+    const timestamp = new Date().toISOString()
+    for (let i = 0; i < included.length; i += 150) {
+      const batch = db.batch()
+      included.slice(i, i + 150).forEach(fileDoc => writeDownloadRecords(db, batch, fileDoc.ref, {
+        bucketId: ticket.bucketId,
+        actor: ticket.uid,
+        channel: 'zip',
+        timestamp,
+        visitor
+      }))
+      await batch.commit()
     }
-    throw new HttpsError('internal', 'Failed to verify reCAPTCHA')
+  } catch (error) {
+    logger.error(`Failed to record the downloads of ZIP export ${exportId}:`, error)
+  }
+
+  await exportRef.update({ ...progress, status: 'done', completedAt: new Date().toISOString() })
+  logger.info(`ZIP export ${exportId} of bucket ${ticket.bucketId} sent ${progress.filesDone} files`)
+})
+
+/**
+ * Free Storage path in another bucket for a moved or copied file: the same object name under
+ * the target bucket's files/ path, with a timestamp added if that name is taken
+ * @param {object} storageBucket - Admin Storage bucket
+ * @param {string} storagePath - Current object path
+ * @param {string} targetBucketId - Target bucket ID
+ * @returns {Promise<string>}
+ */
+const transferStoragePath = async (storageBucket, storagePath, targetBucketId) => {
+  const match = /^buckets\/[^/]+\/files\/(.+)$/.exec(storagePath)
+  const objectName = match ? match[1] : storagePath.split('/').pop()
+  const targetPath = `buckets/${targetBucketId}/files/${objectName}`
+
+  const [taken] = await storageBucket.file(targetPath).exists()
+  if (!taken) return targetPath
+
+  const slash = objectName.lastIndexOf('/')
+  return `buckets/${targetBucketId}/files/${objectName.slice(0, slash + 1)}${Date.now()}_${objectName.slice(slash + 1)}`
+}
+
+/**
+ * Reserve storage for bytes that are about to be added to a user's files, so concurrent uploads
+ * and transfers see them before updateStorageUsage counts the new file
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} ownerId - User the bytes count towards
+ * @param {number} bytes - Bytes to reserve
+ * @returns {Promise<boolean>} False if they would take the user past STORAGE_LIMIT_BYTES
+ */
+const reserveStorage = (db, ownerId, bytes) => db.runTransaction(async (transaction) => {
+  const userRef = db.collection('users').doc(ownerId)
+  const userDoc = await transaction.get(userRef)
+  const committed = (userDoc.get('storageUsed') || 0) + (userDoc.get('storageReserved') || 0)
+  if (committed + bytes > STORAGE_LIMIT_BYTES) return false
+
+  transaction.set(userRef, { storageReserved: FieldValue.increment(bytes) }, { merge: true })
+  return true
+})
+
+/**
+ * Give back a reservation from reserveStorage
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} ownerId - User the bytes were reserved for
+ * @param {number} bytes - Bytes reserved
+ * @returns {Promise<void>}
+ */
+const releaseStorage = async (db, ownerId, bytes) => {
+  await db.collection('users').doc(ownerId).set({ storageReserved: FieldValue.increment(-bytes) }, { merge: true })
+}
+
+/**
+ * Move or copy files into another bucket
+ * - The caller must be able to upload to the target bucket. Moves also need the owner or editor
+ *   role in the buckets the files are in; copies only need to be a member
+ * - Each Storage object is copied server-side to the target bucket's files/ path. A move points the
+ *   file document at the copy and deletes the old object, keeping its download stats and history;
+ *   a copy gets a new file document with fresh download stats
+ * - Files that would take the target bucket's owner past STORAGE_LIMIT_BYTES are refused
+ *   (moves between buckets of the same owner don't change their usage). The bytes are reserved
+ *   before each copy and carried on the file document as reservedBytes until updateStorageUsage
+ *   has counted them
+ * - Files whose content (contentHash) is already in the target bucket are not transferred again
+ * - Files whose storagePath lies outside their own bucket's files/ folder are refused, so a file
+ *   document can't be used to copy or delete another bucket's objects
+ * - Encrypted files can't leave their bucket, and nothing can be transferred into an encrypted bucket
+ * - updateBucketStats and updateStorageUsage adjust both buckets and owners
+ * - Returns the file IDs by outcome; for copies, newFileIds maps each file to its copy
+ */
+export const transferFiles = onCall({ timeoutSeconds: 540 }, async (request) => {
+  requireAuth(request)
+  const { fileIds, targetBucketId, mode = 'move' } = request.data || {}
+  if (!isFileIdList(fileIds, MAX_FILES_PER_BULK_CALL)) {
+    throw new HttpsError('invalid-argument', `Provide between 1 and ${MAX_FILES_PER_BULK_CALL} file IDs`)
+  }
+  if (typeof targetBucketId !== 'string' || !targetBucketId) {
+    throw new HttpsError('invalid-argument', 'Target bucket ID is required')
+  }
+  if (mode !== 'move' && mode !== 'copy') {
+    throw new HttpsError('invalid-argument', "mode must be 'move' or 'copy'")
+  }
+
+  const db = getFirestore()
+  const targetDoc = await db.collection('buckets').doc(targetBucketId).get()
+  const target = targetDoc.data()
+  if (!target || target.isActive === false ||
+    !['owner', 'uploader', 'editor'].includes(getBucketRole(request.auth, target))) {
+    throw new HttpsError('permission-denied', 'You can only move or copy files into buckets you can upload to')
+  }
+  // Each encrypted bucket has its own key, which the server never sees, so files can't be re-encrypted for it
+  if (target.encryption) {
+    throw new HttpsError('failed-precondition', "Files can't be moved or copied into an encrypted bucket. Upload them there instead.")
+  }
+
+  const fileDocs = await db.getAll(...[...new Set(fileIds)].map(fileId => db.collection('files').doc(fileId)))
+  const sourceBucketIds = [...new Set(fileDocs.filter(fileDoc => fileDoc.exists).map(fileDoc => fileDoc.get('bucketId')))]
+  const sourceBucketDocs = sourceBucketIds.length > 0
+    ? await db.getAll(...sourceBucketIds.map(bucketId => db.collection('buckets').doc(bucketId)))
+    : []
+  const sourceRoles = mode === 'move' ? ['owner', 'editor'] : ['owner', ...COLLABORATOR_ROLES]
+  const sourceBuckets = new Map(sourceBucketDocs
+    .filter(bucketDoc => bucketDoc.exists && sourceRoles.includes(getBucketRole(request.auth, bucketDoc.data())))
+    .map(bucketDoc => [bucketDoc.id, bucketDoc.data()]))
+
+  // Content already in the target bucket, including what this call transfers into it
+  const targetFiles = await db.collection('files')
+    .where('bucketId', '==', targetBucketId)
+    .where('isActive', '==', true)
+    .get()
+  const targetHashes = new Set(targetFiles.docs.map(fileDoc => fileDoc.get('contentHash')).filter(Boolean))
+
+  const storageBucket = getStorage().bucket()
+  const result = { transferred: [], skipped: [], duplicates: [], overQuota: [], failed: [], newFileIds: {} }
+
+  for (const fileDoc of fileDocs) {
+    const data = fileDoc.data()
+    if (!data || data.isActive === false || !isBucketStoragePath(data) || data.encrypted || isFileExpired(data) ||
+      !sourceBuckets.has(data.bucketId)) {
+      result.failed.push(fileDoc.id)
+      continue
+    }
+    if (data.bucketId === targetBucketId) {
+      result.skipped.push(fileDoc.id)
+      continue
+    }
+    if (data.contentHash && targetHashes.has(data.contentHash)) {
+      result.duplicates.push(fileDoc.id)
+      continue
+    }
+
+    // Moves between one owner's buckets leave their usage unchanged. Files uploaded before
+    // ownerId was recorded belong to their bucket's owner.
+    const sourceOwnerId = data.ownerId || sourceBuckets.get(data.bucketId).ownerId
+    const addedUsage = mode === 'copy' || sourceOwnerId !== target.ownerId ? storedFileSize(data) : 0
+    if (addedUsage > 0 && !(await reserveStorage(db, target.ownerId, addedUsage))) {
+      result.overQuota.push(fileDoc.id)
+      continue
+    }
+    // Released here if the transfer fails, by updateStorageUsage once the file document is written
+    let heldReservation = addedUsage
+
+    try {
+      const newPath = await transferStoragePath(storageBucket, data.storagePath, targetBucketId)
+      await storageBucket.file(data.storagePath).copy(storageBucket.file(newPath))
+      // The copy carries the original's metadata, including any legacy download token
+      if (data.downloadURL) {
+        await revokeDownloadTokens(newPath)
+      }
+
+      const transferred = { bucketId: targetBucketId, ownerId: target.ownerId, storagePath: newPath, downloadURL: '' }
+      if (addedUsage > 0) {
+        transferred.reservedBytes = addedUsage
+      }
+      try {
+        if (mode === 'move') {
+          await fileDoc.ref.update(transferred)
+        } else {
+          const copyRef = await db.collection('files').add({
+            ...data,
+            ...transferred,
+            uploadedAt: new Date().toISOString(),
+            uploadedBy: request.auth.uid,
+            downloadCount: 0,
+            lastDownloaded: null
+          })
+          result.newFileIds[fileDoc.id] = copyRef.id
+        }
+      } catch (error) {
+        await storageBucket.file(newPath).delete({ ignoreNotFound: true })
+        throw error
+      }
+      heldReservation = 0
+
+      if (mode === 'move') {
+        await storageBucket.file(data.storagePath).delete({ ignoreNotFound: true })
+      }
+      if (data.contentHash) targetHashes.add(data.contentHash)
+      result.transferred.push(fileDoc.id)
+    } catch (error) {
+      logger.error(`Failed to ${mode} file ${fileDoc.id} to bucket ${targetBucketId}:`, error)
+      result.failed.push(fileDoc.id)
+      if (heldReservation > 0) {
+        await releaseStorage(db, target.ownerId, heldReservation)
+      }
+    }
+  }
+
+  logger.info(`Transferred (${mode}) ${result.transferred.length} files to bucket ${targetBucketId}:`, {
+    skipped: result.skipped.length,
+    duplicates: result.duplicates.length,
+    overQuota: result.overQuota.length,
+    failed: result.failed.length
+  })
+  return result
+})
+
+/**
+ * Delete ZIP export tickets issued before a cutoff
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} cutoff - ISO timestamp
+ * @returns {Promise<number>} Tickets deleted
+ */
+const purgeZipExports = async (db, cutoff) => {
+  const exportsQuery = await db.collection('zipExports')
+    .where('createdAt', '<=', cutoff)
+    .get()
+  const writer = db.bulkWriter()
+  exportsQuery.docs.forEach(exportDoc => writer.delete(exportDoc.ref))
+  await writer.close()
+  return exportsQuery.size
+}
+
+/**
+ * Stop serving a file once it has been downloaded as often as its maxDownloads allows
+ * - Token URLs for it stop working, and getSignedDownloadUrl refuses it from now on
+ * - expiresAt is set to now, so cleanupBuckets purges the file on its next run
+ */
+export const enforceDownloadLimit = onDocumentUpdated('files/{fileId}', async (event) => {
+  const before = event.data.before.data()
+  const after = event.data.after.data()
+  // Only act when the limit is first reached
+  if (!hasReachedDownloadLimit(after) || hasReachedDownloadLimit(before)) return
+
+  if (after.storagePath) {
+    await revokeDownloadTokens(after.storagePath)
+  }
+
+  await event.data.after.ref.update({
+    downloadURL: '',
+    expiresAt: new Date().toISOString()
+  })
+  logger.info(`File ${event.params.fileId} reached its download limit of ${after.maxDownloads}`)
+})
+
+/**
+ * Revoke the permanent token URLs of files uploaded before downloads moved to signed URLs
+ * - Restricted to callers with the admin custom claim
+ * - Removes the download tokens from each object and clears the stored downloadURL
+ * - Safe to repeat; files without a downloadURL are skipped
+ */
+export const revokeLegacyDownloadUrls = onCall({ timeoutSeconds: 540 }, async (request) => {
+  requireAdmin(request)
+
+  const db = getFirestore()
+  const summary = { revoked: 0, missing: 0, skipped: 0 }
+  const pageSize = 300
+  let lastDoc = null
+
+  for (;;) {
+    let pageQuery = db.collection('files').orderBy('__name__').limit(pageSize)
+    if (lastDoc) pageQuery = pageQuery.startAfter(lastDoc)
+    const page = await pageQuery.get()
+    if (page.empty) break
+
+    const batch = db.batch()
+    let pending = 0
+
+    for (const fileDoc of page.docs) {
+      if (!fileDoc.get('downloadURL')) {
+        summary.skipped++
+        continue
+      }
+
+      const storagePath = fileDoc.get('storagePath')
+      const exists = storagePath ? await revokeDownloadTokens(storagePath) : false
+      summary[exists ? 'revoked' : 'missing']++
+      batch.update(fileDoc.ref, { downloadURL: '' })
+      pending++
+    }
+
+    if (pending > 0) {
+      await batch.commit()
+    }
+
+    lastDoc = page.docs[page.docs.length - 1]
+    if (page.docs.length < pageSize) break
   }
+
+  logger.info('Legacy download URL revocation completed:', summary)
+  return summary
 })
 
 /**
- * Scheduled function that runs daily at midnight UTC to clean up expired and inactive buckets
- * - Buckets older than 7 days are automatically deleted along with their files
+ * Permanently delete files that have expired, or been in the trash longer than the retention window
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {object} storage - Admin Storage instance
+ * @returns {Promise<{filesPurged: number, storageFreedBytes: number}>}
+ */
+const purgeFiles = async (db, storage) => {
+  const now = new Date().toISOString()
+  const trashCutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+  const [trashed, expired] = await Promise.all([
+    db.collection('files')
+      .where('isActive', '==', false)
+      .where('deletedAt', '<=', trashCutoff)
+      .get(),
+    db.collection('files')
+      .where('expiresAt', '<=', now)
+      .get()
+  ])
+
+  // A file can be both trashed and expired
+  const fileDocs = new Map([...trashed.docs, ...expired.docs].map(fileDoc => [fileDoc.id, fileDoc]))
+  const docs = Array.from(fileDocs.values())
+
+  const result = { filesPurged: 0, storageFreedBytes: 0 }
+  // Batches are capped at 500 writes
+  for (let i = 0; i < docs.length; i += 500) {
+    const batch = db.batch()
+    for (const fileDoc of docs.slice(i, i + 500)) {
+      const storagePath = fileDoc.get('storagePath')
+      // A path outside the file's own bucket names someone else's object; only the document goes
+      if (storagePath && !isBucketStoragePath(fileDoc.data())) {
+        logger.warn(`Not deleting ${storagePath}: it is outside bucket ${fileDoc.get('bucketId')}`)
+      } else if (storagePath) {
+        try {
+          await storage.bucket().file(storagePath).delete({ ignoreNotFound: true })
+          result.storageFreedBytes += fileDoc.get('size') || 0
+        } catch (storageError) {
+          logger.warn(`Failed to delete purged file from storage: ${storagePath}`, storageError)
+          continue
+        }
+      }
+      batch.delete(fileDoc.ref)
+      result.filesPurged++
+    }
+    await batch.commit()
+  }
+
+  return result
+}
+
+/**
+ * Scheduled function that runs every hour to clean up expired and inactive buckets
+ * - Buckets past their expiresAt are automatically deleted along with their files
+ * - Buckets without expiresAt (created before per-bucket expiry) expire 7 days after creation
  * - Inactive buckets older than 24 hours are permanently deleted
+ * - Files in the trash for longer than TRASH_RETENTION_DAYS, or past their own expiresAt
+ *   (or download limit), are permanently deleted
+ * - ZIP export tickets older than 24 hours are deleted
  */
-export const cleanupBuckets = onSchedule("0 0 * * *", async (event) => {
+export const cleanupBuckets = onSchedule("0 * * * *", async (event) => {
   const db = getFirestore();
   const storage = getStorage();
   
   // Calculate the cutoff dates
-  const sevenDaysAgo = new Date();
-  sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-  const sevenDaysCutoff = sevenDaysAgo.toISOString();
+  const nowCutoff = new Date().toISOString();
+
+  const legacyExpiry = new Date();
+  legacyExpiry.setHours(legacyExpiry.getHours() - BUCKET_EXPIRY.DEFAULT_HOURS);
+  const legacyCutoff = legacyExpiry.toISOString();
 
   const oneDayAgo = new Date();
   oneDayAgo.setDate(oneDayAgo.getDate() - 1);
   const oneDayCutoff = oneDayAgo.toISOString();
   
   logger.info(`Starting cleanup of buckets:
-  - Created before (expired): ${sevenDaysCutoff}
+  - Expiring before: ${nowCutoff}
+  - Created before (no expiresAt): ${legacyCutoff}
   - Inactive since: ${oneDayCutoff}`);
   
   try {
-    // Find expired buckets (created more than 7 days ago and still active)
-    const expiredBucketsQuery = await db.collection('buckets')
-      .where('createdAt', '<=', sevenDaysCutoff)
+    const purgeSummary = await purgeFiles(db, storage);
+    logger.info(`Purged ${purgeSummary.filesPurged} trashed or expired files`);
+
+    const exportsPurged = await purgeZipExports(db, oneDayCutoff);
+    logger.info(`Purged ${exportsPurged} ZIP export tickets`);
+
+    // Find expired buckets (past their expiresAt and still active)
+    const expiringBucketsQuery = await db.collection('buckets')
+      .where('isActive', '==', true)
+      .where('expiresAt', '<=', nowCutoff)
+      .get();
+
+    // Buckets without expiresAt fall back to the default lifetime from creation.
+    // Buckets that do have expiresAt are left to the query above, so extended ones survive.
+    const legacyBucketsQuery = await db.collection('buckets')
+      .where('createdAt', '<=', legacyCutoff)
       .where('isActive', '==', true)
       .get();
+
+    const expiredBuckets = [
+      ...expiringBucketsQuery.docs,
+      ...legacyBucketsQuery.docs.filter(bucketDoc => !bucketDoc.get('expiresAt'))
+    ];
     
     // Find inactive buckets (marked inactive for more than 24 hours)
     const inactiveBucketsQuery = await db.collection('buckets')
@@ -87,13 +2312,13 @@ export const cleanupBuckets = onSchedule("0 0 * * *", async (event) => {
       .where('updatedAt', '<=', oneDayCutoff)
       .get();
     
-    if (expiredBucketsQuery.empty && inactiveBucketsQuery.empty) {
+    if (expiredBuckets.length === 0 && inactiveBucketsQuery.empty) {
       logger.info('No buckets to clean up');
       return null;
     }
     
     logger.info(`Found buckets to clean up:
-    - Expired: ${expiredBucketsQuery.docs.length}
+    - Expired: ${expiredBuckets.length}
     - Inactive: ${inactiveBucketsQuery.docs.length}`);
     
     const batch = db.batch();
@@ -117,8 +2342,8 @@ export const cleanupBuckets = onSchedule("0 0 * * *", async (event) => {
         for (const fileDoc of filesQuery.docs) {
           const fileData = fileDoc.data();
           
-          // Delete from Firebase Storage
-          if (fileData.storagePath) {
+          // Delete from Firebase Storage (only objects inside this bucket's own folder)
+          if (fileData.storagePath && isBucketStoragePath(fileData)) {
             try {
               await storage.bucket().file(fileData.storagePath).delete();
               totalStorageFreed += fileData.size || 0;
@@ -133,8 +2358,11 @@ export const cleanupBuckets = onSchedule("0 0 * * *", async (event) => {
           totalFilesDeleted++;
         }
         
-        // Delete bucket document
+        // Delete bucket document and release its PIN
         batch.delete(bucketDoc.ref);
+        if (bucketData.hashedPin) {
+          batch.delete(pinReservationRef(db, bucketData.hashedPin));
+        }
         
         logger.info(`Prepared deletion for bucket: ${bucketData.name} with ${filesQuery.docs.length} files`);
       } catch (bucketError) {
@@ -143,7 +2371,7 @@ export const cleanupBuckets = onSchedule("0 0 * * *", async (event) => {
     };
 
     // Process expired buckets
-    for (const bucketDoc of expiredBucketsQuery.docs) {
+    for (const bucketDoc of expiredBuckets) {
       await processBucketDeletion(bucketDoc, 'expired');
     }
 
@@ -156,9 +2384,10 @@ export const cleanupBuckets = onSchedule("0 0 * * *", async (event) => {
     await batch.commit();
     
     const summary = {
-      expiredBucketsDeleted: expiredBucketsQuery.docs.length,
+      filesPurged: purgeSummary.filesPurged,
+      expiredBucketsDeleted: expiredBuckets.length,
       inactiveBucketsDeleted: inactiveBucketsQuery.docs.length,
-      totalBucketsDeleted: expiredBucketsQuery.docs.length + inactiveBucketsQuery.docs.length,
+      totalBucketsDeleted: expiredBuckets.length + inactiveBucketsQuery.docs.length,
       filesDeleted: totalFilesDeleted,
       storageFreedBytes: totalStorageFreed,
       storageFreedMB: (totalStorageFreed / (1024 * 1024)).toFixed(2)
@@ -174,12 +2403,10 @@ export const cleanupBuckets = onSchedule("0 0 * * *", async (event) => {
 });
 
 /**
- * Helper function to check if a bucket should be deleted based on creation date
+ * Helper function to check if a bucket should be deleted based on its expiry
+ * (or its creation date for buckets without expiresAt)
  * This can be called from other functions if needed
  */
-export const shouldDeleteBucket = (createdAt) => {
-  const createdDate = new Date(createdAt);
-  const now = new Date();
-  const daysDiff = Math.floor((now - createdDate) / (1000 * 60 * 60 * 24));
-  return daysDiff >= 7;
+export const shouldDeleteBucket = (bucket) => {
+  return getBucketExpirationDate(bucket) <= new Date();
 };
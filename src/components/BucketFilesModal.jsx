@@ -1,14 +1,20 @@
 import { useState, useEffect, useRef } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import { fileService } from '../services/file.service'
+import { bucketService } from '../services/bucket.service'
+import { useFileUploads } from '../hooks/useFileUploads'
+import { useFileUrls } from '../hooks/useFileUrls'
 import { formatFileSize, formatDate } from '../utils/helpers'
+import { getFolderContents, getDroppedFiles, getSelectedFiles } from '../utils/folders'
 import Logger from '../utils/logger.js'
 import FilePreviewModal from './FilePreviewModal'
+import UploadProgressPanel from './UploadProgressPanel'
+import FolderBreadcrumbs from './FolderBreadcrumbs'
+import BucketUnlockPanel from './BucketUnlockPanel'
 
 export default function BucketFilesModal({ bucket, isOpen, onClose }) {
   const [files, setFiles] = useState([])
   const [isLoading, setIsLoading] = useState(false)
-  const [isUploading, setIsUploading] = useState(false)
   const [error, setError] = useState('')
   const [dragActive, setDragActive] = useState(false)
   const [downloadingFiles, setDownloadingFiles] = useState(new Set())
@@ -16,14 +22,41 @@ export default function BucketFilesModal({ bucket, isOpen, onClose }) {
   const [viewMode, setViewMode] = useState('grid')
   const [downloadingZip, setDownloadingZip] = useState(false)
   const [zipProgress, setZipProgress] = useState({ current: 0, total: 0 })
+  const [currentFolder, setCurrentFolder] = useState('')
+  const [bucketLocked, setBucketLocked] = useState(false)
   const fileInputRef = useRef(null)
+  const folderInputRef = useRef(null)
+  const {
+    uploads,
+    isUploading,
+    uploadFiles,
+    pauseUpload,
+    resumeUpload,
+    cancelUpload,
+    retryUpload,
+    clearFinished,
+    interruptedUploads,
+    resumeInterruptedUploads,
+    discardInterruptedUploads
+  } = useFileUploads(bucket?.id, 'pin-user')
 
   useEffect(() => {
     if (isOpen && bucket?.id) {
+      setCurrentFolder('')
       loadFiles()
     }
   }, [isOpen, bucket?.id])
 
+  // Follows the bucket's encryption settings, which can change without the bucket ID changing
+  useEffect(() => {
+    if (isOpen && bucket) {
+      setBucketLocked(bucket.isEncrypted() && !bucketService.getBucketKeys(bucket.id))
+    }
+  }, [isOpen, bucket])
+
+  const folderContents = getFolderContents(files, currentFolder)
+  const fileUrls = useFileUrls(folderContents.files)
+
   const loadFiles = async () => {
     if (!bucket?.id) {
       setError('Invalid bucket')
@@ -44,17 +77,18 @@ export default function BucketFilesModal({ bucket, isOpen, onClose }) {
   }
 
   const handleFileSelect = async (e) => {
-    const selectedFiles = Array.from(e.target.files || [])
+    const selectedFiles = getSelectedFiles(e.target.files || [], currentFolder)
     if (selectedFiles.length === 0) return
     
     await handleUpload(selectedFiles)
+    e.target.value = ''
   }
 
-  const handleUpload = async (filesToUpload) => {
-    setIsUploading(true)
+  // startUpload is uploadFiles for new files, or resumeInterruptedUploads
+  const handleUpload = async (filesToUpload, startUpload = uploadFiles) => {
     setError('')
     try {
-      await fileService.uploadFiles(filesToUpload, bucket.id, 'pin-user')
+      await startUpload(filesToUpload)
       if (fileInputRef.current) {
         fileInputRef.current.value = ''
       }
@@ -63,8 +97,6 @@ export default function BucketFilesModal({ bucket, isOpen, onClose }) {
     } catch (error) {
       Logger.error('Error uploading files:', error)
       setError(error.message || 'Failed to upload files. Please try again.')
-    } finally {
-      setIsUploading(false)
     }
   }
 
@@ -75,14 +107,8 @@ export default function BucketFilesModal({ bucket, isOpen, onClose }) {
 
     try {
       setDownloadingFiles(prev => new Set(prev).add(file.id))
-      const downloadUrl = await fileService.downloadFileForPinUser(file.id)
-      const response = await fetch(downloadUrl)
-      
-      if (!response.ok) {
-        throw new Error('Failed to fetch file')
-      }
-      
-      const blob = await response.blob()
+      const downloadURL = await fileService.downloadFileForPinUser(file.id)
+      const blob = await fileService.fetchVerifiedBlob(file, downloadURL)
       const objectUrl = URL.createObjectURL(blob)
       const link = document.createElement('a')
       link.href = objectUrl
@@ -93,7 +119,7 @@ export default function BucketFilesModal({ bucket, isOpen, onClose }) {
       URL.revokeObjectURL(objectUrl)
     } catch (error) {
       Logger.error('Error downloading file:', error)
-      setError('Failed to download file. Please try again.')
+      setError(error.message)
     } finally {
       setTimeout(() => {
         setDownloadingFiles(prev => {
@@ -121,7 +147,8 @@ export default function BucketFilesModal({ bucket, isOpen, onClose }) {
     setDragActive(false)
 
     if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-      const droppedFiles = Array.from(e.dataTransfer.files)
+      // Dropped folders are walked so their files keep their place in the tree
+      const droppedFiles = await getDroppedFiles(e.dataTransfer, currentFolder)
       await handleUpload(droppedFiles)
     }
   }
@@ -150,7 +177,7 @@ export default function BucketFilesModal({ bucket, isOpen, onClose }) {
       }
 
       // Download as ZIP using the file service
-      await fileService.downloadBucketAsZip(bucket.id, bucket.name, onProgress)
+      await fileService.downloadBucketAsZip(bucket.id, onProgress)
 
     } catch (error) {
       Logger.error('ZIP download error:', error)
@@ -188,8 +215,8 @@ export default function BucketFilesModal({ bucket, isOpen, onClose }) {
                 </p>
               </div>
               <div className="flex items-center space-x-3 sm:space-x-4">
-                {/* Download ZIP Button - Show if there are files */}
-                {files.length > 0 && (
+                {/* Download ZIP Button - Show if there are files (encrypted files can't be zipped server-side) */}
+                {files.length > 0 && !bucket.isEncrypted() && (
                   <button
                     onClick={downloadBucketAsZip}
                     disabled={downloadingZip}
@@ -252,8 +279,16 @@ export default function BucketFilesModal({ bucket, isOpen, onClose }) {
               </div>
             </div>
 
+            {bucketLocked && (
+              <BucketUnlockPanel
+                className="mt-4 sm:mt-6"
+                bucket={bucket}
+                onUnlock={() => setBucketLocked(false)}
+              />
+            )}
+
             {/* Upload Area - Only show if PIN uploads are allowed */}
-            {bucket?.allowPinUploads && (
+            {bucket?.allowPinUploads && !bucketLocked && (
               <div className="mt-4 sm:mt-6">
                 <div 
                   className={`border-2 border-dashed rounded-lg p-4 sm:p-6 text-center transition-colors ${
@@ -271,6 +306,13 @@ export default function BucketFilesModal({ bucket, isOpen, onClose }) {
                     onChange={handleFileSelect}
                     className="hidden"
                   />
+                  <input
+                    ref={folderInputRef}
+                    type="file"
+                    webkitdirectory=""
+                    onChange={handleFileSelect}
+                    className="hidden"
+                  />
                   <button
                     onClick={() => fileInputRef.current?.click()}
                     disabled={isUploading}
@@ -285,8 +327,29 @@ export default function BucketFilesModal({ bucket, isOpen, onClose }) {
                       'Upload Files'
                     )}
                   </button>
-                  <p className="text-xs sm:text-sm text-gray-500 mt-2">or drag and drop files here</p>
+                  <button
+                    onClick={() => folderInputRef.current?.click()}
+                    disabled={isUploading}
+                    className="ml-2 inline-flex items-center px-3 sm:px-4 py-1.5 sm:py-2 border border-blue-600 text-sm font-medium rounded-md text-blue-600 bg-white hover:bg-blue-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Upload Folder
+                  </button>
+                  <p className="text-xs sm:text-sm text-gray-500 mt-2">
+                    or drag and drop files and folders here{currentFolder && <> (into <span className="font-medium">{currentFolder}</span>)</>}
+                  </p>
                 </div>
+                <UploadProgressPanel
+                  className="mt-3"
+                  uploads={uploads}
+                  onPause={pauseUpload}
+                  onResume={resumeUpload}
+                  onCancel={cancelUpload}
+                  onRetry={(uploadId) => handleUpload(null, () => retryUpload(uploadId))}
+                  onClear={clearFinished}
+                  interruptedUploads={interruptedUploads}
+                  onResumeInterrupted={() => handleUpload(null, resumeInterruptedUploads)}
+                  onDiscardInterrupted={discardInterruptedUploads}
+                />
               </div>
             )}
 
@@ -311,9 +374,33 @@ export default function BucketFilesModal({ bucket, isOpen, onClose }) {
                 <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600 mx-auto"></div>
               </div>
             ) : files.length > 0 ? (
-              viewMode === 'grid' ? (
+              <>
+              <FolderBreadcrumbs
+                className="mb-4"
+                path={currentFolder}
+                onNavigate={setCurrentFolder}
+                rootLabel={bucket.name}
+              />
+              {viewMode === 'grid' ? (
                 <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-                  {files.map((file) => (
+                  {folderContents.folders.map((folder) => (
+                    <div
+                      key={folder.path}
+                      className="bg-white rounded-lg border border-gray-200 p-4 hover:shadow-lg transition-shadow cursor-pointer flex items-center space-x-3"
+                      onClick={() => setCurrentFolder(folder.path)}
+                    >
+                      <svg className="w-10 h-10 text-yellow-500 flex-shrink-0" fill="currentColor" viewBox="0 0 24 24">
+                        <path d="M10 4H4c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V8c0-1.1-.9-2-2-2h-8l-2-2z" />
+                      </svg>
+                      <div className="min-w-0">
+                        <h3 className="font-medium text-gray-900 truncate text-sm" title={folder.name}>{folder.name}</h3>
+                        <p className="text-xs text-gray-500">
+                          {folder.fileCount} file{folder.fileCount !== 1 ? 's' : ''} • {formatFileSize(folder.size)}
+                        </p>
+                      </div>
+                    </div>
+                  ))}
+                  {folderContents.files.map((file) => (
                     <motion.div
                       key={file.id}
                       className="bg-white rounded-lg border border-gray-200 overflow-hidden hover:shadow-lg transition-shadow group cursor-pointer"
@@ -323,17 +410,17 @@ export default function BucketFilesModal({ bucket, isOpen, onClose }) {
                     >
                       {/* Preview Area */}
                       <div className="aspect-video relative bg-gray-100 flex items-center justify-center">
-                        {file.isImage() ? (
+                        {file.isImage() && !file.encrypted ? (
                           <img
-                            src={file.downloadURL}
+                            src={fileUrls[file.id]}
                             alt={file.name}
                             className="w-full h-full object-cover"
                             loading="lazy"
                           />
-                        ) : file.isVideo() ? (
+                        ) : file.isVideo() && !file.encrypted ? (
                           <div className="w-full h-full relative">
                             <video
-                              src={file.downloadURL}
+                              src={fileUrls[file.id]}
                               className="w-full h-full object-cover"
                               muted
                               preload="metadata"
@@ -392,7 +479,24 @@ export default function BucketFilesModal({ bucket, isOpen, onClose }) {
                 </div>
               ) : (
                 <div className="space-y-2">
-                  {files.map((file) => (
+                  {folderContents.folders.map((folder) => (
+                    <div
+                      key={folder.path}
+                      className="flex items-center space-x-3 p-3 bg-gray-50 hover:bg-gray-100 rounded-lg transition-colors cursor-pointer"
+                      onClick={() => setCurrentFolder(folder.path)}
+                    >
+                      <svg className="w-5 h-5 text-yellow-500 flex-shrink-0" fill="currentColor" viewBox="0 0 24 24">
+                        <path d="M10 4H4c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V8c0-1.1-.9-2-2-2h-8l-2-2z" />
+                      </svg>
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium text-gray-900 truncate">{folder.name}</p>
+                        <p className="text-xs text-gray-500">
+                          {folder.fileCount} file{folder.fileCount !== 1 ? 's' : ''} • {formatFileSize(folder.size)}
+                        </p>
+                      </div>
+                    </div>
+                  ))}
+                  {folderContents.files.map((file) => (
                     <div
                       key={file.id}
                       className="flex items-center justify-between p-3 bg-gray-50 hover:bg-gray-100 rounded-lg transition-colors"
@@ -437,7 +541,8 @@ export default function BucketFilesModal({ bucket, isOpen, onClose }) {
                     </div>
                   ))}
                 </div>
-              )
+              )}
+              </>
             ) : (
               <div className="text-center text-gray-500 py-4">
                 No files uploaded yet
@@ -452,6 +557,7 @@ export default function BucketFilesModal({ bucket, isOpen, onClose }) {
         file={previewFile}
         isOpen={previewFile !== null}
         onClose={() => setPreviewFile(null)}
+        isPinUser
       />
     </AnimatePresence>
   )
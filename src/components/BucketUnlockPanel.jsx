@@ -0,0 +1,102 @@
+import { useState } from 'react'
+import { bucketService } from '../services/bucket.service'
+import { ENCRYPTION } from '../utils/constants'
+import Logger from '../utils/logger.js'
+
+/**
+ * Unlocks an encrypted bucket for this session. The owner of a new bucket whose passphrase
+ * wasn't set yet picks one here. Collaborators, who can't see the PIN, enter it too (askPin).
+ */
+export default function BucketUnlockPanel({ bucket, askPin = false, onUnlock, className = '' }) {
+  const [pinCode, setPinCode] = useState('')
+  const [passphrase, setPassphrase] = useState('')
+  const [confirmation, setConfirmation] = useState('')
+  const [unlocking, setUnlocking] = useState(false)
+  const [error, setError] = useState('')
+
+  const settingUp = bucket.encryption.keyCheck === null && bucket.isOwned
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (settingUp) {
+      if (passphrase.length < ENCRYPTION.MIN_PASSPHRASE_LENGTH) {
+        setError(`Use at least ${ENCRYPTION.MIN_PASSPHRASE_LENGTH} characters.`)
+        return
+      }
+      if (passphrase !== confirmation) {
+        setError("The passphrases don't match.")
+        return
+      }
+    }
+
+    try {
+      setUnlocking(true)
+      setError('')
+      await bucketService.unlockBucket(bucket, passphrase, askPin ? pinCode.trim() : null)
+      onUnlock()
+    } catch (err) {
+      Logger.error('Error unlocking bucket:', err)
+      setError(err.message)
+    } finally {
+      setUnlocking(false)
+    }
+  }
+
+  const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500'
+
+  return (
+    <form onSubmit={handleSubmit} className={`bg-amber-50 border border-amber-200 rounded-lg p-4 lg:p-6 space-y-3 ${className}`}>
+      <div>
+        <h2 className="text-base lg:text-lg font-semibold text-gray-900">
+          {settingUp ? 'Set this bucket\'s passphrase' : 'This bucket is encrypted'}
+        </h2>
+        <p className="text-xs lg:text-sm text-gray-600">
+          {settingUp
+            ? 'Files are encrypted in your browser with a key made from the PIN and this passphrase. Share it with the people you give the PIN to. It can\'t be recovered or changed, so keep it somewhere safe.'
+            : `Enter the ${askPin ? 'PIN and passphrase' : 'passphrase'} to upload, preview and download files.`}
+        </p>
+      </div>
+
+      {error && (
+        <p className="px-3 py-2 text-sm text-red-600 bg-red-50 rounded-lg">{error}</p>
+      )}
+
+      {askPin && (
+        <input
+          type="text"
+          value={pinCode}
+          onChange={(e) => setPinCode(e.target.value)}
+          placeholder="drop-XXXX"
+          autoComplete="off"
+          className={inputClassName}
+        />
+      )}
+      <input
+        type="password"
+        value={passphrase}
+        onChange={(e) => setPassphrase(e.target.value)}
+        placeholder="Passphrase"
+        autoComplete={settingUp ? 'new-password' : 'current-password'}
+        className={inputClassName}
+      />
+      {settingUp && (
+        <input
+          type="password"
+          value={confirmation}
+          onChange={(e) => setConfirmation(e.target.value)}
+          placeholder="Repeat the passphrase"
+          autoComplete="new-password"
+          className={inputClassName}
+        />
+      )}
+
+      <button
+        type="submit"
+        disabled={unlocking || !passphrase || (askPin && !pinCode.trim())}
+        className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+      >
+        {unlocking ? 'Unlocking...' : settingUp ? 'Set passphrase' : 'Unlock'}
+      </button>
+    </form>
+  )
+}
@@ -0,0 +1,200 @@
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { bucketService } from '../services/bucket.service'
+import { COLLABORATOR_ROLES, DEFAULT_COLLABORATOR_ROLE } from '../utils/constants'
+import { formatDate } from '../utils/helpers'
+import Logger from '../utils/logger.js'
+
+// Collaborators with their roles, in the order they joined
+const getMembers = (bucket) => bucket.collaborators.map(email => ({
+  email,
+  role: bucket.collaboratorRoles[email] || DEFAULT_COLLABORATOR_ROLE
+}))
+
+/**
+ * The owner's view of who a bucket is shared with: invite people by email with a role,
+ * change or remove collaborators, and cancel invites that haven't been answered yet
+ */
+export default function CollaboratorsModal({ bucket, onClose }) {
+  const [members, setMembers] = useState(() => getMembers(bucket))
+  const [invites, setInvites] = useState([])
+  const [email, setEmail] = useState('')
+  const [role, setRole] = useState(COLLABORATOR_ROLES[0].value)
+  const [busyKey, setBusyKey] = useState(null)
+  const [confirmingRemoval, setConfirmingRemoval] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    let canceled = false
+    bucketService.getBucketInvites(bucket.id)
+      .then(pendingInvites => {
+        if (!canceled) setInvites(pendingInvites)
+      })
+      .catch(err => {
+        if (!canceled) setError(err.message)
+      })
+    return () => {
+      canceled = true
+    }
+  }, [bucket.id])
+
+  // Runs a change to the bucket's sharing, tracking which row is busy
+  const runAction = async (key, action) => {
+    try {
+      setBusyKey(key)
+      setError('')
+      await action()
+    } catch (err) {
+      Logger.error('Error updating collaborators:', err)
+      setError(err.message)
+    } finally {
+      setBusyKey(null)
+    }
+  }
+
+  const handleInvite = (e) => {
+    e.preventDefault()
+    runAction('invite', async () => {
+      const invite = await bucketService.inviteCollaborator(bucket, email, role)
+      setInvites(prev => [invite, ...prev])
+      setEmail('')
+    })
+  }
+
+  const changeRole = (member, newRole) => runAction(member.email, async () => {
+    setMembers(getMembers(await bucketService.updateCollaboratorRole(bucket.id, member.email, newRole)))
+  })
+
+  // The first click asks for confirmation, the second removes
+  const removeMember = (member) => {
+    if (confirmingRemoval !== member.email) {
+      setConfirmingRemoval(member.email)
+      return
+    }
+    setConfirmingRemoval(null)
+    runAction(member.email, async () => {
+      setMembers(getMembers(await bucketService.removeCollaborator(bucket.id, member.email)))
+    })
+  }
+
+  const cancelInvite = (invite) => runAction(invite.id, async () => {
+    await bucketService.cancelInvite(invite.id)
+    setInvites(prev => prev.filter(pending => pending.id !== invite.id))
+  })
+
+  const getRoleName = (value) => COLLABORATOR_ROLES.find(option => option.value === value)?.name || value
+
+  return (
+    <div className="fixed inset-0 backdrop-blur-md flex items-center justify-center z-50">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="bg-white rounded-xl p-6 w-full max-w-lg mx-4 shadow-2xl max-h-[90vh] overflow-y-auto"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-gray-900">Share "{bucket.name}"</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            ✕
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-600 mb-4">
+          Invited people find the invitation under Shared on their homepage once they sign in with that email.
+        </p>
+
+        {error && (
+          <p className="mb-4 px-3 py-2 text-sm text-red-600 bg-red-50 rounded-lg">{error}</p>
+        )}
+
+        <form onSubmit={handleInvite} className="flex flex-col sm:flex-row gap-2 mb-2">
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="Email address"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <select
+            value={role}
+            onChange={(e) => setRole(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {COLLABORATOR_ROLES.map(option => (
+              <option key={option.value} value={option.value}>{option.name}</option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={!email.trim() || busyKey === 'invite'}
+            className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            {busyKey === 'invite' ? 'Inviting...' : 'Invite'}
+          </button>
+        </form>
+        <p className="text-xs text-gray-500 mb-6">
+          {COLLABORATOR_ROLES.find(option => option.value === role).description}.
+        </p>
+
+        <h3 className="text-sm font-semibold text-gray-900 mb-2">Collaborators</h3>
+        {members.length === 0 ? (
+          <p className="mb-6 text-sm text-gray-500">No one else has access yet.</p>
+        ) : (
+          <ul className="mb-6 divide-y divide-gray-200 border border-gray-200 rounded-lg">
+            {members.map(member => (
+              <li key={member.email} className="flex items-center justify-between gap-2 px-3 py-2">
+                <span className="text-sm text-gray-900 truncate" title={member.email}>{member.email}</span>
+                <div className="flex items-center space-x-2 flex-shrink-0">
+                  <select
+                    value={member.role}
+                    onChange={(e) => changeRole(member, e.target.value)}
+                    disabled={busyKey === member.email}
+                    className="text-xs border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+                  >
+                    {COLLABORATOR_ROLES.map(option => (
+                      <option key={option.value} value={option.value}>{option.name}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => removeMember(member)}
+                    disabled={busyKey === member.email}
+                    className="px-2 py-1 text-xs font-medium text-red-600 bg-white border border-red-200 rounded-md hover:bg-red-50 transition-colors disabled:opacity-50"
+                  >
+                    {confirmingRemoval === member.email ? 'Confirm' : 'Remove'}
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {invites.length > 0 && (
+          <>
+            <h3 className="text-sm font-semibold text-gray-900 mb-2">Pending invitations</h3>
+            <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+              {invites.map(invite => (
+                <li key={invite.id} className="flex items-center justify-between gap-2 px-3 py-2">
+                  <div className="min-w-0">
+                    <p className="text-sm text-gray-900 truncate" title={invite.email}>{invite.email}</p>
+                    <p className="text-xs text-gray-500">
+                      {getRoleName(invite.role)} • Invited {formatDate(invite.createdAt)}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => cancelInvite(invite)}
+                    disabled={busyKey === invite.id}
+                    className="px-2 py-1 text-xs text-gray-600 hover:text-gray-800 disabled:opacity-50 flex-shrink-0"
+                  >
+                    Cancel
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+      </motion.div>
+    </div>
+  )
+}
@@ -0,0 +1,90 @@
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { fileService } from '../services/file.service'
+import { formatDate } from '../utils/helpers'
+import Logger from '../utils/logger.js'
+
+/**
+ * A file's download history: each download by a PIN user, with a coarse browser and OS
+ * and a short visitor ID (from the hashed IP) so repeat visitors can be told apart
+ */
+export default function DownloadHistoryModal({ file, onClose }) {
+  const [downloads, setDownloads] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    let canceled = false
+
+    const loadDownloads = async () => {
+      try {
+        setLoading(true)
+        setError('')
+        const history = await fileService.getFileDownloads(file.id)
+        if (!canceled) setDownloads(history)
+      } catch (err) {
+        Logger.error('Error loading download history:', err)
+        if (!canceled) setError(err.message)
+      } finally {
+        if (!canceled) setLoading(false)
+      }
+    }
+
+    loadDownloads()
+    return () => {
+      canceled = true
+    }
+  }, [file.id])
+
+  return (
+    <div className="fixed inset-0 backdrop-blur-md flex items-center justify-center z-50">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="bg-white rounded-xl p-6 w-full max-w-md mx-4 shadow-2xl"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-gray-900">Download History</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            ✕
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-600 mb-4">
+          Downloads of "{file.name}" by people using the bucket's PIN. Downloaded {file.downloadCount} time{file.downloadCount === 1 ? '' : 's'} in total.
+        </p>
+
+        {error && (
+          <p className="mb-4 px-3 py-2 text-sm text-red-600 bg-red-50 rounded-lg">{error}</p>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : downloads.length === 0 ? (
+          !error && <p className="py-8 text-center text-sm text-gray-500">No one has downloaded this file with the PIN yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 max-h-80 overflow-y-auto border border-gray-200 rounded-lg">
+            {downloads.map((download) => (
+              <li key={download.id} className="flex items-center justify-between px-3 py-2">
+                <div>
+                  <p className="text-sm text-gray-900">{download.userAgent}</p>
+                  <p className="text-xs text-gray-500" title={new Date(download.downloadedAt).toLocaleString()}>
+                    {formatDate(download.downloadedAt)}
+                  </p>
+                </div>
+                <span className="text-xs font-mono text-gray-400" title="Visitor ID">
+                  {download.ipHash.slice(0, 8)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </motion.div>
+    </div>
+  )
+}
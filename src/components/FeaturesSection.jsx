@@ -27,7 +27,7 @@ function FeaturesSection() {
         </svg>
       ),
       title: "Access or Share Anywhere",
-      description: "Use your PIN to download or manage files from any device. (Files auto-delete after 7 days to keep things fresh.)"
+      description: "Use your PIN to download or manage files from any device. (Files auto-delete when their bucket expires, after 7 days by default, to keep things fresh.)"
     }
   ]
 
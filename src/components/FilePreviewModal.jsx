@@ -1,23 +1,42 @@
 import { motion, AnimatePresence } from 'framer-motion'
 import React, { useState } from 'react'
+import { fileService } from '../services/file.service'
+import { useFileUrls, useDecryptedFileUrl } from '../hooks/useFileUrls'
+import { DOWNLOAD_CHANNELS } from '../utils/constants'
+import Logger from '../utils/logger.js'
 
-export default function FilePreviewModal({ file, isOpen, onClose }) {
+export default function FilePreviewModal({ file, isOpen, onClose, isPinUser = false }) {
   const [isDownloading, setIsDownloading] = useState(false);
+  const previewUrls = useFileUrls(isOpen && file ? [file] : []);
+  // Encrypted files are downloaded and decrypted to show them
+  const decrypted = useDecryptedFileUrl(isOpen ? file : null);
 
   if (!isOpen || !file) return null;
 
-  const handleDownload = () => {
+  const previewUrl = file.encrypted ? decrypted.url : previewUrls[file.id];
+
+  const handleDownload = async () => {
     setIsDownloading(true);
-    
-    // Create a download link
-    const link = document.createElement('a');
-    link.href = file.downloadURL;
-    link.download = file.name;
-    link.target = '_blank';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    
+
+    try {
+      const downloadURL = isPinUser
+        ? await fileService.downloadFileForPinUser(file.id, DOWNLOAD_CHANNELS.PREVIEW)
+        : await fileService.downloadFile(file.id, DOWNLOAD_CHANNELS.PREVIEW);
+      // Every file is checked against its SHA-256 (and decrypted if needed) before it is saved from memory
+      const objectUrl = URL.createObjectURL(await fileService.fetchVerifiedBlob(file, downloadURL));
+
+      // Create a download link
+      const link = document.createElement('a');
+      link.href = objectUrl;
+      link.download = file.name;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(objectUrl);
+    } catch (error) {
+      Logger.error('Error downloading file:', error);
+    }
+
     // Reset download state after a short delay
     setTimeout(() => setIsDownloading(false), 1000);
   };
@@ -71,11 +90,20 @@ export default function FilePreviewModal({ file, isOpen, onClose }) {
 
           {/* Preview content */}
           <div className="relative bg-black/90 flex-1 flex items-center justify-center min-h-0">
-            {file.isVideo() ? (
+            {file.maxDownloads !== null ? (
+              <p className="p-8 text-sm text-white/70">Files with a download limit can't be previewed. Download the file to view it.</p>
+            ) : decrypted.error ? (
+              <p className="p-8 text-sm text-white/70">{decrypted.error}</p>
+            ) : file.encrypted && !previewUrl ? (
+              <div className="p-8 flex items-center space-x-3 text-sm text-white/70">
+                <div className="animate-spin rounded-full h-5 w-5 border-2 border-white/30 border-t-white"></div>
+                <span>Decrypting...</span>
+              </div>
+            ) : file.isVideo() ? (
               <video
                 className="max-h-[calc(90vh-8rem)] w-auto"
                 controls
-                src={file.downloadURL}
+                src={previewUrl}
                 autoPlay={false}
                 controlsList="nodownload"
               >
@@ -83,7 +111,7 @@ export default function FilePreviewModal({ file, isOpen, onClose }) {
               </video>
             ) : file.isImage() ? (
               <img
-                src={file.downloadURL}
+                src={previewUrl}
                 alt={file.name}
                 className="max-h-[calc(90vh-8rem)] w-auto object-contain"
                 onContextMenu={e => e.preventDefault()} // Prevent right-click save
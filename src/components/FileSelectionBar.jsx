@@ -0,0 +1,128 @@
+import { useState, useEffect } from 'react'
+import { bucketService } from '../services/bucket.service'
+import Logger from '../utils/logger.js'
+
+/**
+ * Actions for the files selected in a bucket: download as ZIP, move or copy to another
+ * bucket the user owns or can upload to, and delete. Moving and copying are only
+ * offered when userId is given, and moving and deleting only to owners and editors
+ * (canEditFiles). Encrypted buckets only offer delete, since their files can't be
+ * zipped or re-encrypted server-side.
+ */
+export default function FileSelectionBar({
+  count,
+  bucketId,
+  userId = null,
+  userEmail = null,
+  encrypted = false,
+  canEditFiles = true,
+  busyAction = null,
+  zipProgress = null,
+  onDownload,
+  onMove,
+  onCopy,
+  onDelete,
+  onClear,
+  className = ''
+}) {
+  const [targetBuckets, setTargetBuckets] = useState([])
+  const [confirmingDelete, setConfirmingDelete] = useState(false)
+
+  useEffect(() => {
+    if (!userId || encrypted) return
+
+    let canceled = false
+    Promise.all([
+      bucketService.getUserBuckets(userId),
+      userEmail ? bucketService.getSharedBuckets(userEmail) : []
+    ])
+      .then(([ownedBuckets, sharedBuckets]) => {
+        if (!canceled) {
+          setTargetBuckets([...ownedBuckets, ...sharedBuckets]
+            .filter(bucket => bucket.id !== bucketId && !bucket.isEncrypted() && bucket.canUpload(userEmail)))
+        }
+      })
+      .catch(err => Logger.error('Error loading buckets to transfer into:', err))
+    return () => {
+      canceled = true
+    }
+  }, [userId, userEmail, bucketId, encrypted])
+
+  // A new selection asks for confirmation again
+  useEffect(() => {
+    setConfirmingDelete(false)
+  }, [count])
+
+  const handleDelete = () => {
+    if (!confirmingDelete) {
+      setConfirmingDelete(true)
+      return
+    }
+    setConfirmingDelete(false)
+    onDelete()
+  }
+
+  const busy = busyAction !== null
+
+  // A select that runs onSelect with the chosen bucket
+  const renderBucketSelect = (action, label, busyLabel, onSelect) => (
+    <select
+      value=""
+      onChange={(e) => {
+        const target = targetBuckets.find(bucket => bucket.id === e.target.value)
+        if (target) onSelect(target)
+      }}
+      disabled={busy || targetBuckets.length === 0}
+      className="text-xs lg:text-sm text-gray-700 bg-white border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+      title={targetBuckets.length === 0 ? `You have no other buckets to ${action} files into` : `${action[0].toUpperCase()}${action.slice(1)} to another bucket`}
+    >
+      <option value="">{busyAction === action ? busyLabel : label}</option>
+      {targetBuckets.map(bucket => (
+        <option key={bucket.id} value={bucket.id}>
+          {bucket.name}{bucket.isOwned ? '' : ' (shared)'}
+        </option>
+      ))}
+    </select>
+  )
+
+  return (
+    <div className={`flex flex-wrap items-center gap-2 bg-blue-50 border border-blue-200 rounded-lg px-4 py-2 ${className}`}>
+      <span className="text-sm font-medium text-blue-900 mr-auto">
+        {count} file{count !== 1 ? 's' : ''} selected
+      </span>
+
+      {!encrypted && (
+        <button
+          onClick={onDownload}
+          disabled={busy}
+          className="px-3 py-1 text-xs lg:text-sm font-medium text-white bg-green-600 rounded-md hover:bg-green-700 transition-colors disabled:opacity-50"
+        >
+          {busyAction === 'zip'
+            ? (zipProgress && zipProgress.total > 0 ? `Zipping ${zipProgress.current}/${zipProgress.total}` : 'Preparing...')
+            : 'Download ZIP'}
+        </button>
+      )}
+
+      {userId && !encrypted && canEditFiles && renderBucketSelect('move', 'Move to...', 'Moving...', onMove)}
+      {userId && !encrypted && renderBucketSelect('copy', 'Copy to...', 'Copying...', onCopy)}
+
+      {canEditFiles && (
+        <button
+          onClick={handleDelete}
+          disabled={busy}
+          className="px-3 py-1 text-xs lg:text-sm font-medium text-red-600 bg-white border border-red-200 rounded-md hover:bg-red-50 transition-colors disabled:opacity-50"
+        >
+          {busyAction === 'delete' ? 'Deleting...' : confirmingDelete ? `Confirm delete (${count})` : 'Delete'}
+        </button>
+      )}
+
+      <button
+        onClick={onClear}
+        disabled={busy}
+        className="px-3 py-1 text-xs lg:text-sm text-gray-600 hover:text-gray-800 disabled:opacity-50"
+      >
+        Clear
+      </button>
+    </div>
+  )
+}
@@ -0,0 +1,33 @@
+import { getBreadcrumbs } from '../utils/folders'
+
+/**
+ * Breadcrumb trail for the folder being viewed, with a link back to each parent folder
+ */
+export default function FolderBreadcrumbs({ path, onNavigate, rootLabel = 'All files', className = '' }) {
+  const breadcrumbs = getBreadcrumbs(path)
+
+  return (
+    <nav className={`flex items-center flex-wrap gap-1 text-sm ${className}`} aria-label="Folder">
+      <button
+        onClick={() => onNavigate('')}
+        disabled={breadcrumbs.length === 0}
+        className="text-blue-600 hover:text-blue-700 disabled:text-gray-900 disabled:font-medium"
+      >
+        {rootLabel}
+      </button>
+      {breadcrumbs.map((crumb, index) => (
+        <span key={crumb.path} className="flex items-center gap-1 min-w-0">
+          <span className="text-gray-400">/</span>
+          <button
+            onClick={() => onNavigate(crumb.path)}
+            disabled={index === breadcrumbs.length - 1}
+            className="text-blue-600 hover:text-blue-700 disabled:text-gray-900 disabled:font-medium truncate max-w-[12rem]"
+            title={crumb.name}
+          >
+            {crumb.name}
+          </button>
+        </span>
+      ))}
+    </nav>
+  )
+}
@@ -17,6 +17,9 @@ function HeroSection() {
   const [isModalOpen, setIsModalOpen] = useState(false)
   const [isInputFocused, setIsInputFocused] = useState(false)
   const [showCaptcha, setShowCaptcha] = useState(false)
+  // Password-protected buckets ask for their password once the PIN is found
+  const [passwordRequired, setPasswordRequired] = useState(false)
+  const [password, setPassword] = useState('')
   const recaptchaRef = useRef(null)
   const { user } = useAuth()
   const navigate = useNavigate()
@@ -83,24 +86,28 @@ function HeroSection() {
       value = 'drop-' + value.substring(5)
     }
     
-    // Limit to correct format: drop-XXXX or legacy drop-XXXXXXXX
-    if (value.length > PIN_LENGTH.LEGACY) {
-      value = value.substring(0, PIN_LENGTH.LEGACY)
+    // Limit to correct format: drop-XXXX up to drop-XXXXXXXX
+    if (value.length > PIN_LENGTH.MAX) {
+      value = value.substring(0, PIN_LENGTH.MAX)
     }
     
     setPin(value)
     if (pinError) setPinError('') // Clear error when user starts typing
+    // A different PIN may not need the password
+    setPasswordRequired(false)
+    setPassword('')
   }
 
+  // PINs are between drop-XXXX and drop-XXXXXXXX long
+  const isPinLengthValid = pin.length >= PIN_LENGTH.MIN && pin.length <= PIN_LENGTH.MAX
+
   const handleRetrieveFiles = async () => {
     if (!pin.trim()) {
       setPinError('Please enter a PIN code')
       return
     }
 
-    // Check if it matches either format (drop-XXXX or drop-XXXXXXXX)
-    const isValidFormat = pin.length === PIN_LENGTH.NEW || pin.length === PIN_LENGTH.LEGACY
-    if (!isValidFormat) {
+    if (!isPinLengthValid) {
       setPinError('Please enter a valid PIN code')
       // Track invalid format attempt
       analyticsService.logPinAttempt(pin, 'invalid_format')
@@ -124,7 +131,13 @@ function HeroSection() {
         }
       }
 
-      const bucket = await bucketService.getBucketByPin(pin.trim(), recaptchaToken)
+      if (passwordRequired && !password) {
+        setPinError('Please enter the bucket password')
+        setIsLoading(false)
+        return
+      }
+
+      const bucket = await bucketService.getBucketByPin(pin.trim(), recaptchaToken, passwordRequired ? password : null)
       
       if (bucket) {
         // PIN is valid, show bucket files in modal
@@ -132,6 +145,8 @@ function HeroSection() {
         setIsModalOpen(true)
         setPin('') // Clear the PIN input
         setShowCaptcha(false) // Reset captcha state
+        setPasswordRequired(false)
+        setPassword('')
         // Track successful PIN access
         analyticsService.logPinAccess(bucket.id, true)
       } else {
@@ -150,6 +165,10 @@ function HeroSection() {
         setPinError('Please verify that you are human before continuing')
         // Track reCAPTCHA trigger
         analyticsService.logPinAttempt(pin, 'recaptcha_required')
+      } else if (error.message === 'PASSWORD_REQUIRED') {
+        setPasswordRequired(true)
+        setPinError('This bucket is password protected. Enter its password to continue.')
+        analyticsService.logPinAttempt(pin, 'password_required')
       } else if (error.message.includes('timeout-or-duplicate')) {
         setPinError('reCAPTCHA verification expired. Please verify again.')
         analyticsService.logPinAttempt(pin, 'recaptcha_expired')
@@ -162,6 +181,16 @@ function HeroSection() {
         if (recaptchaRef.current) {
           recaptchaRef.current.reset()
         }
+      } else if (error.code === 'functions/resource-exhausted') {
+        setPinError(error.message)
+        analyticsService.logPinAttempt(pin, 'locked_out')
+      } else if (error.code === 'functions/permission-denied') {
+        setPinError(error.message)
+        setPassword('')
+        analyticsService.logPinAttempt(pin, 'wrong_password')
+        if (showCaptcha && recaptchaRef.current) {
+          recaptchaRef.current.reset()
+        }
       } else {
         setPinError('Error accessing bucket. Please try again.')
         analyticsService.logPinAttempt(pin, 'error')
@@ -253,12 +282,12 @@ function HeroSection() {
                               ? 'border-red-400 bg-red-500/10' 
                               : 'border-white/30 hover:border-white/50'
                         }`}
-                        maxLength={13}
+                        maxLength={PIN_LENGTH.MAX}
                       />
                       
                       {/* PIN Format Indicator */}
                       <div className="absolute right-3 top-1/2 transform -translate-y-1/2">
-                        {pin.length === PIN_LENGTH.NEW || pin.length === PIN_LENGTH.LEGACY ? (
+                        {isPinLengthValid ? (
                           <div className="w-6 h-6 bg-green-500 rounded-full flex items-center justify-center">
                             <svg className="w-4 h-4 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
@@ -266,7 +295,7 @@ function HeroSection() {
                           </div>
                         ) : pin.length > 0 ? (
                           <div className="text-white/50 text-sm font-mono">
-                            {pin.length}/{pin.length > PIN_LENGTH.NEW ? PIN_LENGTH.LEGACY : PIN_LENGTH.NEW}
+                            {pin.length}/{PIN_LENGTH.MIN}
                           </div>
                         ) : null}
                       </div>
@@ -300,6 +329,28 @@ function HeroSection() {
                     )}
                   </div>
 
+                  {/* Password - only for password-protected buckets */}
+                  {passwordRequired && (
+                    <motion.div
+                      initial={{ opacity: 0, y: -10 }}
+                      animate={{ opacity: 1, y: 0 }}
+                    >
+                      <input
+                        type="password"
+                        value={password}
+                        onChange={(e) => {
+                          setPassword(e.target.value)
+                          if (pinError) setPinError('')
+                        }}
+                        onKeyPress={handlePinKeyPress}
+                        placeholder="Bucket password"
+                        autoComplete="off"
+                        autoFocus
+                        className="w-full bg-white/10 border-2 border-white/30 rounded-lg px-4 py-3 text-white placeholder-white/40 focus:outline-none focus:border-cyan-400 focus:ring-4 focus:ring-cyan-400/20 text-center transition-all duration-300"
+                      />
+                    </motion.div>
+                  )}
+
                   {/* Checkbox reCAPTCHA - only show after multiple wrong attempts */}
                   {showCaptcha && (
                     <motion.div
@@ -318,7 +369,7 @@ function HeroSection() {
                   {/* Submit Button */}
                   <button
                     onClick={handleRetrieveFiles}
-                    disabled={!pin.trim() || (pin.length !== PIN_LENGTH.NEW && pin.length !== PIN_LENGTH.LEGACY) || isLoading}
+                    disabled={!pin.trim() || !isPinLengthValid || (passwordRequired && !password) || isLoading}
                     className="w-full bg-gradient-to-r from-cyan-500 to-blue-500 text-white py-4 rounded-lg text-lg font-semibold hover:from-cyan-600 hover:to-blue-600 transition-all duration-300 transform hover:scale-[1.02] disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100 shadow-lg hover:shadow-xl"
                   >
                     {isLoading ? (
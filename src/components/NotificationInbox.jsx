@@ -0,0 +1,124 @@
+import { useState, useEffect } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { useNavigate } from 'react-router-dom'
+import { notificationService } from '../services/notification.service'
+import Logger from '../utils/logger.js'
+
+/**
+ * Bell button with a dropdown of the signed-in user's notifications
+ * (e.g. warnings about buckets that expire within a day)
+ */
+export default function NotificationInbox({ userId }) {
+  const navigate = useNavigate()
+  const [notifications, setNotifications] = useState([])
+  const [isOpen, setIsOpen] = useState(false)
+
+  useEffect(() => {
+    if (!userId) return
+    return notificationService.listenToNotifications(userId, setNotifications)
+  }, [userId])
+
+  const unread = notifications.filter(notification => !notification.read)
+
+  const openNotification = (notification) => {
+    setIsOpen(false)
+    if (!notification.read) {
+      notificationService.markAsRead(userId, notification.id).catch(error => Logger.error('Error opening notification:', error))
+    }
+    if (notification.bucketId) {
+      navigate(`/bucket/${notification.bucketId}`)
+    }
+  }
+
+  const markAllAsRead = async () => {
+    try {
+      await notificationService.markAllAsRead(userId, unread.map(notification => notification.id))
+    } catch (error) {
+      Logger.error('Error marking notifications as read:', error)
+    }
+  }
+
+  const dismiss = async (e, notificationId) => {
+    e.stopPropagation()
+    try {
+      await notificationService.deleteNotification(userId, notificationId)
+    } catch (error) {
+      Logger.error('Error dismissing notification:', error)
+    }
+  }
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="relative p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors"
+        title="Notifications"
+      >
+        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+        </svg>
+        {unread.length > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 bg-red-500 text-white text-xs font-bold rounded-full flex items-center justify-center">
+            {unread.length > 9 ? '9+' : unread.length}
+          </span>
+        )}
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ opacity: 0, y: -8 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -8 }}
+            className="absolute right-0 top-full mt-2 w-80 max-w-[calc(100vw-2rem)] bg-white rounded-lg shadow-lg border border-gray-200 z-50"
+          >
+            <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+              <p className="text-sm font-semibold text-gray-900">Notifications</p>
+              {unread.length > 0 && (
+                <button
+                  onClick={markAllAsRead}
+                  className="text-xs text-blue-600 hover:text-blue-700 font-medium"
+                >
+                  Mark all as read
+                </button>
+              )}
+            </div>
+
+            {notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-gray-500 text-center">You're all caught up</p>
+            ) : (
+              <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+                {notifications.map(notification => (
+                  <li
+                    key={notification.id}
+                    onClick={() => openNotification(notification)}
+                    className={`px-4 py-3 cursor-pointer hover:bg-gray-50 transition-colors ${notification.read ? '' : 'bg-blue-50/50'}`}
+                  >
+                    <div className="flex items-start justify-between space-x-2">
+                      <div className="min-w-0">
+                        <p className={`text-sm text-gray-900 ${notification.read ? '' : 'font-semibold'}`}>
+                          {notification.title}
+                        </p>
+                        <p className="text-xs text-gray-600 mt-1">{notification.message}</p>
+                        <p className="text-xs text-gray-400 mt-1">{new Date(notification.createdAt).toLocaleString()}</p>
+                      </div>
+                      <button
+                        onClick={(e) => dismiss(e, notification.id)}
+                        className="p-1 text-gray-400 hover:text-gray-600 flex-shrink-0"
+                        title="Dismiss"
+                      >
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  )
+}
@@ -0,0 +1,139 @@
+import { useState, useEffect, useCallback } from 'react'
+import { fileService } from '../services/file.service'
+import { formatFileSize, formatDate } from '../utils/helpers'
+import { TRASH_RETENTION_DAYS } from '../utils/constants'
+import Logger from '../utils/logger.js'
+
+// When cleanupBuckets will purge a trashed file
+const getPurgeDate = (file) => {
+  const purgeDate = new Date(file.deletedAt)
+  purgeDate.setDate(purgeDate.getDate() + TRASH_RETENTION_DAYS)
+  return purgeDate
+}
+
+/**
+ * A bucket's trash: files deleted within the retention window, which the owner
+ * can restore or delete for good
+ */
+export default function TrashPanel({ bucketId, onRestore, onClose, className = '' }) {
+  const [files, setFiles] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [busyFileId, setBusyFileId] = useState(null)
+  const [confirmingFileId, setConfirmingFileId] = useState(null)
+
+  const loadTrash = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError('')
+      setFiles(await fileService.getTrashedFiles(bucketId))
+    } catch (err) {
+      Logger.error('Error loading trash:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [bucketId])
+
+  useEffect(() => {
+    loadTrash()
+  }, [loadTrash])
+
+  const restoreFile = async (file) => {
+    try {
+      setBusyFileId(file.id)
+      setError('')
+      const restored = await fileService.restoreFile(file.id)
+      setFiles(prev => prev.filter(trashed => trashed.id !== file.id))
+      onRestore?.(restored)
+    } catch (err) {
+      Logger.error('Error restoring file:', err)
+      setError(err.message)
+    } finally {
+      setBusyFileId(null)
+    }
+  }
+
+  // The first click asks for confirmation, the second deletes
+  const deleteForever = async (file) => {
+    if (confirmingFileId !== file.id) {
+      setConfirmingFileId(file.id)
+      return
+    }
+
+    try {
+      setConfirmingFileId(null)
+      setBusyFileId(file.id)
+      setError('')
+      await fileService.deleteFile(file.id, true)
+      setFiles(prev => prev.filter(trashed => trashed.id !== file.id))
+    } catch (err) {
+      Logger.error('Error permanently deleting file:', err)
+      setError(err.message)
+    } finally {
+      setBusyFileId(null)
+    }
+  }
+
+  return (
+    <div className={`bg-white rounded-lg border border-gray-200 ${className}`}>
+      <div className="flex items-center justify-between px-4 lg:px-6 py-3 border-b border-gray-200">
+        <div>
+          <h2 className="text-base lg:text-lg font-semibold text-gray-900">Trash</h2>
+          <p className="text-xs lg:text-sm text-gray-500">
+            Deleted files are kept for {TRASH_RETENTION_DAYS} days, then removed permanently.
+          </p>
+        </div>
+        <button
+          onClick={onClose}
+          className="text-sm text-blue-600 hover:text-blue-700"
+        >
+          Back to files
+        </button>
+      </div>
+
+      {error && (
+        <p className="px-4 lg:px-6 py-2 text-sm text-red-600 bg-red-50 border-b border-red-100">{error}</p>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-10">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : files.length === 0 ? (
+        <p className="px-4 lg:px-6 py-10 text-center text-sm text-gray-500">The trash is empty.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {files.map((file) => (
+            <li key={file.id} className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 px-4 lg:px-6 py-3">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-900 truncate" title={file.name}>
+                  {file.path ? `${file.path}/` : ''}{file.name}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {formatFileSize(file.size)} • Deleted {formatDate(file.deletedAt)} • Removed permanently on {getPurgeDate(file).toLocaleDateString()}
+                </p>
+              </div>
+              <div className="flex items-center space-x-2 flex-shrink-0">
+                <button
+                  onClick={() => restoreFile(file)}
+                  disabled={busyFileId === file.id}
+                  className="px-3 py-1 text-xs font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50"
+                >
+                  Restore
+                </button>
+                <button
+                  onClick={() => deleteForever(file)}
+                  disabled={busyFileId === file.id}
+                  className="px-3 py-1 text-xs font-medium text-red-600 bg-white border border-red-200 rounded-md hover:bg-red-50 transition-colors disabled:opacity-50"
+                >
+                  {confirmingFileId === file.id ? 'Confirm delete' : 'Delete forever'}
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
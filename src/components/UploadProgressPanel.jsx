@@ -0,0 +1,151 @@
+import { formatFileSize } from '../utils/helpers'
+
+const STATE_LABELS = {
+  queued: 'Waiting',
+  retrying: 'Retrying soon',
+  running: 'Uploading',
+  paused: 'Paused',
+  success: 'Done',
+  error: 'Failed',
+  canceled: 'Canceled',
+  duplicate: 'Already uploaded'
+}
+
+const BAR_COLORS = {
+  queued: 'bg-gray-300',
+  retrying: 'bg-orange-400',
+  running: 'bg-blue-600',
+  paused: 'bg-yellow-500',
+  success: 'bg-green-500',
+  error: 'bg-red-500',
+  canceled: 'bg-gray-400',
+  duplicate: 'bg-gray-400'
+}
+
+const isTransferring = (upload) => upload.state === 'running' || upload.state === 'paused'
+const isSettled = (upload) => ['success', 'error', 'canceled', 'duplicate'].includes(upload.state)
+
+/**
+ * Live view of the upload queue with per-file progress and pause, resume, cancel
+ * and retry controls, plus a prompt to resume uploads interrupted by an earlier visit
+ */
+export default function UploadProgressPanel({
+  uploads,
+  onPause,
+  onResume,
+  onCancel,
+  onRetry,
+  onClear,
+  interruptedUploads = [],
+  onResumeInterrupted,
+  onDiscardInterrupted,
+  className = ''
+}) {
+  const finished = uploads.filter(isSettled)
+  const hasActive = finished.length < uploads.length
+
+  if (uploads.length === 0 && interruptedUploads.length === 0) return null
+
+  return (
+    <div className={`bg-white border border-gray-200 rounded-lg shadow-sm ${className}`}>
+      {interruptedUploads.length > 0 && (
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 px-4 py-3 bg-yellow-50 border-b border-yellow-100 rounded-t-lg">
+          <p className="text-sm text-yellow-800">
+            {interruptedUploads.length} upload{interruptedUploads.length === 1 ? ' was' : 's were'} interrupted.
+            Resuming continues {interruptedUploads.length === 1 ? 'it' : 'them'} from where {interruptedUploads.length === 1 ? 'it' : 'they'} stopped.
+          </p>
+          <div className="flex items-center space-x-2 flex-shrink-0">
+            <button
+              onClick={onResumeInterrupted}
+              className="px-3 py-1 text-xs font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 transition-colors"
+            >
+              Resume
+            </button>
+            <button
+              onClick={onDiscardInterrupted}
+              className="px-3 py-1 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+            >
+              Discard
+            </button>
+          </div>
+        </div>
+      )}
+
+      {uploads.length > 0 && (
+        <>
+          <div className="flex items-center justify-between px-4 py-2 border-b border-gray-100">
+            <p className="text-sm font-semibold text-gray-900">
+              Uploads <span className="font-normal text-gray-500">({finished.length}/{uploads.length} finished)</span>
+            </p>
+            {!hasActive && onClear && (
+              <button onClick={onClear} className="text-xs text-gray-500 hover:text-gray-700">
+                Clear
+              </button>
+            )}
+          </div>
+          <ul className="max-h-64 overflow-y-auto divide-y divide-gray-100">
+            {uploads.map(upload => {
+              const percent = upload.totalBytes
+                ? Math.round(((upload.bytesTransferred || 0) / upload.totalBytes) * 100)
+                : 100
+
+              return (
+                <li key={upload.id} className="px-4 py-2">
+                  <div className="flex items-center justify-between space-x-2">
+                    <p className="text-sm text-gray-900 truncate min-w-0" title={upload.fileName}>{upload.fileName}</p>
+                    <div className="flex items-center space-x-1 flex-shrink-0">
+                      <span className="text-xs text-gray-500">
+                        {isTransferring(upload)
+                          ? `${formatFileSize(upload.bytesTransferred || 0)} / ${formatFileSize(upload.totalBytes)}`
+                          : STATE_LABELS[upload.state]}
+                      </span>
+                      {upload.state === 'running' && (
+                        <button onClick={() => onPause(upload.id)} className="p-1 text-gray-400 hover:text-gray-600" title="Pause">
+                          <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 24 24">
+                            <path d="M6 5h4v14H6zM14 5h4v14h-4z" />
+                          </svg>
+                        </button>
+                      )}
+                      {upload.state === 'paused' && (
+                        <button onClick={() => onResume(upload.id)} className="p-1 text-gray-400 hover:text-gray-600" title="Resume">
+                          <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 24 24">
+                            <path d="M8 5v14l11-7z" />
+                          </svg>
+                        </button>
+                      )}
+                      {(upload.state === 'error' || upload.state === 'canceled') && onRetry && (
+                        <button onClick={() => onRetry(upload.id)} className="p-1 text-gray-400 hover:text-blue-600" title="Retry">
+                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                          </svg>
+                        </button>
+                      )}
+                      {!isSettled(upload) && (
+                        <button onClick={() => onCancel(upload.id)} className="p-1 text-gray-400 hover:text-red-600" title="Cancel">
+                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                          </svg>
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                  <div className="mt-1 h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                    <div
+                      className={`h-full rounded-full transition-all duration-300 ${BAR_COLORS[upload.state] || 'bg-blue-600'}`}
+                      style={{ width: `${percent}%` }}
+                    />
+                  </div>
+                  {['error', 'retrying', 'duplicate'].includes(upload.state) && upload.error && (
+                    <p className={`text-xs mt-1 ${{ error: 'text-red-600', retrying: 'text-orange-600', duplicate: 'text-gray-500' }[upload.state]}`}>
+                      {upload.error}{upload.state === 'retrying' && ` (attempt ${upload.attempts} failed)`}
+                    </p>
+                  )}
+                </li>
+              )
+            })}
+          </ul>
+        </>
+      )}
+    </div>
+  )
+}
@@ -90,12 +90,7 @@ export const useBuckets = () => {
     }
 
     try {
-      const newBucket = await bucketService.createBucket({
-        ...bucketData,
-        ownerEmail: user.email,
-        owner: user.displayName || user.email,
-        collaborators: [] // Don't add owner to collaborators array
-      }, user.uid)
+      const newBucket = await bucketService.createBucket(bucketData)
 
       // Add to local state
       newBucket.isOwned = true
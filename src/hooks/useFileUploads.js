@@ -0,0 +1,91 @@
+import { useState, useEffect, useCallback } from 'react'
+import { fileService } from '../services/file.service.js'
+import Logger from '../utils/logger.js'
+
+const SETTLED_STATES = ['success', 'error', 'canceled', 'duplicate']
+
+/**
+ * Custom hook for uploading files to a bucket through the upload queue
+ * @param {string} bucketId - Target bucket ID
+ * @param {string} userId - User ID uploading the files ('pin-user' for PIN sessions)
+ */
+export const useFileUploads = (bucketId, userId) => {
+  // Queue items for this bucket: { id, fileName, bytesTransferred, totalBytes, state, attempts, error }
+  const [uploads, setUploads] = useState([])
+  const [validating, setValidating] = useState(false)
+  const [interruptedUploads, setInterruptedUploads] = useState([])
+
+  // Load uploads left unfinished by an earlier visit
+  const loadInterruptedUploads = useCallback(async () => {
+    if (!bucketId || !userId) {
+      setInterruptedUploads([])
+      return
+    }
+
+    try {
+      setInterruptedUploads(await fileService.getInterruptedUploads(bucketId, userId))
+    } catch (err) {
+      Logger.error('Error loading interrupted uploads:', err)
+    }
+  }, [bucketId, userId])
+
+  const clearFinished = useCallback(() => {
+    fileService.clearFinishedUploads(bucketId)
+  }, [bucketId])
+
+  const runBatch = useCallback(async (startUploads) => {
+    setValidating(true)
+    try {
+      return await startUploads()
+    } finally {
+      setValidating(false)
+      loadInterruptedUploads()
+    }
+  }, [loadInterruptedUploads])
+
+  // Upload new files; resolves with the uploaded FileModels
+  const uploadFiles = useCallback((files) => {
+    clearFinished()
+    return runBatch(() => fileService.uploadFiles(files, bucketId, userId))
+  }, [clearFinished, runBatch, bucketId, userId])
+
+  // Upload the files left over from an interrupted visit
+  const resumeInterruptedUploads = useCallback(() => {
+    clearFinished()
+    return runBatch(() => fileService.resumeInterruptedUploads(bucketId, userId))
+  }, [clearFinished, runBatch, bucketId, userId])
+
+  // Retry a failed or canceled upload; resolves with the uploaded FileModels
+  const retryUpload = useCallback((uploadId) => {
+    return fileService.retryUpload(uploadId)
+  }, [])
+
+  const discardInterruptedUploads = useCallback(async () => {
+    await fileService.discardInterruptedUploads(bucketId, userId)
+    setInterruptedUploads([])
+  }, [bucketId, userId])
+
+  useEffect(() => {
+    return fileService.listenToUploads(items => {
+      setUploads(items.filter(item => item.bucketId === bucketId))
+    })
+  }, [bucketId])
+
+  useEffect(() => {
+    loadInterruptedUploads()
+  }, [loadInterruptedUploads])
+
+  return {
+    uploads,
+    isUploading: validating || uploads.some(upload => !SETTLED_STATES.includes(upload.state)),
+    uploadFiles,
+    pauseUpload: (uploadId) => fileService.pauseUpload(uploadId),
+    resumeUpload: (uploadId) => fileService.resumeUpload(uploadId),
+    cancelUpload: (uploadId) => fileService.cancelUpload(uploadId),
+    retryUpload,
+    clearFinished,
+    interruptedUploads,
+    resumeInterruptedUploads,
+    discardInterruptedUploads
+  }
+}
@@ -0,0 +1,92 @@
+import { useState, useEffect } from 'react'
+import { fileService } from '../services/file.service.js'
+import Logger from '../utils/logger.js'
+
+// Signed URLs are fetched again this long before they expire (inside the service's
+// reuse margin, so the refresh gets new URLs rather than the cached ones)
+const REFRESH_MARGIN_MS = 45 * 1000
+const MIN_REFRESH_DELAY_MS = 30 * 1000
+
+/**
+ * Custom hook for signed URLs to display files (thumbnails, previews)
+ * Only previewable files get a URL. URLs are renewed before they expire.
+ * Encrypted files are left out, since a URL would only serve their ciphertext (see useDecryptedFileUrl).
+ * So are files with a download limit, whose URLs are only issued for counted downloads.
+ * @param {Array<FileModel>} files - Files to show
+ * @returns {object} Signed URLs keyed by file ID (missing until loaded, or if the file can't be shown)
+ */
+export const useFileUrls = (files) => {
+  const [urls, setUrls] = useState({})
+  // A string key keeps the effect from re-running when the same files arrive in a new array
+  const fileIdsKey = files.filter(file => file.isPreviewable() && !file.encrypted && file.maxDownloads === null).map(file => file.id).join(',')
+
+  useEffect(() => {
+    if (!fileIdsKey) {
+      setUrls({})
+      return
+    }
+
+    let canceled = false
+    let refreshTimer = null
+
+    const loadUrls = async () => {
+      try {
+        const result = await fileService.getSignedUrls(fileIdsKey.split(','), 'inline')
+        if (canceled) return
+        setUrls(result.urls)
+
+        if (result.expiresAt) {
+          const delay = new Date(result.expiresAt).getTime() - Date.now() - REFRESH_MARGIN_MS
+          refreshTimer = setTimeout(loadUrls, Math.max(delay, MIN_REFRESH_DELAY_MS))
+        }
+      } catch (err) {
+        Logger.error('Error loading file URLs:', err)
+      }
+    }
+
+    loadUrls()
+    return () => {
+      canceled = true
+      clearTimeout(refreshTimer)
+    }
+  }, [fileIdsKey])
+
+  return urls
+}
+
+/**
+ * Custom hook for an object URL to display an encrypted file
+ * The file is downloaded and decrypted in full, so this is meant for one file at a time (previews).
+ * @param {FileModel|null} file - Encrypted file to show (anything else, or a file with a download limit, is ignored)
+ * @returns {{url: string|null, error: string}} Object URL once decrypted, or why it couldn't be
+ */
+export const useDecryptedFileUrl = (file) => {
+  const [url, setUrl] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    setUrl(null)
+    setError('')
+    if (!file?.encrypted || !file.isPreviewable() || file.maxDownloads !== null) return
+
+    let canceled = false
+    let objectUrl = null
+
+    fileService.fetchVerifiedBlob(file)
+      .then(blob => {
+        if (canceled) return
+        objectUrl = URL.createObjectURL(blob)
+        setUrl(objectUrl)
+      })
+      .catch(err => {
+        Logger.error('Error decrypting file for preview:', err)
+        if (!canceled) setError(err.message)
+      })
+    return () => {
+      canceled = true
+      if (objectUrl) URL.revokeObjectURL(objectUrl)
+    }
+  }, [file])
+
+  return { url, error }
+}
@@ -1,5 +1,6 @@
-import { encryptPIN, decryptPIN, hashPIN } from '../utils/encryption';
+import { revealPIN } from '../utils/encryption';
 import { formatFileSize } from '../utils/helpers';
+import { DEFAULT_COLLABORATOR_ROLE } from '../utils/constants';
 import { getAuth } from 'firebase/auth';
 
 /**
@@ -14,52 +15,56 @@ export class Bucket {
     this.ownerEmail = data.ownerEmail || null;
     this.owner = data.owner || null;
     this.collaborators = data.collaborators || [];
+    this.collaboratorRoles = data.collaboratorRoles || {}; // email -> 'viewer' | 'uploader' | 'editor'
     this.createdAt = data.createdAt || new Date().toISOString();
     this.updatedAt = data.updatedAt || this.createdAt;
+    this.expiresAt = data.expiresAt || null; // null for buckets created before per-bucket expiry
     this.isActive = data.isActive !== false;
     this.fileCount = data.fileCount || 0;
     this.storageUsed = data.storageUsed || 0;
     this.preview = data.preview || 'folder';
     this.color = data.color || 'from-blue-500 to-cyan-500';
     this.allowPinUploads = data.allowPinUploads !== false; // true by default
+    this.pinAccessEnabled = data.pinAccessEnabled !== false; // false once the owner revokes PIN access
+    this.pinVersion = data.pinVersion || 0;
+    this.passwordProtected = data.passwordProtected === true; // PIN users must also enter the bucket password
+    // { version, salt, iterations, keyCheck } for buckets whose files are encrypted in the browser
+    this.encryption = data.encryption || null;
     
     // Handle PIN data
-    if (data.pinCode) {
-      this._pinCode = data.pinCode; // Legacy PIN
-    } else if (data.encryptedPin) {
+    if (data.encryptedPin) {
       this.encryptedPin = data.encryptedPin;
       this.hashedPin = data.hashedPin;
+      this.pinKeyVersion = data.pinKeyVersion || null;
     }
     
     if (data.isOwned !== undefined) this.isOwned = data.isOwned;
   }
 
-  // Getter for pinCode that handles both legacy and encrypted PINs
+  // Getter for pinCode, the raw PIN is only known to the owner or the PIN user who entered it
   async getPinCode() {
-    // For legacy buckets, return the raw PIN
+    // Return the PIN already known in this session
     if (this._pinCode) {
       return this._pinCode;
     }
     
-    // For encrypted PINs, decrypt only if user owns the bucket
-    if (this.isOwned && this.encryptedPin) {
-      return await decryptPIN(this.encryptedPin);
+    // For encrypted PINs, ask the server to decrypt only if user owns the bucket
+    if (this.isOwned && this.encryptedPin && this.id) {
+      const pin = await revealPIN(this.id);
+      // Keep the PIN for the owner so repeated reads don't hit the server
+      if (pin) this._pinCode = pin;
+      return pin;
     }
     
     return null;
   }
 
   /**
-   * Set PIN - for new buckets only
+   * Check if the bucket's files are encrypted in the browser
+   * @returns {boolean}
    */
-  async setPinCode(value) {
-    if (!this.encryptedPin && !this._pinCode && value) {
-      // For new buckets, store both encrypted and hashed PINs
-      this.encryptedPin = await encryptPIN(value);
-      this.hashedPin = await hashPIN(value);
-      // Store PIN temporarily for owner
-      this._pinCode = value;
-    }
+  isEncrypted() {
+    return this.encryption !== null;
   }
 
   /**
@@ -88,9 +93,40 @@ export class Bucket {
    */
   removeCollaborator(email) {
     this.collaborators = this.collaborators.filter(c => c !== email)
+    const { [email]: _removed, ...collaboratorRoles } = this.collaboratorRoles
+    this.collaboratorRoles = collaboratorRoles
     this.updatedAt = new Date().toISOString()
   }
 
+  /**
+   * Get a user's role in the bucket
+   * @param {string} userEmail - User's email
+   * @returns {string|null} 'owner', a collaborator role, or null without access
+   */
+  getRole(userEmail) {
+    if (this.isOwned) return 'owner';
+    if (!this.collaborators.includes(userEmail)) return null;
+    return this.collaboratorRoles[userEmail] || DEFAULT_COLLABORATOR_ROLE;
+  }
+
+  /**
+   * Check if a user can upload files to the bucket
+   * @param {string} userEmail - User's email
+   * @returns {boolean}
+   */
+  canUpload(userEmail) {
+    return ['owner', 'uploader', 'editor'].includes(this.getRole(userEmail));
+  }
+
+  /**
+   * Check if a user can rename, move and delete the bucket's files
+   * @param {string} userEmail - User's email
+   * @returns {boolean}
+   */
+  canEditFiles(userEmail) {
+    return ['owner', 'editor'].includes(this.getRole(userEmail));
+  }
+
   /**
    * Check if user has access to bucket
    * @param {string} userEmail - User's email
@@ -120,8 +156,10 @@ export class Bucket {
       ownerEmail: this.ownerEmail,
       owner: this.owner,
       collaborators: this.collaborators,
+      collaboratorRoles: this.collaboratorRoles,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
+      expiresAt: this.expiresAt,
       isActive: this.isActive,
       fileCount: this.fileCount,
       storageUsed: this.storageUsed,
@@ -134,6 +172,7 @@ export class Bucket {
     if (this.encryptedPin && this.hashedPin) {
       data.encryptedPin = this.encryptedPin;
       data.hashedPin = this.hashedPin;
+      if (this.pinKeyVersion) data.pinKeyVersion = this.pinKeyVersion;
     }
 
     return data;
@@ -171,8 +210,7 @@ export class Bucket {
       owner: this.owner,
       ownerEmail: this.ownerEmail,
       isOwned: this.isOwned,
-      createdAt: this.createdAt,
-      pinCode: this._pinCode // Only include raw PIN for legacy buckets
+      createdAt: this.createdAt
     };
   }
 }
\ No newline at end of file
@@ -12,13 +12,21 @@ export class FileModel {
     this.type = data.type || this.getFileExtension(data.name)
     this.mimeType = data.mimeType || ''
     this.bucketId = data.bucketId || ''
+    this.ownerId = data.ownerId || '' // Bucket owner, whose storage the file counts towards
     this.uploadedAt = data.uploadedAt || new Date().toISOString()
     this.uploadedBy = data.uploadedBy || ''
     this.downloadURL = data.downloadURL || ''
     this.storagePath = data.storagePath || ''
+    this.path = data.path || '' // Folder within the bucket, '' for the root (e.g. 'photos/2024')
+    this.contentHash = data.contentHash || '' // Hex SHA-256 of the contents ('' for files uploaded before hashing)
+    this.encrypted = data.encrypted === true // Encrypted in the browser with the bucket's key (contentHash is then an HMAC)
     this.isActive = data.isActive !== undefined ? data.isActive : true
+    this.deletedAt = data.deletedAt || null // Set while the file is in the trash
     this.downloadCount = data.downloadCount || 0
     this.lastDownloaded = data.lastDownloaded || null
+    // Optional limits; once either is reached the file can't be downloaded and is purged
+    this.expiresAt = data.expiresAt || null
+    this.maxDownloads = data.maxDownloads || null
     
     // Client-side properties (not stored in Firestore)
     this.file = data.file || null // Original File object
@@ -112,6 +120,24 @@ export class FileModel {
     return this.getFileCategory() === 'document'
   }
 
+  /**
+   * Check if the file has passed its expiry or used up its downloads
+   * @returns {boolean}
+   */
+  hasExpired() {
+    if (this.expiresAt && new Date(this.expiresAt) <= new Date()) return true
+    return this.maxDownloads !== null && this.downloadCount >= this.maxDownloads
+  }
+
+  /**
+   * Get the number of downloads left before the file is purged
+   * @returns {number|null} Downloads left, or null if there is no download limit
+   */
+  getRemainingDownloads() {
+    if (this.maxDownloads === null) return null
+    return Math.max(0, this.maxDownloads - this.downloadCount)
+  }
+
   /**
    * Increment download count
    */
@@ -140,13 +166,20 @@ export class FileModel {
       type: this.type,
       mimeType: this.mimeType,
       bucketId: this.bucketId,
+      ownerId: this.ownerId,
       uploadedAt: this.uploadedAt,
       uploadedBy: this.uploadedBy,
       downloadURL: this.downloadURL,
       storagePath: this.storagePath,
+      path: this.path,
+      contentHash: this.contentHash,
+      encrypted: this.encrypted,
       isActive: this.isActive,
+      deletedAt: this.deletedAt,
       downloadCount: this.downloadCount,
-      lastDownloaded: this.lastDownloaded
+      lastDownloaded: this.lastDownloaded,
+      expiresAt: this.expiresAt,
+      maxDownloads: this.maxDownloads
     }
   }
 
@@ -165,12 +198,14 @@ export class FileModel {
 
   /**
    * Create FileModel from browser File object
-   * @param {File} file - Browser File object
+   * @param {File|{name: string, size: number, type: string}} file - Browser File object, or the description
+   *   an interrupted upload keeps of it (no local copy or preview URL then)
    * @param {string} bucketId - Associated bucket ID
    * @param {string} uploadedBy - User ID who uploaded
+   * @param {string} [path] - Folder within the bucket
    * @returns {FileModel}
    */
-  static fromFile(file, bucketId, uploadedBy) {
+  static fromFile(file, bucketId, uploadedBy, path = '') {
     return new FileModel({
       name: file.name,
       originalName: file.name,
@@ -179,8 +214,9 @@ export class FileModel {
       mimeType: file.type,
       bucketId,
       uploadedBy,
-      file,
-      url: URL.createObjectURL(file)
+      path,
+      file: file instanceof Blob ? file : null,
+      url: file instanceof Blob ? URL.createObjectURL(file) : null
     })
   }
 
@@ -6,12 +6,24 @@ import { bucketService } from '../services/bucket.service'
 import { fileService } from '../services/file.service'
 import { analyticsService } from '../services/analytics.service'
 import FilePreviewModal from '../components/FilePreviewModal'
+import UploadProgressPanel from '../components/UploadProgressPanel'
+import FolderBreadcrumbs from '../components/FolderBreadcrumbs'
+import TrashPanel from '../components/TrashPanel'
+import DownloadHistoryModal from '../components/DownloadHistoryModal'
+import FileSelectionBar from '../components/FileSelectionBar'
+import BucketUnlockPanel from '../components/BucketUnlockPanel'
+import CollaboratorsModal from '../components/CollaboratorsModal'
+import { useFileUploads } from '../hooks/useFileUploads'
+import { useFileUrls } from '../hooks/useFileUrls'
 import { 
-  getDaysUntilExpiration, 
+  getTimeUntilExpiration, 
   getExpirationStatus, 
   formatDate, 
+  formatFileSize,
   showTooltip 
 } from '../utils/helpers'
+import { BUCKET_EXPIRY_OPTIONS, BUCKET_PASSWORD, TRASH_RETENTION_DAYS } from '../utils/constants'
+import { getFolderContents, getDroppedFiles, getSelectedFiles, getBreadcrumbs } from '../utils/folders'
 import potIcon from '../assets/potIcon.png'
 import Logger from '../utils/logger.js'
 
@@ -20,20 +32,49 @@ function BucketView() {
   const navigate = useNavigate()
   const { user } = useAuth()
   const fileInputRef = useRef(null)
+  const folderInputRef = useRef(null)
   
   // State management
   const [bucket, setBucket] = useState(null)
   const [files, setFiles] = useState([])
   const [loading, setLoading] = useState(true)
-  const [uploading, setUploading] = useState(false)
   const [error, setError] = useState(null)
   const [deletingFileId, setDeletingFileId] = useState(null) // Track which file is being deleted
   const [bucketPin, setBucketPin] = useState(null)
   const [copyingPin, setCopyingPin] = useState(false)
   const [allowPinUploads, setAllowPinUploads] = useState(true)
+  const [pinAccessEnabled, setPinAccessEnabled] = useState(true)
+  const [showRotatePinModal, setShowRotatePinModal] = useState(false)
+  const [rotatingPin, setRotatingPin] = useState(false)
+  const [passwordProtected, setPasswordProtected] = useState(false)
+  const [showPasswordModal, setShowPasswordModal] = useState(false)
+  const [passwordForm, setPasswordForm] = useState({ password: '', confirmation: '' })
+  const [savingPassword, setSavingPassword] = useState(false)
+  const [passwordError, setPasswordError] = useState('')
+  const [extendingExpiry, setExtendingExpiry] = useState(false)
+  const [bucketLocked, setBucketLocked] = useState(false)
+  const {
+    uploads,
+    isUploading: uploading,
+    uploadFiles,
+    pauseUpload,
+    resumeUpload,
+    cancelUpload,
+    retryUpload,
+    clearFinished,
+    interruptedUploads,
+    resumeInterruptedUploads,
+    discardInterruptedUploads
+  } = useFileUploads(bucketId, user?.uid)
   
   const [showUploadModal, setShowUploadModal] = useState(false)
   const [showRenameModal, setShowRenameModal] = useState(false)
+  const [showLimitsModal, setShowLimitsModal] = useState(false)
+  // expiry is 'keep' (the current expiresAt), 'none' or a number of hours from now
+  const [limitsForm, setLimitsForm] = useState({ expiry: 'none', maxDownloads: '' })
+  const [savingLimits, setSavingLimits] = useState(false)
+  // File whose download history is open
+  const [historyFile, setHistoryFile] = useState(null)
   const [showNotificationModal, setShowNotificationModal] = useState(false)
   const [notificationData, setNotificationData] = useState({
     type: 'success',
@@ -45,17 +86,54 @@ function BucketView() {
   const [newFileName, setNewFileName] = useState('')
   const [dragActive, setDragActive] = useState(false)
   const [viewMode, setViewMode] = useState('grid')
+  const [currentFolder, setCurrentFolder] = useState('')
+  const [showTrash, setShowTrash] = useState(false)
   const [showDeleteBucketModal, setShowDeleteBucketModal] = useState(false)
+  const [showCollaboratorsModal, setShowCollaboratorsModal] = useState(false)
   const [deletingBucket, setDeletingBucket] = useState(false)
   const [previewFile, setPreviewFile] = useState(null)
   const [downloadingZip, setDownloadingZip] = useState(false)
   const [zipProgress, setZipProgress] = useState({ current: 0, total: 0 })
+  const [selectedFileIds, setSelectedFileIds] = useState(new Set())
+  // Bulk action running on the selection: 'zip', 'move' or 'delete'
+  const [bulkAction, setBulkAction] = useState(null)
 
   // Load bucket and files on component mount
   useEffect(() => {
     loadBucketData()
+    setCurrentFolder('')
+    setShowTrash(false)
   }, [bucketId])
 
+  // Folders only exist through their files, so step out of a folder once it has been emptied
+  const folderContents = getFolderContents(files, currentFolder)
+  useEffect(() => {
+    if (currentFolder && folderContents.folders.length === 0 && folderContents.files.length === 0) {
+      const parents = getBreadcrumbs(currentFolder)
+      setCurrentFolder(parents.length > 1 ? parents[parents.length - 2].path : '')
+    }
+  }, [currentFolder, folderContents.folders.length, folderContents.files.length])
+
+  // Signed URLs for the thumbnails in the current folder
+  const fileUrls = useFileUrls(folderContents.files)
+
+  // Viewers can only download; uploaders can also upload, editors can also rename, move and delete
+  const canUpload = Boolean(bucket?.canUpload(user?.email))
+  const canEditFiles = Boolean(bucket?.canEditFiles(user?.email))
+
+  // The selection only covers the folder being viewed
+  useEffect(() => {
+    setSelectedFileIds(new Set())
+  }, [bucketId, currentFolder])
+
+  // Drop selected files that have gone away (deleted, moved or expired)
+  useEffect(() => {
+    setSelectedFileIds(prev => {
+      const remaining = new Set(files.filter(file => prev.has(file.id)).map(file => file.id))
+      return remaining.size === prev.size ? prev : remaining
+    })
+  }, [files])
+
   // Enhanced loadBucketData with PIN retrieval
   const loadBucketData = async () => {
     try {
@@ -69,7 +147,10 @@ function BucketView() {
         return
       }
       setBucket(bucketData)
+      setBucketLocked(bucketData.isEncrypted() && !bucketService.getBucketKeys(bucketId))
       setAllowPinUploads(bucketData.allowPinUploads)
+      setPinAccessEnabled(bucketData.pinAccessEnabled)
+      setPasswordProtected(bucketData.passwordProtected)
 
       // Load bucket PIN if owned
       if (bucketData.isOwned) {
@@ -111,6 +192,128 @@ function BucketView() {
     }
   }
 
+  // Revoke or restore PIN access
+  const togglePinAccess = async () => {
+    try {
+      const newValue = !pinAccessEnabled
+      if (newValue) {
+        await bucketService.restorePinAccess(bucketId)
+      } else {
+        await bucketService.revokePinAccess(bucketId)
+      }
+      setPinAccessEnabled(newValue)
+      showNotification(
+        'success',
+        'Settings Updated',
+        newValue
+          ? 'PIN access is restored. Anyone with the PIN can open this bucket again.'
+          : 'PIN access is revoked. The PIN no longer opens this bucket, but you keep full access.',
+        []
+      )
+    } catch (error) {
+      Logger.error('Error updating PIN access:', error)
+      showNotification(
+        'error',
+        'Update Failed',
+        error.message,
+        []
+      )
+    }
+  }
+
+  // Replace the bucket PIN with a new one
+  const rotatePin = async () => {
+    try {
+      setRotatingPin(true)
+      const newPin = await bucketService.rotatePin(bucketId)
+      setBucketPin(newPin)
+      setShowRotatePinModal(false)
+      showNotification(
+        'success',
+        'PIN Rotated',
+        'The old PIN no longer works. Share the new PIN with anyone who still needs access.',
+        [`New PIN: ${newPin}`]
+      )
+    } catch (error) {
+      Logger.error('Error rotating PIN:', error)
+      setShowRotatePinModal(false)
+      showNotification(
+        'error',
+        'Rotation Failed',
+        error.message,
+        []
+      )
+    } finally {
+      setRotatingPin(false)
+    }
+  }
+
+  const openPasswordModal = () => {
+    setPasswordForm({ password: '', confirmation: '' })
+    setPasswordError('')
+    setShowPasswordModal(true)
+  }
+
+  // Set, change or (with null) remove the password PIN users enter after the PIN
+  const saveBucketPassword = async (password) => {
+    if (password !== null) {
+      if (password.length < BUCKET_PASSWORD.MIN_LENGTH || password.length > BUCKET_PASSWORD.MAX_LENGTH) {
+        setPasswordError(`Use ${BUCKET_PASSWORD.MIN_LENGTH} to ${BUCKET_PASSWORD.MAX_LENGTH} characters.`)
+        return
+      }
+      if (password !== passwordForm.confirmation) {
+        setPasswordError("The passwords don't match.")
+        return
+      }
+    }
+
+    try {
+      setSavingPassword(true)
+      setPasswordError('')
+      await bucketService.setPassword(bucketId, password)
+      setPasswordProtected(password !== null)
+      setShowPasswordModal(false)
+      showNotification(
+        'success',
+        password === null ? 'Password Removed' : 'Password Saved',
+        password === null
+          ? 'The PIN alone opens this bucket again.'
+          : 'Anyone using the PIN now has to enter this password too. People who opened the bucket with the PIN before have to enter it again.',
+        []
+      )
+    } catch (error) {
+      Logger.error('Error saving bucket password:', error)
+      setPasswordError(error.message)
+    } finally {
+      setSavingPassword(false)
+    }
+  }
+
+  // Push the bucket expiry out to the chosen number of hours from now
+  const extendExpiry = async (hours) => {
+    try {
+      setExtendingExpiry(true)
+      const updatedBucket = await bucketService.extendBucketExpiry(bucketId, hours)
+      setBucket(updatedBucket)
+      showNotification(
+        'success',
+        'Expiry Extended',
+        `This bucket now expires on ${new Date(updatedBucket.expiresAt).toLocaleString()}.`,
+        []
+      )
+    } catch (error) {
+      Logger.error('Error extending bucket expiry:', error)
+      showNotification(
+        'error',
+        'Update Failed',
+        error.message,
+        []
+      )
+    } finally {
+      setExtendingExpiry(false)
+    }
+  }
+
   // Show notification modal
   const showNotification = (type, title, message, details = []) => {
     setNotificationData({ type, title, message, details })
@@ -118,14 +321,13 @@ function BucketView() {
   }
 
   // Handle file upload using the service
-  const handleFileUpload = async (uploadedFiles) => {
-    if (!uploadedFiles.length) return
+  // startUpload is uploadFiles for new files, or resumeInterruptedUploads
+  const handleFileUpload = async (uploadedFiles, startUpload = uploadFiles) => {
+    if (uploadedFiles && !uploadedFiles.length) return
 
     try {
-      setUploading(true)
-      
       // Upload files using the service (includes validation)
-      const uploadedFileModels = await fileService.uploadFiles(uploadedFiles, bucketId, user.uid)
+      const uploadedFileModels = await startUpload(uploadedFiles)
       
       // Only show success if files were actually uploaded
       if (uploadedFileModels.length > 0) {
@@ -134,7 +336,7 @@ function BucketView() {
         setShowUploadModal(false)
         
         // Calculate total size for analytics
-        const totalSize = Array.from(uploadedFiles).reduce((total, file) => total + file.size, 0)
+        const totalSize = uploadedFileModels.reduce((total, file) => total + file.size, 0)
         
         // Track upload in analytics
         analyticsService.logFileUpload(bucketId, uploadedFileModels.length, totalSize)
@@ -177,7 +379,7 @@ function BucketView() {
         showNotification(
           'error',
           'Upload Failed',
-          'No files were successfully uploaded. Please check the errors and try again.',
+          'No new files were uploaded. Check the upload list for failed or already uploaded files.',
           []
         )
       }
@@ -189,8 +391,6 @@ function BucketView() {
         error.message,
         []
       )
-    } finally {
-      setUploading(false)
     }
   }
 
@@ -209,8 +409,8 @@ function BucketView() {
       
       showNotification(
         'success',
-        'File Deleted',
-        'File has been successfully deleted.',
+        'Moved to Trash',
+        `The file can be restored from the trash for ${TRASH_RETENTION_DAYS} days.`,
         []
       )
     } catch (error) {
@@ -226,6 +426,12 @@ function BucketView() {
     }
   }
 
+  // Put a file restored from the trash back in the list
+  const handleRestore = async (file) => {
+    setFiles(prev => [...prev, file].sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt)))
+    await refreshBucketData()
+  }
+
   // Refresh bucket data helper function
   const refreshBucketData = async () => {
     try {
@@ -281,15 +487,18 @@ function BucketView() {
       
       // Track download in analytics
       analyticsService.logFileDownload(bucketId, file.id, file.size)
+
+      // Every file is checked against its SHA-256 (and decrypted if needed) before it is saved from memory
+      const objectUrl = URL.createObjectURL(await fileService.fetchVerifiedBlob(file, downloadURL))
       
       // Create download link
       const link = document.createElement('a')
-      link.href = downloadURL
+      link.href = objectUrl
       link.download = file.name
-      link.target = '_blank'
       document.body.appendChild(link)
       link.click()
       document.body.removeChild(link)
+      URL.revokeObjectURL(objectUrl)
       
       showNotification(
         'success',
@@ -315,6 +524,163 @@ function BucketView() {
     setShowRenameModal(true)
   }
 
+  // Open the expiry and download limit settings for a file
+  const startEditLimits = (file) => {
+    setSelectedFile(file)
+    setLimitsForm({
+      expiry: file.expiresAt ? 'keep' : 'none',
+      maxDownloads: file.maxDownloads !== null ? String(file.maxDownloads) : ''
+    })
+    setShowLimitsModal(true)
+  }
+
+  const saveFileLimits = async () => {
+    if (!selectedFile) return
+
+    const { expiry, maxDownloads } = limitsForm
+    let expiresAt = null
+    if (expiry === 'keep') {
+      expiresAt = selectedFile.expiresAt
+    } else if (expiry !== 'none') {
+      expiresAt = new Date(Date.now() + Number(expiry) * 60 * 60 * 1000).toISOString()
+    }
+
+    try {
+      setSavingLimits(true)
+      const updatedFile = await fileService.setFileLimits(selectedFile.id, {
+        expiresAt,
+        maxDownloads: maxDownloads === '' ? null : Number(maxDownloads)
+      })
+      setFiles(prev => prev.map(file => file.id === updatedFile.id ? updatedFile : file))
+      setShowLimitsModal(false)
+      setSelectedFile(null)
+      showNotification(
+        'success',
+        'Limits Updated',
+        getFileLimitsText(updatedFile)
+          ? `"${updatedFile.name}" self-destructs: ${getFileLimitsText(updatedFile)}.`
+          : `"${updatedFile.name}" no longer has an expiry or download limit.`,
+        []
+      )
+    } catch (error) {
+      Logger.error('Error updating file limits:', error)
+      showNotification(
+        'error',
+        'Update Failed',
+        error.message,
+        []
+      )
+    } finally {
+      setSavingLimits(false)
+    }
+  }
+
+  const toggleFileSelection = (fileId) => {
+    setSelectedFileIds(prev => {
+      const next = new Set(prev)
+      if (next.has(fileId)) {
+        next.delete(fileId)
+      } else {
+        next.add(fileId)
+      }
+      return next
+    })
+  }
+
+  const allFilesSelected = folderContents.files.length > 0 &&
+    folderContents.files.every(file => selectedFileIds.has(file.id))
+
+  const toggleSelectAll = () => {
+    setSelectedFileIds(allFilesSelected ? new Set() : new Set(folderContents.files.map(file => file.id)))
+  }
+
+  const downloadSelectedAsZip = async () => {
+    const fileIds = Array.from(selectedFileIds)
+    try {
+      setBulkAction('zip')
+      setZipProgress({ current: 0, total: fileIds.length })
+      await fileService.downloadBucketAsZip(bucketId, (current, total) => setZipProgress({ current, total }), fileIds)
+    } catch (error) {
+      Logger.error('ZIP download error:', error)
+      showNotification('error', 'ZIP Download Failed', error.message, [])
+    } finally {
+      setBulkAction(null)
+      setZipProgress({ current: 0, total: 0 })
+    }
+  }
+
+  const deleteSelectedFiles = async () => {
+    const fileIds = Array.from(selectedFileIds)
+    try {
+      setBulkAction('delete')
+      await fileService.deleteFiles(fileIds)
+      setFiles(prev => prev.filter(file => !selectedFileIds.has(file.id)))
+      setSelectedFileIds(new Set())
+      await refreshBucketData()
+
+      showNotification(
+        'success',
+        'Moved to Trash',
+        `${fileIds.length} file${fileIds.length !== 1 ? 's' : ''} can be restored from the trash for ${TRASH_RETENTION_DAYS} days.`,
+        []
+      )
+    } catch (error) {
+      Logger.error('Bulk delete error:', error)
+      showNotification('error', 'Delete Failed', error.message, [])
+    } finally {
+      setBulkAction(null)
+    }
+  }
+
+  // Move or copy the selected files into another bucket. Files that weren't transferred stay selected.
+  const transferSelectedFiles = async (targetBucket, mode) => {
+    const moving = mode === 'move'
+    try {
+      setBulkAction(mode)
+      const fileIds = Array.from(selectedFileIds)
+      const { transferred, skipped, duplicates, overQuota, failed } = moving
+        ? await fileService.moveFiles(fileIds, targetBucket.id)
+        : await fileService.copyFiles(fileIds, targetBucket.id)
+      const transferredIds = new Set(transferred)
+      if (moving) {
+        setFiles(prev => prev.filter(file => !transferredIds.has(file.id)))
+      }
+      setSelectedFileIds(new Set(fileIds.filter(fileId => !transferredIds.has(fileId))))
+      await refreshBucketData()
+
+      const notTransferred = duplicates.length + overQuota.length + failed.length
+      const verb = moving ? 'moved' : 'copied'
+      showNotification(
+        notTransferred > 0 ? 'error' : 'success',
+        notTransferred > 0 ? `Some Files Not ${moving ? 'Moved' : 'Copied'}` : `Files ${moving ? 'Moved' : 'Copied'}`,
+        `${moving ? 'Moved' : 'Copied'} ${transferred.length} file${transferred.length !== 1 ? 's' : ''} to "${targetBucket.name}".`,
+        [
+          ...(skipped.length > 0 ? [`${skipped.length} already in that bucket`] : []),
+          ...(duplicates.length > 0 ? [`${duplicates.length} not ${verb}: the same content is already in that bucket`] : []),
+          ...(overQuota.length > 0 ? [`${overQuota.length} not ${verb}: the bucket owner is out of storage`] : []),
+          ...(failed.length > 0 ? [`${failed.length} could not be ${verb}`] : [])
+        ]
+      )
+    } catch (error) {
+      Logger.error(`Bulk ${mode} error:`, error)
+      showNotification('error', `${moving ? 'Move' : 'Copy'} Failed`, error.message, [])
+    } finally {
+      setBulkAction(null)
+    }
+  }
+
+  // Short description of a file's expiry and download limit ('' if it has neither)
+  const getFileLimitsText = (file) => {
+    const parts = []
+    if (file.expiresAt) {
+      parts.push(getExpirationStatus(new Date(file.expiresAt).getTime() - Date.now()).text)
+    }
+    if (file.maxDownloads !== null) {
+      parts.push(`${file.getRemainingDownloads()} of ${file.maxDownloads} downloads left`)
+    }
+    return parts.join(' • ')
+  }
+
   // Delete bucket function
   const deleteBucket = async () => {
     if (!bucket || !bucket.isOwned) {
@@ -420,7 +786,7 @@ function BucketView() {
       }
 
       // Download as ZIP using the file service
-      await fileService.downloadBucketAsZip(bucketId, bucket.name, onProgress)
+      await fileService.downloadBucketAsZip(bucketId, onProgress)
 
       showNotification(
         'success',
@@ -454,13 +820,14 @@ function BucketView() {
     }
   }
 
-  const handleDrop = (e) => {
+  const handleDrop = async (e) => {
     e.preventDefault()
     e.stopPropagation()
     setDragActive(false)
     
-    if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-      handleFileUpload(e.dataTransfer.files)
+    if (canUpload && e.dataTransfer.files && e.dataTransfer.files[0]) {
+      // Dropped folders are walked so their files keep their place in the tree
+      handleFileUpload(await getDroppedFiles(e.dataTransfer, currentFolder))
     }
   }
 
@@ -596,8 +963,7 @@ function BucketView() {
     )
   }
 
-  const daysLeft = getDaysUntilExpiration(bucket.createdAt)
-  const expirationStatus = getExpirationStatus(daysLeft)
+  const expirationStatus = getExpirationStatus(getTimeUntilExpiration(bucket))
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -648,9 +1014,39 @@ function BucketView() {
                   </svg>
                 </button>
               </div>
+              {bucket && bucket.isOwned && (
+                <button
+                  onClick={() => setShowTrash(prev => !prev)}
+                  className={`flex items-center justify-center space-x-2 px-3 py-2 text-sm rounded-lg border transition-colors ${
+                    showTrash ? 'bg-gray-900 text-white border-gray-900' : 'text-gray-600 border-gray-300 hover:bg-gray-100'
+                  }`}
+                  title="Trash"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                  </svg>
+                  <span>Trash</span>
+                </button>
+              )}
                {/* Add PIN Upload Toggle for bucket owners */}
                {bucket && bucket.isOwned && (
                 <div className="flex items-center space-x-4 ml-auto">
+                  <div className="flex items-center space-x-2">
+                    <label className="text-sm text-gray-600">PIN Access</label>
+                    <button
+                      onClick={togglePinAccess}
+                      className={`relative inline-flex items-center h-6 rounded-full w-11 transition-colors focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 ${
+                        pinAccessEnabled ? 'bg-blue-600' : 'bg-gray-200'
+                      }`}
+                    >
+                      <span className="sr-only">Toggle PIN access</span>
+                      <span
+                        className={`inline-block w-4 h-4 transform transition-transform bg-white rounded-full ${
+                          pinAccessEnabled ? 'translate-x-6' : 'translate-x-1'
+                        }`}
+                      />
+                    </button>
+                  </div>
                   <div className="flex items-center space-x-2">
                     <label className="text-sm text-gray-600">External Uploads</label>
                     <button
@@ -669,11 +1065,11 @@ function BucketView() {
                   </div>
                 </div>
               )}
-              {/* Download ZIP Button - Show if there are files */}
-              {files.length > 0 && (
+              {/* Download ZIP Button - Show if there are files (encrypted files can't be zipped server-side) */}
+              {files.length > 0 && !bucket.isEncrypted() && (
                 <button
                   onClick={downloadBucketAsZip}
-                  disabled={downloadingZip}
+                  disabled={downloadingZip || bulkAction !== null}
                   className="bg-green-600 text-white px-3 sm:px-4 py-2 rounded-lg hover:bg-green-700 transition-colors flex items-center justify-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed text-sm"
                   title="Download all files as ZIP"
                 >
@@ -694,6 +1090,19 @@ function BucketView() {
                 </button>
               )}
 
+              {bucket && bucket.isOwned && (
+                <button
+                  onClick={() => setShowCollaboratorsModal(true)}
+                  className="bg-white text-gray-700 border border-gray-300 px-3 sm:px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors flex items-center justify-center space-x-2 text-sm"
+                  title="Share with collaborators"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M18 9v3m0 0v3m0-3h3m-3 0h-3m-2-5a4 4 0 11-8 0 4 4 0 018 0zM3 20a6 6 0 0112 0v1H3v-1z" />
+                  </svg>
+                  <span className="hidden sm:inline">Share</span>
+                </button>
+              )}
+
               {/* Delete Bucket Button - Only show if user owns the bucket */}
               {bucket && bucket.isOwned && (
                 <button
@@ -712,7 +1121,8 @@ function BucketView() {
               
               <button
                 onClick={() => setShowUploadModal(true)}
-                disabled={uploading}
+                disabled={uploading || bucketLocked || !canUpload}
+                title={canUpload ? undefined : 'Your role in this bucket does not allow uploads'}
                 className="bg-blue-600 text-white px-3 sm:px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center justify-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed text-sm"
               >
                 {uploading ? (
@@ -736,6 +1146,20 @@ function BucketView() {
 
       {/* Main Content */}
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 lg:py-8">
+        {!showUploadModal && (
+          <UploadProgressPanel
+            className="mb-6"
+            uploads={uploads}
+            onPause={pauseUpload}
+            onResume={resumeUpload}
+            onCancel={cancelUpload}
+            onRetry={(uploadId) => handleFileUpload(null, () => retryUpload(uploadId))}
+            onClear={clearFinished}
+            interruptedUploads={interruptedUploads}
+            onResumeInterrupted={() => handleFileUpload(null, resumeInterruptedUploads)}
+            onDiscardInterrupted={discardInterruptedUploads}
+          />
+        )}
         {/* Bucket Stats */}
         <div className="bg-white rounded-lg border border-gray-200 p-4 lg:p-6 mb-6 lg:mb-8">
           <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between space-y-4 lg:space-y-0">
@@ -748,37 +1172,99 @@ function BucketView() {
                 <p className="text-sm text-gray-500">
                   Total size: {bucket.getFormattedSize ? bucket.getFormattedSize() : '0 Bytes'}
                 </p>
-                <p className={`text-xs lg:text-sm font-semibold px-2 py-1 rounded-lg inline-block ${expirationStatus.color} mt-1`}>
-                  {expirationStatus.text}
-                </p>
+                <div className="flex items-center space-x-2 mt-1">
+                  <p className={`text-xs lg:text-sm font-semibold px-2 py-1 rounded-lg inline-block ${expirationStatus.color}`}>
+                    {expirationStatus.text}
+                  </p>
+                  {bucket.isOwned && (
+                    <select
+                      value=""
+                      onChange={(e) => e.target.value && extendExpiry(Number(e.target.value))}
+                      disabled={extendingExpiry}
+                      className="text-xs lg:text-sm text-gray-600 border border-gray-300 rounded-lg px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+                      title="Extend expiry"
+                    >
+                      <option value="">{extendingExpiry ? 'Extending...' : 'Extend to...'}</option>
+                      {BUCKET_EXPIRY_OPTIONS.map((option) => (
+                        <option key={option.hours} value={option.hours}>
+                          {option.name} from now
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                </div>
               </div>
             </div>
             
             {bucketPin && (
               <div className="text-left lg:text-right">
-                <p className="text-sm text-gray-500 mb-1">Bucket PIN</p>
-                <button
-                  onClick={handleCopyPin}
-                  disabled={copyingPin}
-                  className="text-base lg:text-lg font-mono font-bold text-blue-600 hover:text-blue-700 bg-blue-50 hover:bg-blue-100 px-3 py-1 rounded border border-blue-200 transition-colors flex items-center space-x-2"
-                  title="Click to copy PIN"
-                >
-                  <span>{bucketPin}</span>
-                  {copyingPin ? (
-                    <div className="w-4 h-4 border-2 border-blue-600/30 border-t-blue-600 rounded-full animate-spin"></div>
-                  ) : (
-                    <svg className="w-4 h-4 text-blue-600/50 group-hover:text-blue-600" viewBox="0 0 24 24" fill="none" stroke="currentColor">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7v8a2 2 0 002 2h6M8 7V5a2 2 0 012-2h4.586a1 1 0 01.707.293l4.414 4.414a1 1 0 01.293.707V15a2 2 0 01-2 2h-2M8 7H6a2 2 0 00-2 2v10a2 2 0 002 2h8a2 2 0 002-2v-2" />
-                    </svg>
+                <p className="text-sm text-gray-500 mb-1">
+                  Bucket PIN{!pinAccessEnabled && <span className="text-red-500"> (revoked)</span>}
+                </p>
+                <div className="flex items-center space-x-2 lg:justify-end">
+                  <button
+                    onClick={handleCopyPin}
+                    disabled={copyingPin}
+                    className="text-base lg:text-lg font-mono font-bold text-blue-600 hover:text-blue-700 bg-blue-50 hover:bg-blue-100 px-3 py-1 rounded border border-blue-200 transition-colors flex items-center space-x-2"
+                    title="Click to copy PIN"
+                  >
+                    <span>{bucketPin}</span>
+                    {copyingPin ? (
+                      <div className="w-4 h-4 border-2 border-blue-600/30 border-t-blue-600 rounded-full animate-spin"></div>
+                    ) : (
+                      <svg className="w-4 h-4 text-blue-600/50 group-hover:text-blue-600" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7v8a2 2 0 002 2h6M8 7V5a2 2 0 012-2h4.586a1 1 0 01.707.293l4.414 4.414a1 1 0 01.293.707V15a2 2 0 01-2 2h-2M8 7H6a2 2 0 00-2 2v10a2 2 0 002 2h8a2 2 0 002-2v-2" />
+                      </svg>
+                    )}
+                  </button>
+                  {/* Encrypted buckets keep their PIN, which is part of their key */}
+                  {!bucket.isEncrypted() && (
+                    <button
+                      onClick={() => setShowRotatePinModal(true)}
+                      className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded border border-gray-200 transition-colors"
+                      title="Rotate PIN"
+                    >
+                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                      </svg>
+                    </button>
                   )}
-                </button>
+                  <button
+                    onClick={openPasswordModal}
+                    className={`p-2 rounded border transition-colors ${
+                      passwordProtected
+                        ? 'text-blue-600 bg-blue-50 border-blue-200 hover:bg-blue-100'
+                        : 'text-gray-500 border-gray-200 hover:text-blue-600 hover:bg-blue-50'
+                    }`}
+                    title={passwordProtected ? 'Change or remove password' : 'Set password'}
+                  >
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+                    </svg>
+                  </button>
+                </div>
               </div>
             )}
           </div>
         </div>
 
+        {bucketLocked && (
+          <BucketUnlockPanel
+            className="mb-4"
+            bucket={bucket}
+            askPin={!bucket.isOwned}
+            onUnlock={() => setBucketLocked(false)}
+          />
+        )}
+
         {/* Files Section */}
-        {files.length === 0 ? (
+        {showTrash ? (
+          <TrashPanel
+            bucketId={bucketId}
+            onRestore={handleRestore}
+            onClose={() => setShowTrash(false)}
+          />
+        ) : files.length === 0 ? (
           <div 
             className={`border-2 border-dashed rounded-lg p-8 lg:p-12 text-center transition-colors ${
               dragActive ? 'border-blue-500 bg-blue-50' : 'border-gray-300'
@@ -795,7 +1281,7 @@ function BucketView() {
             <p className="text-sm lg:text-base text-gray-500 mb-6">Upload your first file to get started</p>
             <button
               onClick={() => setShowUploadModal(true)}
-              disabled={uploading}
+              disabled={uploading || bucketLocked || !canUpload}
               className="bg-blue-600 text-white px-4 lg:px-6 py-2 lg:py-3 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed text-sm lg:text-base"
             >
               {uploading ? 'Uploading...' : 'Upload Files'}
@@ -803,29 +1289,82 @@ function BucketView() {
           </div>
         ) : (
           <div>
+            <FolderBreadcrumbs
+              className="mb-4"
+              path={currentFolder}
+              onNavigate={setCurrentFolder}
+              rootLabel={bucket.name}
+            />
+            {selectedFileIds.size > 0 && (
+              <FileSelectionBar
+                className="mb-4"
+                count={selectedFileIds.size}
+                bucketId={bucketId}
+                userId={user?.uid}
+                userEmail={user?.email}
+                encrypted={bucket.isEncrypted()}
+                canEditFiles={canEditFiles}
+                busyAction={bulkAction || (downloadingZip ? 'zip-all' : null)}
+                zipProgress={zipProgress}
+                onDownload={downloadSelectedAsZip}
+                onMove={(targetBucket) => transferSelectedFiles(targetBucket, 'move')}
+                onCopy={(targetBucket) => transferSelectedFiles(targetBucket, 'copy')}
+                onDelete={deleteSelectedFiles}
+                onClear={() => setSelectedFileIds(new Set())}
+              />
+            )}
             {viewMode === 'grid' ? (
               <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4 lg:gap-6">
-                {files.map((file) => (
+                {folderContents.folders.map((folder) => (
+                  <motion.div
+                    key={folder.path}
+                    className="bg-white rounded-lg border border-gray-200 p-4 hover:shadow-lg transition-shadow cursor-pointer flex items-center space-x-3"
+                    onClick={() => setCurrentFolder(folder.path)}
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                  >
+                    <svg className="w-10 h-10 text-yellow-500 flex-shrink-0" fill="currentColor" viewBox="0 0 24 24">
+                      <path d="M10 4H4c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V8c0-1.1-.9-2-2-2h-8l-2-2z" />
+                    </svg>
+                    <div className="min-w-0">
+                      <h3 className="font-medium text-gray-900 truncate text-sm sm:text-base" title={folder.name}>{folder.name}</h3>
+                      <p className="text-xs text-gray-500">
+                        {folder.fileCount} file{folder.fileCount !== 1 ? 's' : ''} • {formatFileSize(folder.size)}
+                      </p>
+                    </div>
+                  </motion.div>
+                ))}
+                {folderContents.files.map((file) => (
                   <motion.div
                     key={file.id}
-                    className="bg-white rounded-lg border border-gray-200 overflow-hidden hover:shadow-lg transition-shadow group cursor-pointer"
+                    className={`bg-white rounded-lg border overflow-hidden hover:shadow-lg transition-shadow group cursor-pointer ${
+                      selectedFileIds.has(file.id) ? 'border-blue-500 ring-2 ring-blue-500' : 'border-gray-200'
+                    }`}
                     onClick={() => file.isPreviewable() && handlePreview(file)}
                     initial={{ opacity: 0, y: 20 }}
                     animate={{ opacity: 1, y: 0 }}
                   >
                     {/* Preview Area */}
                     <div className="aspect-video relative bg-gray-100 flex items-center justify-center">
-                      {file.isImage() ? (
+                      <input
+                        type="checkbox"
+                        checked={selectedFileIds.has(file.id)}
+                        onChange={() => toggleFileSelection(file.id)}
+                        onClick={(e) => e.stopPropagation()}
+                        className="absolute top-2 left-2 z-10 h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500 cursor-pointer"
+                        aria-label={`Select ${file.name}`}
+                      />
+                      {file.isImage() && !file.encrypted ? (
                         <img
-                          src={file.downloadURL}
+                          src={fileUrls[file.id]}
                           alt={file.name}
                           className="w-full h-full object-cover"
                           loading="lazy"
                         />
-                      ) : file.isVideo() ? (
+                      ) : file.isVideo() && !file.encrypted ? (
                         <div className="w-full h-full relative">
                           <video
-                            src={file.downloadURL}
+                            src={fileUrls[file.id]}
                             className="w-full h-full object-cover"
                             muted
                             preload="metadata"
@@ -871,40 +1410,68 @@ function BucketView() {
                               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
                             </svg>
                           </button>
-                          <button
-                            onClick={(e) => {
-                              e.stopPropagation();
-                              startRename(file);
-                            }}
-                            className="p-1 text-gray-400 hover:text-blue-600 rounded"
-                            title="Rename"
-                          >
-                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
-                            </svg>
-                          </button>
-                          <button
-                            onClick={(e) => {
-                              e.stopPropagation();
-                              deleteFile(file.id);
-                            }}
-                            disabled={deletingFileId === file.id}
-                            className="p-1 text-gray-400 hover:text-red-600 rounded disabled:opacity-50"
-                            title="Delete"
-                          >
-                            {deletingFileId === file.id ? (
-                              <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-red-600"></div>
-                            ) : (
-                              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                              </svg>
-                            )}
-                          </button>
+                          {canEditFiles && (
+                            <>
+                              <button
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  startRename(file);
+                                }}
+                                className="p-1 text-gray-400 hover:text-blue-600 rounded"
+                                title="Rename"
+                              >
+                                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                                </svg>
+                              </button>
+                              <button
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  startEditLimits(file);
+                                }}
+                                className="p-1 text-gray-400 hover:text-orange-600 rounded"
+                                title="Expiry and download limit"
+                              >
+                                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                                </svg>
+                              </button>
+                              <button
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  deleteFile(file.id);
+                                }}
+                                disabled={deletingFileId === file.id}
+                                className="p-1 text-gray-400 hover:text-red-600 rounded disabled:opacity-50"
+                                title="Delete"
+                              >
+                                {deletingFileId === file.id ? (
+                                  <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-red-600"></div>
+                                ) : (
+                                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                                  </svg>
+                                )}
+                              </button>
+                            </>
+                          )}
                         </div>
                       </div>
                       {file.downloadCount > 0 && (
-                        <p className="text-xs text-blue-600 mt-2">
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            setHistoryFile(file);
+                          }}
+                          className="text-xs text-blue-600 hover:text-blue-700 hover:underline mt-2"
+                          title="Download history"
+                        >
                           Downloaded {file.downloadCount} time{file.downloadCount > 1 ? 's' : ''}
+                        </button>
+                      )}
+                      {getFileLimitsText(file) && (
+                        <p className="text-xs text-orange-600 mt-1">
+                          Self-destructs: {getFileLimitsText(file)}
                         </p>
                       )}
                     </div>
@@ -918,6 +1485,16 @@ function BucketView() {
                   <table className="w-full min-w-[600px]">
                     <thead className="bg-gray-50">
                       <tr>
+                        <th className="pl-4 lg:pl-6 py-3 w-8">
+                          <input
+                            type="checkbox"
+                            checked={allFilesSelected}
+                            onChange={toggleSelectAll}
+                            disabled={folderContents.files.length === 0}
+                            className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500 cursor-pointer"
+                            aria-label="Select all files in this folder"
+                          />
+                        </th>
                         <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
                         <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Size</th>
                         <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Uploaded</th>
@@ -926,12 +1503,45 @@ function BucketView() {
                       </tr>
                     </thead>
                     <tbody className="divide-y divide-gray-200">
-                      {files.map((file) => (
-                        <tr key={file.id} className="hover:bg-gray-50">
+                      {folderContents.folders.map((folder) => (
+                        <tr key={folder.path} className="hover:bg-gray-50 cursor-pointer" onClick={() => setCurrentFolder(folder.path)}>
+                          <td className="pl-4 lg:pl-6 py-4"></td>
+                          <td className="px-4 lg:px-6 py-4 whitespace-nowrap">
+                            <div className="flex items-center space-x-3">
+                              <svg className="w-5 h-5 text-yellow-500 flex-shrink-0" fill="currentColor" viewBox="0 0 24 24">
+                                <path d="M10 4H4c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V8c0-1.1-.9-2-2-2h-8l-2-2z" />
+                              </svg>
+                              <span className="text-sm font-medium text-gray-900 truncate max-w-[150px] lg:max-w-none">{folder.name}</span>
+                            </div>
+                          </td>
+                          <td className="px-4 lg:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            {formatFileSize(folder.size)}
+                          </td>
+                          <td className="px-4 lg:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            {folder.fileCount} file{folder.fileCount !== 1 ? 's' : ''}
+                          </td>
+                          <td className="px-4 lg:px-6 py-4 whitespace-nowrap text-sm text-gray-500"></td>
+                          <td className="px-4 lg:px-6 py-4 whitespace-nowrap text-right text-sm font-medium"></td>
+                        </tr>
+                      ))}
+                      {folderContents.files.map((file) => (
+                        <tr key={file.id} className={selectedFileIds.has(file.id) ? 'bg-blue-50' : 'hover:bg-gray-50'}>
+                          <td className="pl-4 lg:pl-6 py-4">
+                            <input
+                              type="checkbox"
+                              checked={selectedFileIds.has(file.id)}
+                              onChange={() => toggleFileSelection(file.id)}
+                              className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500 cursor-pointer"
+                              aria-label={`Select ${file.name}`}
+                            />
+                          </td>
                           <td className="px-4 lg:px-6 py-4 whitespace-nowrap">
                             <div className="flex items-center space-x-3">
                               <span className="text-sm font-medium text-gray-900 truncate max-w-[150px] lg:max-w-none">{file.name}</span>
                             </div>
+                            {getFileLimitsText(file) && (
+                              <p className="text-xs text-orange-600 mt-1">Self-destructs: {getFileLimitsText(file)}</p>
+                            )}
                           </td>
                           <td className="px-4 lg:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                             {file.getFormattedSize()}
@@ -940,7 +1550,15 @@ function BucketView() {
                             {formatDate(file.uploadedAt)}
                           </td>
                           <td className="px-4 lg:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                            {file.downloadCount || 0}
+                            {file.downloadCount > 0 ? (
+                              <button
+                                onClick={() => setHistoryFile(file)}
+                                className="text-blue-600 hover:text-blue-700 hover:underline"
+                                title="Download history"
+                              >
+                                {file.downloadCount}
+                              </button>
+                            ) : 0}
                           </td>
                           <td className="px-4 lg:px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                             <div className="flex items-center justify-end space-x-1 lg:space-x-2">
@@ -959,26 +1577,36 @@ function BucketView() {
                               >
                                 Download
                               </button>
-                              <button
-                                onClick={() => startRename(file)}
-                                className="text-blue-600 hover:text-blue-700 px-2 py-1 text-xs lg:text-sm"
-                              >
-                                Rename
-                              </button>
-                              <button
-                                onClick={() => deleteFile(file.id)}
-                                disabled={deletingFileId === file.id}
-                                className="text-red-600 hover:text-red-700 px-2 py-1 text-xs lg:text-sm disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-1"
-                              >
-                                {deletingFileId === file.id ? (
-                                  <>
-                                    <div className="animate-spin rounded-full h-3 w-3 border-b-2 border-red-600"></div>
-                                    <span>Deleting...</span>
-                                  </>
-                                ) : (
-                                  <span>Delete</span>
-                                )}
-                              </button>
+                              {canEditFiles && (
+                                <>
+                                  <button
+                                    onClick={() => startRename(file)}
+                                    className="text-blue-600 hover:text-blue-700 px-2 py-1 text-xs lg:text-sm"
+                                  >
+                                    Rename
+                                  </button>
+                                  <button
+                                    onClick={() => startEditLimits(file)}
+                                    className="text-orange-600 hover:text-orange-700 px-2 py-1 text-xs lg:text-sm"
+                                  >
+                                    Limits
+                                  </button>
+                                  <button
+                                    onClick={() => deleteFile(file.id)}
+                                    disabled={deletingFileId === file.id}
+                                    className="text-red-600 hover:text-red-700 px-2 py-1 text-xs lg:text-sm disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-1"
+                                  >
+                                    {deletingFileId === file.id ? (
+                                      <>
+                                        <div className="animate-spin rounded-full h-3 w-3 border-b-2 border-red-600"></div>
+                                        <span>Deleting...</span>
+                                      </>
+                                    ) : (
+                                      <span>Delete</span>
+                                    )}
+                                  </button>
+                                </>
+                              )}
                             </div>
                           </td>
                         </tr>
@@ -1022,29 +1650,141 @@ function BucketView() {
               <svg className="w-12 h-12 text-gray-400 mx-auto mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
               </svg>
-              <p className="text-gray-600 mb-4">Drag and drop files here, or</p>
-              <button
-                onClick={() => fileInputRef.current?.click()}
-                disabled={uploading}
-                className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-              >
-                {uploading ? 'Uploading...' : 'Browse Files'}
-              </button>
+              <p className="text-gray-600 mb-4">Drag and drop files or folders here, or</p>
+              <div className="flex items-center justify-center space-x-2">
+                <button
+                  onClick={() => fileInputRef.current?.click()}
+                  className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+                >
+                  {uploading ? 'Add More Files' : 'Browse Files'}
+                </button>
+                <button
+                  onClick={() => folderInputRef.current?.click()}
+                  className="bg-white text-blue-600 border border-blue-600 px-4 py-2 rounded-lg hover:bg-blue-50 transition-colors"
+                >
+                  Browse Folder
+                </button>
+              </div>
               <input
                 ref={fileInputRef}
                 type="file"
                 multiple
                 className="hidden"
-                onChange={(e) => e.target.files && handleFileUpload(e.target.files)}
+                onChange={(e) => e.target.files && handleFileUpload(getSelectedFiles(e.target.files, currentFolder))}
               />
+              <input
+                ref={folderInputRef}
+                type="file"
+                webkitdirectory=""
+                className="hidden"
+                onChange={(e) => e.target.files && handleFileUpload(getSelectedFiles(e.target.files, currentFolder))}
+              />
+              {currentFolder && (
+                <p className="mt-3 text-xs text-gray-500">Uploading into <span className="font-medium">{currentFolder}</span></p>
+              )}
               <div className="mt-4 text-xs text-gray-500">
                 <p>Maximum total storage: 500MB per user</p>
               </div>
             </div>
+
+            <UploadProgressPanel
+              className="mt-4"
+              uploads={uploads}
+              onPause={pauseUpload}
+              onResume={resumeUpload}
+              onCancel={cancelUpload}
+              onRetry={(uploadId) => handleFileUpload(null, () => retryUpload(uploadId))}
+              onClear={clearFinished}
+            />
+          </motion.div>
+        </div>
+      )}
+
+      {showLimitsModal && selectedFile && (
+        <div className="fixed inset-0 backdrop-blur-md flex items-center justify-center z-50">
+          <motion.div
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            className="bg-white rounded-xl p-6 w-full max-w-md mx-4 shadow-2xl"
+          >
+            <div className="flex items-center justify-between mb-6">
+              <h2 className="text-xl font-bold text-gray-900">Expiry and Download Limit</h2>
+              <button
+                onClick={() => setShowLimitsModal(false)}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                ✕
+              </button>
+            </div>
+
+            <p className="text-sm text-gray-600 mb-4">
+              "{selectedFile.name}" is permanently deleted once it expires or reaches its download limit,
+              even if the bucket lives on. Expired files are removed within the hour.
+            </p>
+
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Expires
+                </label>
+                <select
+                  value={limitsForm.expiry}
+                  onChange={(e) => setLimitsForm(prev => ({ ...prev, expiry: e.target.value }))}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  {selectedFile.expiresAt && (
+                    <option value="keep">Keep current ({new Date(selectedFile.expiresAt).toLocaleString()})</option>
+                  )}
+                  <option value="none">Never (with the bucket)</option>
+                  {BUCKET_EXPIRY_OPTIONS.map((option) => (
+                    <option key={option.hours} value={option.hours}>
+                      {option.name} from now
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Maximum downloads
+                </label>
+                <input
+                  type="number"
+                  min={selectedFile.downloadCount + 1}
+                  step="1"
+                  placeholder="Unlimited"
+                  value={limitsForm.maxDownloads}
+                  onChange={(e) => setLimitsForm(prev => ({ ...prev, maxDownloads: e.target.value }))}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Downloaded {selectedFile.downloadCount} time{selectedFile.downloadCount === 1 ? '' : 's'} so far. Leave empty for no limit.
+                </p>
+              </div>
+            </div>
+
+            <div className="flex justify-end space-x-3 mt-6">
+              <button
+                onClick={() => setShowLimitsModal(false)}
+                className="px-4 py-2 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={saveFileLimits}
+                disabled={savingLimits}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {savingLimits ? 'Saving...' : 'Save'}
+              </button>
+            </div>
           </motion.div>
         </div>
       )}
 
+      {historyFile && (
+        <DownloadHistoryModal file={historyFile} onClose={() => setHistoryFile(null)} />
+      )}
+
       {showRenameModal && (
         <div className="fixed inset-0 backdrop-blur-md flex items-center justify-center z-50">
           <motion.div
@@ -1138,6 +1878,148 @@ function BucketView() {
         </div>
       )}
 
+      {showRotatePinModal && (
+        <div className="fixed inset-0 backdrop-blur-md flex items-center justify-center z-50">
+          <motion.div
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            className="bg-white rounded-xl p-6 w-full max-w-md mx-4 shadow-2xl"
+          >
+            <div className="flex items-center justify-between mb-6">
+              <h2 className="text-xl font-bold text-gray-900">Rotate PIN</h2>
+              <button
+                onClick={() => setShowRotatePinModal(false)}
+                className="text-gray-400 hover:text-gray-600"
+                disabled={rotatingPin}
+              >
+                ✕
+              </button>
+            </div>
+
+            <p className="text-gray-700 mb-4">
+              A new PIN will replace <strong>{bucketPin}</strong>. The old PIN stops working immediately and anyone who opened this bucket with it loses access.
+            </p>
+
+            <div className="flex justify-end space-x-3 mt-6">
+              <button
+                onClick={() => setShowRotatePinModal(false)}
+                disabled={rotatingPin}
+                className="px-4 py-2 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={rotatePin}
+                disabled={rotatingPin}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+              >
+                {rotatingPin ? (
+                  <>
+                    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+                    <span>Rotating...</span>
+                  </>
+                ) : (
+                  <span>Rotate PIN</span>
+                )}
+              </button>
+            </div>
+          </motion.div>
+        </div>
+      )}
+
+      {showCollaboratorsModal && (
+        <CollaboratorsModal
+          bucket={bucket}
+          onClose={() => setShowCollaboratorsModal(false)}
+        />
+      )}
+
+      {showPasswordModal && (
+        <div className="fixed inset-0 backdrop-blur-md flex items-center justify-center z-50">
+          <motion.div
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            className="bg-white rounded-xl p-6 w-full max-w-md mx-4 shadow-2xl"
+          >
+            <div className="flex items-center justify-between mb-6">
+              <h2 className="text-xl font-bold text-gray-900">
+                {passwordProtected ? 'Change Password' : 'Set Password'}
+              </h2>
+              <button
+                onClick={() => setShowPasswordModal(false)}
+                className="text-gray-400 hover:text-gray-600"
+                disabled={savingPassword}
+              >
+                ✕
+              </button>
+            </div>
+
+            <p className="text-gray-700 mb-4">
+              Anyone opening this bucket with its PIN will also have to enter this password. You and your collaborators don't need it.
+            </p>
+
+            {passwordError && (
+              <p className="mb-4 px-3 py-2 text-sm text-red-600 bg-red-50 rounded-lg">{passwordError}</p>
+            )}
+
+            <form
+              onSubmit={(e) => {
+                e.preventDefault()
+                saveBucketPassword(passwordForm.password)
+              }}
+              className="space-y-3"
+            >
+              <input
+                type="password"
+                value={passwordForm.password}
+                onChange={(e) => setPasswordForm(prev => ({ ...prev, password: e.target.value }))}
+                placeholder={`New password (at least ${BUCKET_PASSWORD.MIN_LENGTH} characters)`}
+                maxLength={BUCKET_PASSWORD.MAX_LENGTH}
+                autoComplete="new-password"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <input
+                type="password"
+                value={passwordForm.confirmation}
+                onChange={(e) => setPasswordForm(prev => ({ ...prev, confirmation: e.target.value }))}
+                placeholder="Repeat the password"
+                maxLength={BUCKET_PASSWORD.MAX_LENGTH}
+                autoComplete="new-password"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+
+              <div className="flex justify-end space-x-3 pt-3">
+                {passwordProtected && (
+                  <button
+                    type="button"
+                    onClick={() => saveBucketPassword(null)}
+                    disabled={savingPassword}
+                    className="mr-auto px-4 py-2 text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition-colors disabled:opacity-50"
+                  >
+                    Remove
+                  </button>
+                )}
+                <button
+                  type="button"
+                  onClick={() => setShowPasswordModal(false)}
+                  disabled={savingPassword}
+                  className="px-4 py-2 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={savingPassword || !passwordForm.password}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {savingPassword ? 'Saving...' : 'Save Password'}
+                </button>
+              </div>
+            </form>
+          </motion.div>
+        </div>
+      )}
+
       {showDeleteBucketModal && (
         <div className="fixed inset-0 backdrop-blur-md flex items-center justify-center z-50">
           <motion.div
@@ -1181,7 +2063,7 @@ function BucketView() {
                     • Total storage: <strong>{bucket?.getFormattedSize ? bucket.getFormattedSize() : '0 Bytes'}</strong>
                   </p>
                   <p className="text-sm text-gray-600">
-                    • PIN: <strong>{bucket?.pinCode}</strong> will become invalid
+                    • PIN: <strong>{bucketPin}</strong> will become invalid
                   </p>
                 </div>
               </div>
@@ -5,8 +5,9 @@ import { useAuth } from '../contexts/AuthContext'
 import { useBuckets } from '../hooks/useBuckets'
 import { bucketService } from '../services/bucket.service'  // Add this line
 import { analyticsService } from '../services/analytics.service'
-import { BUCKET_COLORS, BUCKET_ICONS } from '../utils/constants'
-import { getDaysUntilExpiration, getExpirationStatus, showTooltip } from '../utils/helpers'
+import NotificationInbox from '../components/NotificationInbox'
+import { BUCKET_COLORS, BUCKET_ICONS, BUCKET_EXPIRY, BUCKET_EXPIRY_OPTIONS, ENCRYPTION, COLLABORATOR_ROLES } from '../utils/constants'
+import { getTimeUntilExpiration, getExpirationStatus, showTooltip, formatDate } from '../utils/helpers'
 import potIcon from '../assets/potIcon.png'
 import copyIcon from '../assets/copy.svg'
 import Logger from '../utils/logger.js'
@@ -35,7 +36,10 @@ function Homepage() {
     description: '',
     color: 'from-blue-500 to-cyan-500',
     preview: 'folder',
-    allowPinUploads: true
+    allowPinUploads: true,
+    expiresInHours: BUCKET_EXPIRY.DEFAULT_HOURS,
+    encrypted: false,
+    passphrase: ''
   })
   const [showPinModal, setShowPinModal] = useState(false)
   const [createdBucketPin, setCreatedBucketPin] = useState('')
@@ -44,6 +48,10 @@ function Homepage() {
   const [showMobileMenu, setShowMobileMenu] = useState(false)
   const [selectedBucket, setSelectedBucket] = useState(null)
   const [bucketPins, setBucketPins] = useState({});
+  // Invitations to collaborate, answered from the Shared tab
+  const [invites, setInvites] = useState([])
+  const [respondingInviteId, setRespondingInviteId] = useState(null)
+  const [inviteMessage, setInviteMessage] = useState(null)
 
   // Create new bucket function using service
   const createBucket = async () => {
@@ -51,7 +59,10 @@ function Homepage() {
 
     try {
       setIsCreatingBucket(true)
-      const bucket = await createBucketService(newBucket)
+      const bucket = await createBucketService({
+        ...newBucket,
+        passphrase: newBucket.encrypted ? newBucket.passphrase : ''
+      })
       
       setShowCreateModal(false)
       setNewBucket({
@@ -59,7 +70,10 @@ function Homepage() {
         description: '',
         color: 'from-blue-500 to-cyan-500',
         preview: 'folder',
-        allowPinUploads: true
+        allowPinUploads: true,
+        expiresInHours: BUCKET_EXPIRY.DEFAULT_HOURS,
+        encrypted: false,
+        passphrase: ''
       })
       
       // Handle bucket creation
@@ -132,6 +146,41 @@ function Homepage() {
     }
   }, [buckets]);
 
+  useEffect(() => {
+    if (!user?.email) return
+
+    let canceled = false
+    bucketService.getPendingInvites(user.email)
+      .then(pendingInvites => {
+        if (!canceled) setInvites(pendingInvites)
+      })
+      .catch(error => Logger.error('Error loading invitations:', error))
+    return () => {
+      canceled = true
+    }
+  }, [user?.email])
+
+  // Accept or decline an invitation; accepted buckets show up once the bucket list is refreshed
+  const respondToInvite = async (invite, accept) => {
+    try {
+      setRespondingInviteId(invite.id)
+      setInviteMessage(null)
+      const result = await bucketService.respondToInvite(invite.id, accept)
+      setInvites(prev => prev.filter(pending => pending.id !== invite.id))
+      if (result.accepted) {
+        await refreshBuckets()
+        setInviteMessage({ type: 'success', text: `You now have access to "${invite.bucketName}".` })
+      } else if (result.unavailable) {
+        setInviteMessage({ type: 'error', text: `"${invite.bucketName}" has expired or been deleted.` })
+      }
+    } catch (error) {
+      Logger.error('Error responding to invitation:', error)
+      setInviteMessage({ type: 'error', text: error.message })
+    } finally {
+      setRespondingInviteId(null)
+    }
+  }
+
   // Handle logout
   const handleLogout = async () => {
     try {
@@ -313,14 +362,17 @@ function Homepage() {
               <div className="text-xs text-gray-500">Bucket Storage</div>
             </div>
           </div>
-          <button
-            onClick={() => setShowMobileMenu(!showMobileMenu)}
-            className="p-2 rounded-lg hover:bg-gray-100"
-          >
-            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 12h16M4 18h16" />
-            </svg>
-          </button>
+          <div className="flex items-center space-x-1">
+            <NotificationInbox userId={user?.uid} />
+            <button
+              onClick={() => setShowMobileMenu(!showMobileMenu)}
+              className="p-2 rounded-lg hover:bg-gray-100"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 12h16M4 18h16" />
+              </svg>
+            </button>
+          </div>
         </div>
       </div>
 
@@ -517,6 +569,9 @@ function Homepage() {
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
                 </svg>
               </div>
+              <div className="hidden lg:block">
+                <NotificationInbox userId={user?.uid} />
+              </div>
               <div className="relative hidden lg:block">
                 <button
                   onClick={() => setShowUserMenu(!showUserMenu)}
@@ -621,10 +676,59 @@ function Homepage() {
                 }`}
               >
                 {tab}
+                {tab === 'Shared' && invites.length > 0 && (
+                  <span className="ml-1 px-1.5 py-0.5 text-xs rounded-full bg-blue-600 text-white">{invites.length}</span>
+                )}
               </button>
             ))}
           </div>
 
+          {/* Invitations to collaborate */}
+          {activeTab === 'Shared' && (invites.length > 0 || inviteMessage) && (
+            <div className="bg-white rounded-lg border border-gray-200 mb-6">
+              <h3 className="px-4 lg:px-6 py-3 border-b border-gray-200 text-base font-semibold text-gray-900">Invitations</h3>
+              {inviteMessage && (
+                <p className={`px-4 lg:px-6 py-2 text-sm border-b ${
+                  inviteMessage.type === 'success' ? 'text-green-700 bg-green-50 border-green-100' : 'text-red-600 bg-red-50 border-red-100'
+                }`}>
+                  {inviteMessage.text}
+                </p>
+              )}
+              {invites.length === 0 ? (
+                <p className="px-4 lg:px-6 py-4 text-sm text-gray-500">No invitations waiting.</p>
+              ) : (
+                <ul className="divide-y divide-gray-200">
+                  {invites.map((invite) => (
+                    <li key={invite.id} className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 px-4 lg:px-6 py-3">
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium text-gray-900 truncate">{invite.bucketName}</p>
+                        <p className="text-xs text-gray-500">
+                          {invite.ownerEmail} invited you as {COLLABORATOR_ROLES.find(option => option.value === invite.role)?.name.toLowerCase() || invite.role} • {formatDate(invite.createdAt)}
+                        </p>
+                      </div>
+                      <div className="flex items-center space-x-2 flex-shrink-0">
+                        <button
+                          onClick={() => respondToInvite(invite, true)}
+                          disabled={respondingInviteId === invite.id}
+                          className="px-3 py-1 text-xs font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50"
+                        >
+                          Accept
+                        </button>
+                        <button
+                          onClick={() => respondToInvite(invite, false)}
+                          disabled={respondingInviteId === invite.id}
+                          className="px-3 py-1 text-xs font-medium text-gray-600 bg-white border border-gray-300 rounded-md hover:bg-gray-50 transition-colors disabled:opacity-50"
+                        >
+                          Decline
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
           {/* Storage Usage Summary */}
           <div className="bg-gradient-to-r from-blue-50 to-cyan-50 rounded-lg p-4 lg:p-6 mb-6 lg:mb-8 border border-blue-200">
             <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between space-y-3 lg:space-y-0">
@@ -683,8 +787,7 @@ function Homepage() {
           ) : (
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
               {filteredBuckets.map((bucket) => {
-                const daysLeft = getDaysUntilExpiration(bucket.createdAt)
-                const expirationStatus = getExpirationStatus(daysLeft)
+                const expirationStatus = getExpirationStatus(getTimeUntilExpiration(bucket))
                 return (
                   <motion.div
                     key={bucket.id}
@@ -722,7 +825,7 @@ function Homepage() {
                     
                     {!bucket.isOwned && (
                       <p className="text-xs text-gray-400 mb-3">
-                        Owned by {bucket.owner}
+                        Owned by {bucket.owner} • {COLLABORATOR_ROLES.find(option => option.value === bucket.getRole(user?.email))?.name}
                       </p>
                     )}
                     
@@ -840,6 +943,27 @@ function Homepage() {
                 </div>
               </div>
 
+              <div>
+                <label htmlFor="bucketExpiry" className="block text-sm font-medium text-gray-700 mb-2">
+                  Expires After
+                </label>
+                <select
+                  id="bucketExpiry"
+                  value={newBucket.expiresInHours}
+                  onChange={(e) => setNewBucket(prev => ({ ...prev, expiresInHours: Number(e.target.value) }))}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  {BUCKET_EXPIRY_OPTIONS.map((option) => (
+                    <option key={option.hours} value={option.hours}>
+                      {option.name}
+                    </option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">
+                  The bucket and its files are deleted after this time (can be extended later)
+                </p>
+              </div>
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   PIN Access Settings
@@ -857,6 +981,37 @@ function Homepage() {
                   </label>
                 </div>
               </div>
+
+              <div>
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    id="encryptBucket"
+                    checked={newBucket.encrypted}
+                    onChange={(e) => setNewBucket(prev => ({ ...prev, encrypted: e.target.checked }))}
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                  />
+                  <label htmlFor="encryptBucket" className="text-sm text-gray-600">
+                    Encrypt files in the browser with the PIN and a passphrase
+                  </label>
+                </div>
+                {newBucket.encrypted && (
+                  <>
+                    <input
+                      type="password"
+                      value={newBucket.passphrase}
+                      onChange={(e) => setNewBucket(prev => ({ ...prev, passphrase: e.target.value }))}
+                      placeholder={`Passphrase (at least ${ENCRYPTION.MIN_PASSPHRASE_LENGTH} characters)`}
+                      autoComplete="new-password"
+                      className="w-full mt-2 border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      Everyone needs the PIN and this passphrase to open files. The passphrase can't be recovered or changed,
+                      the PIN can't be rotated, and files can't be downloaded as a ZIP or moved to other buckets.
+                    </p>
+                  </>
+                )}
+              </div>
             </div>
 
             <div className="flex justify-end space-x-3 mt-6">
@@ -868,7 +1023,10 @@ function Homepage() {
               </button>
               <button
                 onClick={createBucket}
-                disabled={!newBucket.name.trim() || isCreatingBucket}
+                disabled={
+                  !newBucket.name.trim() || isCreatingBucket ||
+                  (newBucket.encrypted && newBucket.passphrase.length < ENCRYPTION.MIN_PASSPHRASE_LENGTH)
+                }
                 className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
               >
                 {isCreatingBucket ? (
@@ -8,6 +8,7 @@ import {
 } from 'firebase/auth'
 import { auth, googleProvider } from '../firebase/config.js'
 import { User } from '../models/user.model.js'
+import { SECURITY } from '../utils/constants.js'
 import Logger from '../utils/logger.js'
 
 /**
@@ -42,7 +43,8 @@ export class AuthService {
    */
   onAuthStateChange(callback) {
     const unsubscribe = onAuthStateChanged(auth, (firebaseUser) => {
-      this.currentUser = firebaseUser ? new User(firebaseUser) : null
+      // PIN sessions only carry access to specific buckets, they are not app accounts
+      this.currentUser = firebaseUser && !this.isPinSession(firebaseUser) ? new User(firebaseUser) : null
       callback(this.currentUser)
     })
 
@@ -84,6 +86,15 @@ export class AuthService {
     }
   }
 
+  /**
+   * Check if a Firebase user is a PIN session created by resolving a bucket PIN
+   * @param {object} firebaseUser - Firebase user
+   * @returns {boolean}
+   */
+  isPinSession(firebaseUser) {
+    return firebaseUser.uid.startsWith(SECURITY.PIN_SESSION_UID_PREFIX)
+  }
+
   /**
    * Get current authenticated user
    * @returns {User|null}
@@ -1,24 +1,28 @@
 import { 
   collection, 
   doc, 
+  addDoc,
+  deleteDoc,
   getDoc, 
   getDocs, 
-  addDoc, 
   updateDoc, 
   query, 
   where, 
   onSnapshot,
   orderBy
 } from 'firebase/firestore'
-import { getAuth } from 'firebase/auth'
+import { getAuth, signInWithCustomToken } from 'firebase/auth'
 import { getFunctions, httpsCallable } from 'firebase/functions'
 import { db } from '../firebase/config.js'
 import { Bucket } from '../models/bucket.model.js'
-import { COLLECTIONS, STORAGE_KEYS, SECURITY } from '../utils/constants.js'
-import { generatePinCode, shouldAutoDeleteBucket } from '../utils/helpers.js'
-import { encryptPIN, hashPIN } from '../utils/encryption.js'
+import { COLLECTIONS, COLLABORATOR_ROLES, STORAGE_KEYS } from '../utils/constants.js'
+import { shouldAutoDeleteBucket } from '../utils/helpers.js'
+import { deriveBucketKeys, getKeyCheck } from '../utils/encryption.js'
 import Logger from '../utils/logger.js'
 
+// Enough to catch typos; the invitee still has to sign in with the address to accept
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
 /**
  * Bucket Service - Handles all bucket-related operations
  */
@@ -28,90 +32,91 @@ export class BucketService {
     this.listeners = []
     this.auth = getAuth()
     this.functions = getFunctions()
-    this.pinAttempts = new Map()
-    this.wrongAttempts = new Map()
+    // Keys of the encrypted buckets unlocked in this session (bucketId -> { contentKey, hashKey })
+    this.bucketKeys = new Map()
   }
 
   /**
-   * Check if reCAPTCHA is required for this IP
-   * @param {string} clientIP - Client IP address
-   * @returns {boolean} Whether reCAPTCHA is required
+   * Create a new bucket
+   * The server allocates the PIN and reserves it with the bucket in one transaction,
+   * so PINs are guaranteed unique. Owner details come from the caller's auth token.
+   * A passphrase makes the bucket encrypted; it stays in the browser, which unlocks the new bucket with it.
+   * @param {object} bucketData - Bucket creation data
+   * @returns {Promise<Bucket>} Created bucket
    */
-  isRecaptchaRequired(clientIP) {
-    const wrongAttempts = this.wrongAttempts.get(clientIP) || []
-    const now = Date.now()
-    
-    // Clean up old attempts (older than 1 hour)
-    const recentWrongAttempts = wrongAttempts.filter(time => now - time < 3600000)
-    this.wrongAttempts.set(clientIP, recentWrongAttempts)
-    
-    return recentWrongAttempts.length >= SECURITY.PIN_ATTEMPTS_BEFORE_CAPTCHA
-  }
+  async createBucket(bucketData) {
+    try {
+      const createBucket = httpsCallable(this.functions, 'createBucket')
+      const result = await createBucket({
+        name: bucketData.name,
+        description: bucketData.description,
+        color: bucketData.color,
+        preview: bucketData.preview,
+        allowPinUploads: bucketData.allowPinUploads !== false,
+        expiresInHours: bucketData.expiresInHours,
+        encrypted: Boolean(bucketData.passphrase)
+      })
 
-  /**
-   * Record a wrong PIN attempt
-   * @param {string} clientIP - Client IP address
-   */
-  recordWrongAttempt(clientIP) {
-    const wrongAttempts = this.wrongAttempts.get(clientIP) || []
-    wrongAttempts.push(Date.now())
-    this.wrongAttempts.set(clientIP, wrongAttempts)
+      const bucket = Bucket.fromFirestore(result.data.bucket.id, result.data.bucket)
+      // The owner gets the raw PIN once here; later reads go through getPinCode()
+      bucket._pinCode = result.data.pinCode
+
+      // Cache the bucket
+      this.buckets.set(bucket.id, bucket)
+
+      if (bucketData.passphrase) {
+        try {
+          await this.unlockBucket(bucket, bucketData.passphrase)
+        } catch (error) {
+          // The bucket is still usable: without a key check, the owner is asked to set the passphrase when opening it
+          Logger.error('Error setting up bucket encryption:', error);
+        }
+      }
+
+      return bucket
+    } catch (error) {
+      Logger.error('Error creating bucket:', error);
+      throw new Error('Failed to create bucket. Please try again.');
+    }
   }
 
   /**
-   * Generate a unique PIN code that doesn't already exist
-   * @param {number} maxRetries - Maximum number of retry attempts
-   * @returns {Promise<string>} Unique PIN code
+   * Unlock an encrypted bucket for this session
+   * The keys are derived from the PIN and passphrase and checked against the bucket's key check.
+   * The owner's first unlock of a new bucket sets the key check, and with it the passphrase.
+   * @param {Bucket} bucket - Encrypted bucket
+   * @param {string} passphrase - Bucket passphrase
+   * @param {string|null} [pinCode] - Bucket PIN, for collaborators (owners and PIN users already have it)
+   * @returns {Promise<void>}
    */
-  async generateUniquePinCode() {
-    // Simply generate a PIN code without checking for duplicates
-    // Duplicate handling is done in createBucket with retry logic
-    return generatePinCode()
+  async unlockBucket(bucket, passphrase, pinCode = null) {
+    const pin = pinCode || await bucket.getPinCode()
+    if (!pin) {
+      throw new Error('Enter the bucket PIN along with the passphrase.')
+    }
+
+    const keys = await deriveBucketKeys(pin, passphrase, bucket.encryption)
+    const keyCheck = await getKeyCheck(keys)
+
+    if (bucket.encryption.keyCheck === null) {
+      if (!bucket.isOwned) {
+        throw new Error("The bucket owner hasn't set a passphrase yet.")
+      }
+      await this.updateBucket(bucket.id, { encryption: { ...bucket.encryption, keyCheck } })
+    } else if (keyCheck !== bucket.encryption.keyCheck) {
+      throw new Error(pinCode ? 'Wrong PIN or passphrase.' : 'Wrong passphrase.')
+    }
+
+    this.bucketKeys.set(bucket.id, keys)
   }
 
   /**
-   * Create a new bucket with retry logic for PIN conflicts
-   * @param {object} bucketData - Bucket creation data
-   * @param {string} userId - User ID of the bucket owner
-   * @returns {Promise<Bucket>} Created bucket
+   * Get the keys of an encrypted bucket unlocked in this session
+   * @param {string} bucketId - Bucket ID
+   * @returns {{contentKey: CryptoKey, hashKey: CryptoKey}|null} Keys, or null while the bucket is locked
    */
-  async createBucket(bucketData, userId) {
-    const maxRetries = 5;
-    
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
-      try {
-        // Generate a PIN code
-        const pinCode = await this.generateUniquePinCode();
-        const bucket = new Bucket({
-          ...bucketData,
-          ownerId: userId,
-          ownerEmail: bucketData.ownerEmail,
-          owner: bucketData.owner
-        });
-
-        // Set and encrypt the PIN code - this will also generate the hash
-        await bucket.setPinCode(pinCode);
-
-        // Try to add to Firestore - ensure we're using toFirestore() to include encrypted data
-        const firestoreData = bucket.toFirestore();
-        const docRef = await addDoc(collection(db, COLLECTIONS.BUCKETS), firestoreData);
-        bucket.id = docRef.id;
-
-        // Cache the bucket
-        this.buckets.set(bucket.id, bucket);
-
-        return bucket;
-      } catch (error) {
-        // If it's the last attempt, throw the error
-        if (attempt === maxRetries - 1) {
-          Logger.error('Error creating bucket after max retries:', error);
-          throw new Error('Failed to create bucket. Please try again.');
-        }
-        
-        Logger.warn(`Bucket creation attempt ${attempt + 1} failed, retrying...`, error);
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
-    }
+  getBucketKeys(bucketId) {
+    return this.bucketKeys.get(bucketId) || null
   }
 
   /**
@@ -126,7 +131,7 @@ export class BucketService {
         const bucket = this.buckets.get(bucketId)
         
         // Check if bucket should be auto-deleted
-        if (shouldAutoDeleteBucket(bucket.createdAt)) {
+        if (shouldAutoDeleteBucket(bucket)) {
           Logger.info(`Auto-deleting expired bucket: ${bucket.name} (${bucket.id})`);
           await this.autoDeleteExpiredBucket(bucketId)
           return null // Bucket was auto-deleted
@@ -143,7 +148,7 @@ export class BucketService {
         const bucketData = docSnap.data()
         
         // Check if bucket should be auto-deleted before creating instance
-        if (shouldAutoDeleteBucket(bucketData.createdAt)) {
+        if (shouldAutoDeleteBucket(bucketData)) {
           Logger.info(`Auto-deleting expired bucket: ${bucketData.name} (${bucketId})`);
           await this.autoDeleteExpiredBucket(bucketId)
           return null // Bucket was auto-deleted
@@ -162,148 +167,47 @@ export class BucketService {
   }
 
   /**
-   * Get bucket by PIN code with rate limiting and reCAPTCHA
+   * Get bucket by PIN code
+   * Resolution, rate limiting and reCAPTCHA enforcement happen server-side in resolveBucketPin
+   * Password-protected buckets reject the lookup with 'PASSWORD_REQUIRED' until the password is given.
    * @param {string} pinCode - Bucket PIN code
    * @param {string|null} recaptchaToken - reCAPTCHA token if required
+   * @param {string|null} password - Bucket password, for password-protected buckets
    * @returns {Promise<Bucket|null>} Bucket or null if not found
    */
-  async getBucketByPin(pinCode, recaptchaToken = null) {
+  async getBucketByPin(pinCode, recaptchaToken = null, password = null) {
     try {
-      // Check PIN attempts
-      const clientIP = await this.getClientIP();
-      const attempts = this.pinAttempts.get(clientIP) || [];
-      const now = Date.now();
-      
-      // Clean up old attempts (older than 1 hour)
-      const recentAttempts = attempts.filter(time => now - time < 3600000);
-      
-      // Check if too many attempts
-      if (recentAttempts.length >= SECURITY.PIN_ATTEMPTS_BEFORE_TIMEOUT) {
-        const oldestAttempt = recentAttempts[0];
-        const timeLeft = Math.ceil((oldestAttempt + 3600000 - now) / 60000);
-        throw new Error(`Too many attempts. Please try again in ${timeLeft} minutes.`);
-      }
+      const resolveBucketPin = httpsCallable(this.functions, 'resolveBucketPin')
+      const result = await resolveBucketPin({ pinCode, recaptchaToken, password })
 
-      // Check if reCAPTCHA is required
-      if (this.isRecaptchaRequired(clientIP)) {
-        if (!recaptchaToken) {
-          throw new Error('RECAPTCHA_REQUIRED');
-        }
-        
-        // Verify reCAPTCHA token with server
-        const isValid = await this.verifyRecaptcha(recaptchaToken);
-        if (!isValid) {
-          throw new Error('Invalid reCAPTCHA. Please try again.');
-        }
+      if (!result.data.bucket) {
+        return null
       }
 
-      // Add this attempt
-      recentAttempts.push(now);
-      this.pinAttempts.set(clientIP, recentAttempts);
-
-      // First try finding a legacy bucket with raw PIN
-      const rawPinQuery = query(
-        collection(db, COLLECTIONS.BUCKETS), 
-        where('pinCode', '==', pinCode),
-        where('isActive', '==', true)
-      );
-      
-      const rawPinSnapshot = await getDocs(rawPinQuery);
-      
-      if (!rawPinSnapshot.empty) {
-        const doc = rawPinSnapshot.docs[0];
-        const bucket = Bucket.fromFirestore(doc.id, doc.data());
-        bucket._pinCode = pinCode; // Set legacy PIN
-        this.buckets.set(bucket.id, bucket);
-        return bucket;
+      // Pick up the PIN-scoped access grant before anything reads the bucket's files
+      if (result.data.token) {
+        await signInWithCustomToken(this.auth, result.data.token)
+      } else if (result.data.refreshToken) {
+        await this.auth.currentUser.getIdToken(true)
       }
 
-      // Generate hash of provided PIN for lookup
-      const hashedPin = await hashPIN(pinCode);
-      if (!hashedPin) {
-        throw new Error('Failed to process PIN. Please try again.');
-      }
+      const bucket = Bucket.fromFirestore(result.data.bucket.id, result.data.bucket)
 
-      // Query buckets by hashed PIN (fast lookup)
-      const hashedPinQuery = query(
-        collection(db, COLLECTIONS.BUCKETS),
-        where('hashedPin', '==', hashedPin),
-        where('isActive', '==', true)
-      );
-      
-      const hashedPinSnapshot = await getDocs(hashedPinQuery);
-      
-      if (!hashedPinSnapshot.empty) {
-        const doc = hashedPinSnapshot.docs[0];
-        const bucket = Bucket.fromFirestore(doc.id, doc.data());
-        
-        // For non-owners, store the raw PIN temporarily for this session
-        if (!bucket.isOwned) {
-          bucket._pinCode = pinCode;
-        }
-        
-        this.buckets.set(bucket.id, bucket);
-        return bucket;
+      // For non-owners, store the raw PIN temporarily for this session
+      if (!bucket.isOwned) {
+        bucket._pinCode = pinCode
       }
 
-      // Record wrong attempt if no bucket found
-      this.recordWrongAttempt(clientIP);
-      return null;
-
+      this.buckets.set(bucket.id, bucket)
+      return bucket
     } catch (error) {
-      if (error.message !== 'RECAPTCHA_REQUIRED') {
+      if (error.message !== 'RECAPTCHA_REQUIRED' && error.message !== 'PASSWORD_REQUIRED') {
         Logger.error('Error getting bucket by PIN:', error);
       }
       throw error;
     }
   }
 
-  /**
-   * Verify reCAPTCHA token with Firebase Function
-   * @param {string} token - reCAPTCHA token to verify
-   * @returns {Promise<boolean>} Whether the token is valid
-   */
-  async verifyRecaptcha(token) {
-    try {
-      const verifyRecaptchaFunction = httpsCallable(this.functions, 'verifyRecaptcha')
-      const result = await verifyRecaptchaFunction({ token })
-      return result.data.success
-    } catch (error) {
-      Logger.error('Error verifying reCAPTCHA:', error);
-      return false
-    }
-  }
-
-  /**
-   * Get client IP address
-   * @returns {Promise<string>} Client IP address
-   */
-  /**
-   * Get client IP address from request headers or context
-   * @param {object} req - Express request object or Firebase Functions context
-   * @returns {string} Client IP address
-   */
-  getClientIP(req) {
-    if (!req) return 'unknown';
-    // For Express.js or similar frameworks
-    const xForwardedFor = req.headers && req.headers['x-forwarded-for'];
-    if (xForwardedFor) {
-      // x-forwarded-for may contain a list of IPs, take the first one
-      return xForwardedFor.split(',')[0].trim();
-    }
-    if (req.headers && req.headers['x-real-ip']) {
-      return req.headers['x-real-ip'];
-    }
-    if (req.ip) {
-      return req.ip;
-    }
-    // For Firebase Functions context (if available)
-    if (req.rawRequest && req.rawRequest.headers && req.rawRequest.headers['x-forwarded-for']) {
-      return req.rawRequest.headers['x-forwarded-for'].split(',')[0].trim();
-    }
-    return 'unknown';
-  }
-
   /**
    * Get all buckets for a user
    * @param {string} userId - User ID
@@ -382,12 +286,6 @@ export class BucketService {
         updatedAt: new Date().toISOString()
       }
 
-      // If pin is being updated, encrypt it
-      if (updates.pinCode) {
-        updateData.encryptedPin = await encryptPIN(updates.pinCode)
-        delete updateData.pinCode // Don't store raw pin
-      }
-
       await updateDoc(docRef, updateData)
 
       // Update cache
@@ -405,6 +303,269 @@ export class BucketService {
     }
   }
 
+  /**
+   * Invite someone to collaborate on a bucket
+   * The invite waits in the invites collection until the invitee accepts or declines it (see respondToInvite).
+   * @param {Bucket} bucket - Bucket owned by the current user
+   * @param {string} email - Invitee's email
+   * @param {string} role - One of COLLABORATOR_ROLES
+   * @returns {Promise<object>} The created invite
+   */
+  async inviteCollaborator(bucket, email, role) {
+    const inviteeEmail = email.trim().toLowerCase()
+    if (!EMAIL_PATTERN.test(inviteeEmail)) {
+      throw new Error('Please enter a valid email address.')
+    }
+    if (!COLLABORATOR_ROLES.some(option => option.value === role)) {
+      throw new Error('Please choose a role.')
+    }
+    if (inviteeEmail === bucket.ownerEmail?.toLowerCase()) {
+      throw new Error('You already own this bucket.')
+    }
+    if (bucket.collaborators.some(collaborator => collaborator.toLowerCase() === inviteeEmail)) {
+      throw new Error(`${inviteeEmail} is already a collaborator.`)
+    }
+
+    const pendingInvites = await this.getBucketInvites(bucket.id)
+    if (pendingInvites.some(invite => invite.email === inviteeEmail)) {
+      throw new Error(`${inviteeEmail} has already been invited.`)
+    }
+
+    try {
+      const invite = {
+        bucketId: bucket.id,
+        bucketName: bucket.name,
+        ownerId: bucket.ownerId,
+        ownerEmail: bucket.ownerEmail,
+        email: inviteeEmail,
+        role,
+        createdAt: new Date().toISOString()
+      }
+      const docRef = await addDoc(collection(db, COLLECTIONS.INVITES), invite)
+      return { id: docRef.id, ...invite }
+    } catch (error) {
+      Logger.error('Error inviting collaborator:', error);
+      throw new Error('Failed to send the invitation. Please try again.')
+    }
+  }
+
+  /**
+   * Get the pending invites of a bucket owned by the current user
+   * @param {string} bucketId - Bucket ID
+   * @returns {Promise<Array<object>>} Invites, newest first
+   */
+  async getBucketInvites(bucketId) {
+    try {
+      const q = query(
+        collection(db, COLLECTIONS.INVITES),
+        where('bucketId', '==', bucketId),
+        where('ownerId', '==', this.auth.currentUser?.uid || '')
+      )
+      const querySnapshot = await getDocs(q)
+      return querySnapshot.docs
+        .map(inviteDoc => ({ id: inviteDoc.id, ...inviteDoc.data() }))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    } catch (error) {
+      Logger.error('Error loading bucket invites:', error);
+      throw new Error('Failed to load invitations. Please try again.')
+    }
+  }
+
+  /**
+   * Get the invites waiting for a user to accept or decline
+   * @param {string} userEmail - User email
+   * @returns {Promise<Array<object>>} Invites, newest first
+   */
+  async getPendingInvites(userEmail) {
+    try {
+      const q = query(
+        collection(db, COLLECTIONS.INVITES),
+        where('email', '==', userEmail.toLowerCase())
+      )
+      const querySnapshot = await getDocs(q)
+      return querySnapshot.docs
+        .map(inviteDoc => ({ id: inviteDoc.id, ...inviteDoc.data() }))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    } catch (error) {
+      Logger.error('Error loading invitations:', error);
+      throw new Error('Failed to load invitations. Please try again.')
+    }
+  }
+
+  /**
+   * Cancel a pending invite
+   * @param {string} inviteId - Invite ID
+   * @returns {Promise<void>}
+   */
+  async cancelInvite(inviteId) {
+    try {
+      await deleteDoc(doc(db, COLLECTIONS.INVITES, inviteId))
+    } catch (error) {
+      Logger.error('Error canceling invite:', error);
+      throw new Error('Failed to cancel the invitation. Please try again.')
+    }
+  }
+
+  /**
+   * Accept or decline an invite; accepting adds the current user to the bucket with the invited role
+   * @param {string} inviteId - Invite ID
+   * @param {boolean} accept - Whether to join the bucket
+   * @returns {Promise<{bucketId: string, accepted: boolean, unavailable?: boolean}>}
+   */
+  async respondToInvite(inviteId, accept) {
+    try {
+      const respond = httpsCallable(this.functions, 'respondToInvite')
+      const result = await respond({ inviteId, accept })
+      return result.data
+    } catch (error) {
+      Logger.error('Error responding to invite:', error);
+      throw new Error(error.code === 'functions/not-found' || error.code === 'functions/permission-denied'
+        ? error.message
+        : 'Failed to respond to the invitation. Please try again.')
+    }
+  }
+
+  /**
+   * Change a collaborator's role
+   * @param {string} bucketId - Bucket ID
+   * @param {string} email - Collaborator's email
+   * @param {string} role - One of COLLABORATOR_ROLES
+   * @returns {Promise<Bucket>} Updated bucket
+   */
+  async updateCollaboratorRole(bucketId, email, role) {
+    const bucket = await this.getBucketById(bucketId)
+    // The whole map is written, since a field path would split the email at its dots
+    return this.updateBucket(bucketId, {
+      collaboratorRoles: { ...bucket.collaboratorRoles, [email]: role }
+    })
+  }
+
+  /**
+   * Remove a collaborator's access to a bucket
+   * @param {string} bucketId - Bucket ID
+   * @param {string} email - Collaborator's email
+   * @returns {Promise<Bucket>} Updated bucket
+   */
+  async removeCollaborator(bucketId, email) {
+    const bucket = await this.getBucketById(bucketId)
+    const { [email]: _removed, ...collaboratorRoles } = bucket.collaboratorRoles
+    return this.updateBucket(bucketId, {
+      collaborators: bucket.collaborators.filter(collaborator => collaborator !== email),
+      collaboratorRoles
+    })
+  }
+
+  /**
+   * Extend a bucket's expiry
+   * @param {string} bucketId - Bucket ID
+   * @param {number} hours - New lifetime in hours, counted from now
+   * @returns {Promise<Bucket>} Updated bucket
+   */
+  async extendBucketExpiry(bucketId, hours) {
+    try {
+      const extendBucketExpiry = httpsCallable(this.functions, 'extendBucketExpiry')
+      const result = await extendBucketExpiry({ bucketId, expiresInHours: hours })
+
+      if (this.buckets.has(bucketId)) {
+        const bucket = this.buckets.get(bucketId)
+        bucket.update({ expiresAt: result.data.expiresAt })
+        return bucket
+      }
+
+      return await this.getBucketById(bucketId)
+    } catch (error) {
+      Logger.error('Error extending bucket expiry:', error);
+      throw new Error(error.code === 'functions/failed-precondition'
+        ? error.message
+        : 'Failed to extend bucket expiry. Please try again.')
+    }
+  }
+
+  /**
+   * Issue a new PIN for a bucket
+   * The old PIN stops resolving and everyone who opened the bucket with it loses access
+   * @param {string} bucketId - Bucket ID
+   * @returns {Promise<string>} New PIN code
+   */
+  async rotatePin(bucketId) {
+    try {
+      const rotateBucketPin = httpsCallable(this.functions, 'rotateBucketPin')
+      const result = await rotateBucketPin({ bucketId })
+
+      if (this.buckets.has(bucketId)) {
+        this.buckets.get(bucketId)._pinCode = result.data.pinCode
+      }
+
+      return result.data.pinCode
+    } catch (error) {
+      Logger.error('Error rotating bucket PIN:', error);
+      throw new Error(error.code === 'functions/failed-precondition'
+        ? error.message
+        : 'Failed to rotate PIN. Please try again.')
+    }
+  }
+
+  /**
+   * Set, change or remove a bucket's password; PIN users have to enter it after the PIN
+   * Setting or changing it revokes access for everyone who opened the bucket with the PIN
+   * @param {string} bucketId - Bucket ID
+   * @param {string|null} password - New password, or null to remove it
+   * @returns {Promise<void>}
+   */
+  async setPassword(bucketId, password) {
+    try {
+      const setBucketPassword = httpsCallable(this.functions, 'setBucketPassword')
+      const result = await setBucketPassword({ bucketId, password })
+
+      if (this.buckets.has(bucketId)) {
+        this.buckets.get(bucketId).update({ passwordProtected: result.data.passwordProtected })
+      }
+    } catch (error) {
+      Logger.error('Error updating bucket password:', error);
+      throw new Error(error.code === 'functions/invalid-argument'
+        ? error.message
+        : 'Failed to update the bucket password. Please try again.')
+    }
+  }
+
+  /**
+   * Disable PIN lookup for a bucket; the owner keeps access and the PIN is kept for later
+   * @param {string} bucketId - Bucket ID
+   * @returns {Promise<void>}
+   */
+  async revokePinAccess(bucketId) {
+    await this.setPinAccess(bucketId, false)
+  }
+
+  /**
+   * Re-enable PIN lookup for a bucket with its existing PIN
+   * @param {string} bucketId - Bucket ID
+   * @returns {Promise<void>}
+   */
+  async restorePinAccess(bucketId) {
+    await this.setPinAccess(bucketId, true)
+  }
+
+  /**
+   * Turn PIN lookup for a bucket on or off
+   * @param {string} bucketId - Bucket ID
+   * @param {boolean} enabled - Whether the PIN should resolve
+   * @returns {Promise<void>}
+   */
+  async setPinAccess(bucketId, enabled) {
+    try {
+      const setBucketPinAccess = httpsCallable(this.functions, 'setBucketPinAccess')
+      await setBucketPinAccess({ bucketId, enabled })
+
+      if (this.buckets.has(bucketId)) {
+        this.buckets.get(bucketId).update({ pinAccessEnabled: enabled })
+      }
+    } catch (error) {
+      Logger.error('Error updating bucket PIN access:', error);
+      throw new Error('Failed to update PIN access. Please try again.')
+    }
+  }
+
   /**
    * Delete bucket (soft delete)
    * @param {string} bucketId - Bucket ID
@@ -434,15 +595,9 @@ export class BucketService {
       // Import fileService to delete bucket files
       const { fileService } = await import('./file.service.js')
       
-      // Delete all files in the bucket (permanent deletion)
+      // Delete all files in the bucket (permanent deletion); the updateBucketStats function zeroes the stats
       await fileService.deleteAllBucketFiles(bucketId, true)
       
-      // Update bucket stats to reflect cleared files
-      await this.updateBucket(bucketId, {
-        fileCount: 0,
-        storageUsed: 0
-      })
-      
       Logger.info(`Successfully cleared all files from bucket: ${bucketId}`);
     } catch (error) {
       Logger.error(`Error clearing files from bucket ${bucketId}:`, error);
@@ -494,7 +649,7 @@ export class BucketService {
       await this.updateBucket(bucketId, { 
         isActive: false,
         deletedAt: new Date().toISOString(),
-        deletedReason: 'auto_expired_7_days'
+        deletedReason: 'auto_expired'
       })
       
       // Remove from cache
@@ -518,7 +673,7 @@ export class BucketService {
       let cleanedCount = 0
       
       for (const bucket of userBuckets) {
-        if (shouldAutoDeleteBucket(bucket.createdAt)) {
+        if (shouldAutoDeleteBucket(bucket)) {
           await this.autoDeleteExpiredBucket(bucket.id)
           cleanedCount++
         }
@@ -548,6 +703,7 @@ export class BucketService {
   destroy() {
     this.listeners.forEach(unsubscribe => unsubscribe())
     this.listeners = []
+    this.bucketKeys.clear()
     this.clearCache()
   }
 }
@@ -9,22 +9,86 @@ import {
   query, 
   where, 
   orderBy,
+  limit,
   onSnapshot,
-  writeBatch
+  writeBatch,
+  increment
 } from 'firebase/firestore'
 import { 
   ref, 
-  uploadBytes, 
-  getDownloadURL, 
+  uploadBytesResumable, 
+  getMetadata,
   deleteObject,
 } from 'firebase/storage'
-import { db, storage } from '../firebase/config.js'
+import { getFunctions, httpsCallable } from 'firebase/functions'
+import { db, storage, auth } from '../firebase/config.js'
 import { FileModel } from '../models/file.model.js'
-import { COLLECTIONS, STORAGE_LIMITS } from '../utils/constants.js'
-import { calculateTotalStorage } from '../utils/helpers.js'
+import { COLLECTIONS, STORAGE_LIMITS, DOWNLOAD_CHANNELS } from '../utils/constants.js'
+import { normalizeFolderPath } from '../utils/folders.js'
+import { hashFile, verifyFileHash } from '../utils/fileHash.js'
+import { encryptBlob, decryptBlob } from '../utils/encryption.js'
+import { saveUpload, getSavedUpload, getSavedUploads, removeSavedUpload } from '../utils/uploadStore.js'
 import { bucketService } from './bucket.service.js'
+import { UploadQueue } from './uploadQueue.js'
+import { SessionUpload } from './sessionUpload.js'
 import Logger from '../utils/logger.js'
-import JSZip from 'jszip'
+
+// Signed URLs are reused until they are this close to expiring
+const SIGNED_URL_REUSE_MARGIN_MS = 60 * 1000
+// getSignedDownloadUrl signs at most this many files per call
+const SIGNED_URL_BATCH_SIZE = 100
+
+// Downloads refused for these reasons show their own message instead of a generic failure
+const DOWNLOAD_REFUSED_ERRORS = ['file/expired', 'file/unavailable', 'file/locked', 'functions/failed-precondition']
+
+// How long a ZIP export may take to start after its link is followed
+const ZIP_EXPORT_START_TIMEOUT_MS = 60 * 1000
+
+// Most recent PIN downloads shown in a file's download history
+const DOWNLOAD_HISTORY_LIMIT = 50
+
+// Failures the upload queue retries automatically: dropped connections, and the
+// storage/unknown errors some browsers raise on a transient CORS preflight failure
+const TRANSIENT_UPLOAD_ERRORS = ['storage/retry-limit-exceeded', 'storage/unknown']
+
+/**
+ * Throw the reason a single file wasn't moved or copied by transferFiles
+ * @param {object} result - transferFiles result
+ * @param {string} fileId - File ID
+ * @param {string} mode - 'move' or 'copy'
+ */
+const throwIfNotTransferred = (result, fileId, mode) => {
+  if (result.transferred.includes(fileId)) return
+
+  let transferError
+  if (result.duplicates.includes(fileId)) {
+    transferError = new Error('The target bucket already has a file with the same content.')
+    transferError.code = 'file/duplicate'
+  } else if (result.overQuota.includes(fileId)) {
+    transferError = new Error(`The target bucket's owner doesn't have enough storage left for this file.`)
+    transferError.code = 'file/over-quota'
+  } else if (result.skipped.includes(fileId)) {
+    transferError = new Error('The file is already in that bucket.')
+  } else {
+    transferError = new Error(`Failed to ${mode} file.`)
+  }
+  throw transferError
+}
+
+/**
+ * Get the keys of an encrypted bucket, which must have been unlocked in this session
+ * @param {string} bucketId - Bucket ID
+ * @returns {{contentKey: CryptoKey, hashKey: CryptoKey}} Bucket keys
+ */
+const getUnlockedKeys = (bucketId) => {
+  const keys = bucketService.getBucketKeys(bucketId)
+  if (!keys) {
+    const lockedError = new Error('This bucket is encrypted. Unlock it with its passphrase first.')
+    lockedError.code = 'file/locked'
+    throw lockedError
+  }
+  return keys
+}
 
 /**
  * File Service - Handles all file-related operations
@@ -33,122 +97,282 @@ export class FileService {
   constructor() {
     this.files = new Map()
     this.listeners = []
+    // Upload tasks in progress, keyed by upload ID
+    this.uploadTasks = new Map()
+    // Content hashes of uploads in progress ('bucketId:hash' -> file name), so a batch can't upload the same file twice
+    this.pendingHashes = new Map()
+    // Signed URLs from getSignedDownloadUrl ('fileId:disposition' -> { url, expiresAt })
+    this.signedUrls = new Map()
+    this.functions = getFunctions()
+    this.uploadQueue = new UploadQueue({
+      runUpload: (item, onProgress) => this.uploadSingleFile(item.file, item.bucketId, item.userId, {
+        uploadId: item.id,
+        path: item.path,
+        onProgress: (uploadId, progress) => onProgress(progress)
+      }),
+      abortUpload: (item) => this.uploadTasks.get(item.id)?.cancel() || false,
+      isTransient: (error) => TRANSIENT_UPLOAD_ERRORS.includes(error.code)
+    })
   }
 
   /**
    * Upload files to a bucket
-   * @param {FileList} files - Files to upload
+   * @param {FileList|Array<File|{file: File, path: string}>} files - Files to upload, optionally paired
+   *   with the folder they go in (plain files go to the bucket root)
    * @param {string} bucketId - Target bucket ID
    * @param {string} userId - User ID uploading the files
    * @returns {Promise<Array<FileModel>>} Uploaded files
    */
   async uploadFiles(files, bucketId, userId) {
     try {
+      const entries = Array.from(files).map(entry => entry instanceof File
+        ? { file: entry, path: '' }
+        : { file: entry.file, path: normalizeFolderPath(entry.path) })
+
       // Validate files
-      const validation = await this.validateFiles(files, bucketId, userId)
+      const validation = await this.validateFiles(entries.map(entry => entry.file), bucketId, userId)
       if (!validation.valid) {
         throw new Error(validation.error)
       }
 
-      const fileArray = Array.from(files)
-      
-      // Create upload promises for all files - this enables concurrent uploads
-      const uploadPromises = fileArray.map(file => 
-        this.uploadSingleFile(file, bucketId, userId)
-          .catch(error => {
-            Logger.error(`Error uploading ${file.name}:`, error)
-            return { error: error.message, fileName: file.name }
-          })
-      )
+      const uploads = entries.map(entry => ({ id: crypto.randomUUID(), ...entry }))
+      return await this.runUploads(uploads, bucketId, userId)
+    } catch (error) {
+      Logger.error('Error uploading files:', error)
+      throw error
+    }
+  }
 
-      // Execute all uploads concurrently
-      const results = await Promise.allSettled(uploadPromises)
-      
-      // Process results and separate successful uploads from errors
-      const uploadedFiles = []
-      const errors = []
-      
-      results.forEach((result, index) => {
-        if (result.status === 'fulfilled') {
-          const uploadResult = result.value
-          if (uploadResult.error) {
-            // Handle errors caught in the individual upload promise
-            errors.push(`${uploadResult.fileName}: ${uploadResult.error}`)
-          } else {
-            // Successful upload
-            uploadedFiles.push(uploadResult)
-          }
-        } else {
-          // Promise was rejected
-          errors.push(`${fileArray[index].name}: ${result.reason?.message || 'Upload failed'}`)
-        }
-      })
+  /**
+   * Get uploads to a bucket that were interrupted (e.g. by a page reload) and can be resumed
+   * @param {string} bucketId - Bucket ID
+   * @param {string} userId - User ID that started the uploads
+   * @returns {Promise<Array<object>>} Saved uploads ({ id, file: { name, size, type }, path, createdAt, ... })
+   */
+  async getInterruptedUploads(bucketId, userId) {
+    const uploads = await getSavedUploads(bucketId)
+    return uploads.filter(upload => upload.userId === userId && !this.uploadQueue.has(upload.id))
+  }
 
-      // Update bucket file count and storage
-      await this.updateBucketStats(bucketId)
+  /**
+   * Resume interrupted uploads to a bucket
+   * Each upload continues its Storage session from the last chunk Storage confirmed, sending the
+   * saved contents (see uploadSingleFile). Uploads whose session has expired start over.
+   * @param {string} bucketId - Bucket ID
+   * @param {string} userId - User ID that started the uploads
+   * @returns {Promise<Array<FileModel>>} Uploaded files
+   */
+  async resumeInterruptedUploads(bucketId, userId) {
+    try {
+      const uploads = await this.getInterruptedUploads(bucketId, userId)
+      if (uploads.length === 0) return []
 
-      // Log summary
-      Logger.info(`Upload completed: ${uploadedFiles.length} successful, ${errors.length} failed`)
-      if (errors.length > 0) {
-        Logger.warn('Upload errors:', errors)
+      const validation = await this.validateFiles(uploads.map(upload => upload.file), bucketId, userId)
+      if (!validation.valid) {
+        throw new Error(validation.error)
       }
 
-      return uploadedFiles
+      return await this.runUploads(uploads, bucketId, userId)
     } catch (error) {
-      Logger.error('Error uploading files:', error)
+      Logger.error('Error resuming uploads:', error)
       throw error
     }
   }
 
+  /**
+   * Forget interrupted uploads to a bucket without uploading them
+   * @param {string} bucketId - Bucket ID
+   * @param {string} userId - User ID that started the uploads
+   * @returns {Promise<void>}
+   */
+  async discardInterruptedUploads(bucketId, userId) {
+    const uploads = await this.getInterruptedUploads(bucketId, userId)
+    await Promise.all(uploads.map(upload => removeSavedUpload(upload.id)))
+  }
+
+  /**
+   * Run a batch of files through the upload queue and refresh the bucket stats afterwards
+   * @param {Array<object>} uploads - { id, file, path } entries
+   * @param {string} bucketId - Target bucket ID
+   * @param {string} userId - User ID uploading the files
+   * @returns {Promise<Array<FileModel>>} Uploaded files
+   */
+  async runUploads(uploads, bucketId, userId) {
+    const items = await this.uploadQueue.enqueue(
+      uploads.map(({ id, file, path = '' }) => ({ id, file, path, bucketId, userId }))
+    )
+
+    // Separate successful uploads from errors and skipped duplicates (canceled uploads are neither)
+    const uploadedFiles = items.filter(item => item.state === 'success').map(item => item.result)
+    const errors = items.filter(item => item.state === 'error').map(item => `${item.fileName}: ${item.error}`)
+    const duplicates = items.filter(item => item.state === 'duplicate')
+
+    // Log summary
+    Logger.info(`Upload completed: ${uploadedFiles.length} successful, ${errors.length} failed, ${duplicates.length} duplicates skipped`)
+    if (errors.length > 0) {
+      Logger.warn('Upload errors:', errors)
+    }
+
+    return uploadedFiles
+  }
+
+  /**
+   * Retry a failed or canceled upload
+   * @param {string} uploadId - Upload ID
+   * @returns {Promise<Array<FileModel>>} The uploaded file, or an empty array if it was canceled again
+   */
+  async retryUpload(uploadId) {
+    const item = await this.uploadQueue.retry(uploadId)
+
+    if (item.state === 'error') {
+      throw new Error(item.error)
+    }
+    return item.state === 'success' ? [item.result] : []
+  }
+
+  /**
+   * Listen to the upload queue
+   * @param {function(Array<object>): void} callback - Called with every queued, running and finished upload
+   * @returns {function} Unsubscribe function
+   */
+  listenToUploads(callback) {
+    return this.uploadQueue.subscribe(callback)
+  }
+
+  /**
+   * Remove finished, failed and canceled uploads to a bucket from the queue
+   * @param {string} bucketId - Bucket ID
+   */
+  clearFinishedUploads(bucketId) {
+    this.uploadQueue.clearSettled(item => item.bucketId === bucketId)
+  }
+
   /**
    * Upload a single file
-   * @param {File} file - File to upload
+   * Files whose SHA-256 is already in the bucket are skipped with a 'file/duplicate' error.
+   * Files for encrypted buckets are encrypted here, before they leave the browser ('file/locked' if the
+   * bucket hasn't been unlocked).
+   * What goes to Storage is kept in the upload store with the upload session until it finishes, so
+   * the upload can continue after a reload; uploads with a saved record continue from it.
+   * Progress is reported as (uploadId, { fileName, bytesTransferred, totalBytes, state, error }),
+   * where state is 'running', 'paused', 'success', 'error', 'canceled' or 'duplicate'.
+   * @param {File|object} file - File to upload, or the { name, size, type } of a saved upload
    * @param {string} bucketId - Target bucket ID
    * @param {string} userId - User ID uploading the file
+   * @param {object} [options]
+   * @param {string} [options.uploadId] - ID used for progress, pause/resume and the upload store
+   * @param {string} [options.path] - Folder within the bucket ('' for the root)
+   * @param {function} [options.onProgress] - Progress callback
    * @returns {Promise<FileModel>} Uploaded file
    */
-  async uploadSingleFile(file, bucketId, userId) {
+  async uploadSingleFile(file, bucketId, userId, { uploadId = crypto.randomUUID(), path = '', onProgress } = {}) {
+    const report = (progress) => onProgress?.(uploadId, { fileName: file.name, totalBytes: file.size, ...progress })
+    let hashKey = null
+
     try {
+      // The file counts towards the bucket owner's storage, whoever uploads it
+      const bucket = await bucketService.getBucketById(bucketId)
+      if (!bucket) {
+        throw new Error('Bucket not found.')
+      }
+
+      // An upload continued after a reload (or retried) picks up its saved record instead of
+      // hashing and encrypting the file again
+      let saved = await getSavedUpload(uploadId)
+      const keys = !saved && bucket.isEncrypted() ? getUnlockedKeys(bucketId) : null
+
+      // Skip files whose content is being uploaded to the bucket right now or is already in it.
+      // The hash is claimed before querying so identical files in one batch can't both get through.
+      const contentHash = saved ? saved.contentHash : await hashFile(file, keys?.hashKey)
+      const key = `${bucketId}:${contentHash}`
+      let existingName = this.pendingHashes.get(key)
+      if (!existingName) {
+        hashKey = key
+        this.pendingHashes.set(hashKey, file.name)
+        existingName = (await this.findFileByHash(bucketId, contentHash))?.name
+      }
+      if (existingName) {
+        const duplicateError = new Error(`Already in this bucket as "${existingName}".`)
+        duplicateError.code = 'file/duplicate'
+        throw duplicateError
+      }
+
+      if (!saved) {
+        // Generate storage path with better naming convention, mirroring the folder tree
+        const folderPath = normalizeFolderPath(path)
+        const sanitize = (name) => name.replace(/[^a-zA-Z0-9.-]/g, '_')
+        const storageFolder = folderPath ? `${folderPath.split('/').map(sanitize).join('/')}/` : ''
+
+        // Keep what goes to Storage until the upload finishes so it can continue after a reload.
+        // Storage (and so the upload store) only ever gets the ciphertext of encrypted files.
+        saved = {
+          id: uploadId,
+          bucketId,
+          userId,
+          path: folderPath,
+          file: { name: file.name, size: file.size, type: file.type },
+          contentHash,
+          encrypted: Boolean(keys),
+          storagePath: `buckets/${bucketId}/files/${storageFolder}${Date.now()}_${sanitize(file.name)}`,
+          contents: keys ? await encryptBlob(file, keys.contentKey) : file,
+          sessionUrl: null,
+          createdAt: new Date().toISOString()
+        }
+        await saveUpload(saved)
+      }
+      report({ bytesTransferred: 0, state: 'running' })
+
       // Create file model
-      const fileModel = FileModel.fromFile(file, bucketId, userId)
-      
-      // Generate storage path with better naming convention
-      const timestamp = Date.now()
-      const sanitizedFileName = file.name.replace(/[^a-zA-Z0-9.-]/g, '_')
-      const storagePath = `buckets/${bucketId}/files/${timestamp}_${sanitizedFileName}`
-      const storageRef = ref(storage, storagePath)
-
-      // Upload to Firebase Storage with retry logic for CORS issues
-      let snapshot
-      let retries = 3
-      
-      while (retries > 0) {
+      const fileModel = FileModel.fromFile(file, bucketId, userId, saved.path)
+      fileModel.contentHash = contentHash
+      fileModel.ownerId = bucket.ownerId
+      fileModel.encrypted = saved.encrypted
+
+      const runTask = async (uploadTask) => {
+        this.uploadTasks.set(uploadId, uploadTask)
+        uploadTask.on('state_changed', (snapshot) => {
+          report({ bytesTransferred: snapshot.bytesTransferred, state: snapshot.state })
+        })
+        await uploadTask
+      }
+
+      // Continue the Storage session the upload had before the reload, from the last confirmed chunk
+      let isUploaded = false
+      if (saved.sessionUrl) {
         try {
-          snapshot = await uploadBytes(storageRef, file, {
-            contentType: file.type,
-            customMetadata: {
-              originalName: file.name,
-              uploadedBy: userId,
-              bucketId: bucketId
-            }
-          })
-          break // Success, exit retry loop
-        } catch (uploadError) {
-          retries--
-          if (uploadError.code === 'storage/unknown' && retries > 0) {
-            // Wait a bit before retrying for CORS-related errors
-            await new Promise(resolve => setTimeout(resolve, 1000))
-            continue
-          }
-          throw uploadError // Re-throw if not a retryable error or out of retries
+          await runTask(new SessionUpload(saved.sessionUrl, saved.contents, () => auth.currentUser?.getIdToken()))
+          isUploaded = true
+        } catch (error) {
+          if (error.code !== 'upload/session-expired') throw error
+          saved.sessionUrl = null
         }
       }
 
-      const downloadURL = await getDownloadURL(snapshot.ref)
+      if (!isUploaded) {
+        // uploadBytesResumable sends the file in chunks and retries failed chunks itself
+        const uploadTask = uploadBytesResumable(ref(storage, saved.storagePath), saved.contents, {
+          contentType: saved.contents.type,
+          customMetadata: {
+            originalName: file.name,
+            uploadedBy: userId,
+            bucketId: bucketId
+          }
+        })
 
-      // Update file model with storage info
-      fileModel.downloadURL = downloadURL
-      fileModel.storagePath = storagePath
+        // The SDK doesn't expose its session, so its upload URL is read off the task (small files
+        // are sent in one request and never get one) and saved for continuing after a reload
+        const saveSession = uploadTask.on('state_changed', () => {
+          if (uploadTask._uploadUrl && !saved.sessionUrl) {
+            saved.sessionUrl = uploadTask._uploadUrl
+            saveUpload(saved)
+            saveSession()
+          }
+        })
+        await runTask(uploadTask)
+      }
+
+      // Downloads go through short-lived signed URLs, so no permanent token URL is stored
+      fileModel.storagePath = saved.storagePath
 
       // Save to Firestore
       const docRef = await addDoc(collection(db, COLLECTIONS.FILES), fileModel.toFirestore())
@@ -157,21 +381,169 @@ export class FileService {
       // Cache the file
       this.files.set(fileModel.id, fileModel)
 
+      await removeSavedUpload(uploadId)
+      report({ bytesTransferred: file.size, state: 'success' })
+
       return fileModel
     } catch (error) {
       Logger.error('Error uploading single file:', error)
-      
+
+      // Connection problems leave the upload saved so it can be resumed; anything else won't succeed on retry
+      const isInterrupted = error.code === 'storage/retry-limit-exceeded' || error.code === 'storage/unknown'
+      if (!isInterrupted) {
+        await removeSavedUpload(uploadId)
+      }
+
       // Provide more specific error messages
-      if (error.code === 'storage/unauthorized') {
-        throw new Error('You do not have permission to upload files to this bucket.')
+      let message
+      if (error.code === 'file/duplicate' || error.code === 'file/locked') {
+        message = error.message
+      } else if (error.code === 'storage/canceled') {
+        message = 'Upload canceled.'
+      } else if (error.code === 'storage/unauthorized') {
+        message = 'Upload refused: you may not have permission to upload here, or the bucket owner is out of storage.'
+      } else if (error.code === 'storage/retry-limit-exceeded') {
+        message = 'Upload interrupted by a connection problem. You can resume it later.'
       } else if (error.code === 'storage/unknown' || error.message.includes('CORS')) {
-        throw new Error('Upload failed due to browser security restrictions. Please try again or contact support if the issue persists.')
+        message = 'Upload failed due to browser security restrictions. Please try again or contact support if the issue persists.'
       } else if (error.code === 'storage/quota-exceeded') {
-        throw new Error('Storage quota exceeded. Please free up space or upgrade your plan.')
+        message = 'Storage quota exceeded. Please free up space or upgrade your plan.'
       } else {
-        throw new Error(`Failed to upload ${file.name}: ${error.message}`)
+        message = `Failed to upload ${file.name}: ${error.message}`
       }
+
+      const state = { 'storage/canceled': 'canceled', 'file/duplicate': 'duplicate' }[error.code] || 'error'
+      report({ state, error: message })
+
+      // Keep the code so the upload queue can tell transient failures apart
+      const uploadError = new Error(message)
+      uploadError.code = error.code
+      throw uploadError
+    } finally {
+      this.uploadTasks.delete(uploadId)
+      if (hashKey) {
+        this.pendingHashes.delete(hashKey)
+      }
+    }
+  }
+
+  /**
+   * Find an active, unexpired file in a bucket by its content hash
+   * @param {string} bucketId - Bucket ID
+   * @param {string} contentHash - Hex SHA-256 of the contents
+   * @returns {Promise<FileModel|null>} Matching file, if any
+   */
+  async findFileByHash(bucketId, contentHash) {
+    const q = query(
+      collection(db, COLLECTIONS.FILES),
+      where('bucketId', '==', bucketId),
+      where('contentHash', '==', contentHash),
+      where('isActive', '==', true)
+    )
+    const querySnapshot = await getDocs(q)
+    const files = querySnapshot.docs.map(docSnap => FileModel.fromFirestore(docSnap.id, docSnap.data()))
+    return files.find(file => !file.hasExpired()) || null
+  }
+
+  /**
+   * Fetch a file's contents and check them against the hash recorded at upload
+   * Encrypted files are decrypted first, which needs their bucket to be unlocked.
+   * @param {FileModel} file - File to fetch
+   * @param {string} [downloadURL] - Signed URL to fetch from (one is requested if omitted)
+   * @returns {Promise<Blob>} File contents
+   */
+  async fetchVerifiedBlob(file, downloadURL) {
+    const keys = file.encrypted ? getUnlockedKeys(file.bucketId) : null
+    const response = await fetch(downloadURL || await this.getSignedUrl(file.id))
+    if (!response.ok) {
+      throw new Error(`Failed to download ${file.name}`)
+    }
+
+    let blob = await response.blob()
+    if (keys) {
+      blob = await decryptBlob(blob, keys.contentKey, file.mimeType)
+    }
+    if (!(await verifyFileHash(blob, file.contentHash, keys?.hashKey))) {
+      const checksumError = new Error(`${file.name} did not match its checksum and may be corrupted. Please try again.`)
+      checksumError.code = 'file/checksum-mismatch'
+      throw checksumError
+    }
+    return blob
+  }
+
+  /**
+   * Get short-lived signed URLs for files the user can read
+   * URLs are cached and reused until shortly before they expire.
+   * @param {Array<string>} fileIds - File IDs
+   * @param {string} [disposition] - 'attachment' to download, 'inline' to display
+   * @returns {Promise<{urls: object, expiresAt: string|null}>} URLs keyed by file ID (files that
+   *   can't be downloaded are left out) and when the first of them expires
+   */
+  async getSignedUrls(fileIds, disposition = 'attachment') {
+    const cacheKey = (fileId) => `${fileId}:${disposition}`
+    const isFresh = (entry) => entry && new Date(entry.expiresAt).getTime() - Date.now() > SIGNED_URL_REUSE_MARGIN_MS
+    const missing = [...new Set(fileIds)].filter(fileId => !isFresh(this.signedUrls.get(cacheKey(fileId))))
+
+    const getSignedDownloadUrl = httpsCallable(this.functions, 'getSignedDownloadUrl')
+    for (let i = 0; i < missing.length; i += SIGNED_URL_BATCH_SIZE) {
+      const result = await getSignedDownloadUrl({ fileIds: missing.slice(i, i + SIGNED_URL_BATCH_SIZE), disposition })
+      Object.entries(result.data.urls).forEach(([fileId, url]) => {
+        this.signedUrls.set(cacheKey(fileId), { url, expiresAt: result.data.expiresAt })
+      })
     }
+
+    const urls = {}
+    let expiresAt = null
+    fileIds.forEach(fileId => {
+      const entry = this.signedUrls.get(cacheKey(fileId))
+      if (!isFresh(entry)) return
+      urls[fileId] = entry.url
+      if (!expiresAt || entry.expiresAt < expiresAt) expiresAt = entry.expiresAt
+    })
+    return { urls, expiresAt }
+  }
+
+  /**
+   * Get a short-lived signed URL for a file
+   * @param {string} fileId - File ID
+   * @param {string} [disposition] - 'attachment' to download, 'inline' to display
+   * @returns {Promise<string>} Signed URL
+   */
+  async getSignedUrl(fileId, disposition = 'attachment') {
+    const { urls } = await this.getSignedUrls([fileId], disposition)
+    if (!urls[fileId]) {
+      const unavailableError = new Error('This file is no longer available for download.')
+      unavailableError.code = 'file/unavailable'
+      throw unavailableError
+    }
+    return urls[fileId]
+  }
+
+  /**
+   * Pause a running upload
+   * @param {string} uploadId - Upload ID
+   * @returns {boolean} True if the upload was paused
+   */
+  pauseUpload(uploadId) {
+    return this.uploadTasks.get(uploadId)?.pause() || false
+  }
+
+  /**
+   * Resume a paused upload
+   * @param {string} uploadId - Upload ID
+   * @returns {boolean} True if the upload was resumed
+   */
+  resumeUpload(uploadId) {
+    return this.uploadTasks.get(uploadId)?.resume() || false
+  }
+
+  /**
+   * Cancel a queued, running or paused upload
+   * @param {string} uploadId - Upload ID
+   * @returns {boolean} True if the upload was canceled
+   */
+  cancelUpload(uploadId) {
+    return this.uploadQueue.cancel(uploadId)
   }
 
   /**
@@ -193,6 +565,8 @@ export class FileService {
 
       querySnapshot.forEach((doc) => {
         const file = FileModel.fromFirestore(doc.id, doc.data())
+        // Expired files are waiting to be purged by cleanupBuckets
+        if (file.hasExpired()) return
         this.files.set(file.id, file)
         files.push(file)
       })
@@ -204,8 +578,31 @@ export class FileService {
     }
   }
 
+  /**
+   * Get the files in a bucket's trash
+   * @param {string} bucketId - Bucket ID
+   * @returns {Promise<Array<FileModel>>} Trashed files, most recently deleted first
+   */
+  async getTrashedFiles(bucketId) {
+    try {
+      const q = query(
+        collection(db, COLLECTIONS.FILES),
+        where('bucketId', '==', bucketId),
+        where('isActive', '==', false),
+        orderBy('deletedAt', 'desc')
+      )
+
+      const querySnapshot = await getDocs(q)
+      return querySnapshot.docs.map(docSnap => FileModel.fromFirestore(docSnap.id, docSnap.data()))
+    } catch (error) {
+      Logger.error('Error fetching trashed files:', error)
+      throw new Error('Failed to fetch the trash.')
+    }
+  }
+
   /**
    * Delete a file
+   * Soft deletes move the file to the trash and keep its blob so it can be restored.
    * @param {string} fileId - File ID
    * @param {boolean} permanent - Whether to permanently delete (default: false for soft delete)
    * @returns {Promise<void>}
@@ -217,53 +614,199 @@ export class FileService {
         throw new Error('File not found')
       }
 
-      // Delete from Firebase Storage
-      if (file.storagePath) {
-        const storageRef = ref(storage, file.storagePath)
-        await deleteObject(storageRef)
-      }
-
+      const docRef = doc(db, COLLECTIONS.FILES, fileId)
       if (permanent) {
+        // Delete from Firebase Storage (files trashed before blobs were kept have none left)
+        if (file.storagePath) {
+          try {
+            await deleteObject(ref(storage, file.storagePath))
+          } catch (error) {
+            if (error.code !== 'storage/object-not-found') throw error
+          }
+        }
+
         // Permanently delete from Firestore
-        const docRef = doc(db, COLLECTIONS.FILES, fileId)
         await deleteDoc(docRef)
       } else {
         // Soft delete in Firestore
-        const docRef = doc(db, COLLECTIONS.FILES, fileId)
         await updateDoc(docRef, { 
           isActive: false,
           deletedAt: new Date().toISOString()
         })
       }
 
-      // Remove from cache
+      // Remove from cache (the updateBucketStats function adjusts the bucket's stats)
       this.files.delete(fileId)
-
-      // Update bucket stats if not permanent deletion (permanent deletion handles this at bucket level)
-      if (!permanent) {
-        await this.updateBucketStats(file.bucketId)
-      }
     } catch (error) {
       Logger.error('Error deleting file:', error)
       throw new Error('Failed to delete file.')
     }
   }
 
+  /**
+   * Delete several files at once, with batched writes
+   * Soft deletes move the files to the trash, like deleteFile.
+   * @param {Array<string>} fileIds - File IDs
+   * @param {boolean} permanent - Whether to permanently delete (default: false for soft delete)
+   * @returns {Promise<void>}
+   */
+  async deleteFiles(fileIds, permanent = false) {
+    try {
+      const files = await Promise.all(fileIds.map(fileId => this.files.get(fileId) || this.getFileById(fileId)))
+      const deletedAt = new Date().toISOString()
+
+      // Batches are capped at 500 writes
+      for (let i = 0; i < files.length; i += 500) {
+        const batch = writeBatch(db)
+        for (const file of files.slice(i, i + 500)) {
+          if (!file) continue
+
+          const docRef = doc(db, COLLECTIONS.FILES, file.id)
+          if (permanent) {
+            if (file.storagePath) {
+              await deleteObject(ref(storage, file.storagePath)).catch(error => {
+                if (error.code !== 'storage/object-not-found') throw error
+              })
+            }
+            batch.delete(docRef)
+          } else {
+            batch.update(docRef, { isActive: false, deletedAt })
+          }
+        }
+        await batch.commit()
+      }
+
+      fileIds.forEach(fileId => this.files.delete(fileId))
+    } catch (error) {
+      Logger.error('Error deleting files:', error)
+      throw new Error('Failed to delete files.')
+    }
+  }
+
+  /**
+   * Move or copy files into another bucket the user owns or collaborates on
+   * The transferFiles function copies each blob inside Storage, so nothing is downloaded or uploaded again.
+   * Moves keep the file's download stats; copies start with none.
+   * @param {Array<string>} fileIds - File IDs
+   * @param {string} targetBucketId - Target bucket ID
+   * @param {string} mode - 'move' or 'copy'
+   * @returns {Promise<object>} File IDs by outcome: transferred, skipped (already in the target bucket),
+   *   duplicates (content already in the target bucket), overQuota (the target owner's storage is full)
+   *   and failed, plus newFileIds mapping each copied file to its copy
+   */
+  async transferFiles(fileIds, targetBucketId, mode) {
+    try {
+      const transferFiles = httpsCallable(this.functions, 'transferFiles')
+      const result = await transferFiles({ fileIds, targetBucketId, mode })
+      if (mode === 'move') {
+        result.data.transferred.forEach(fileId => this.files.delete(fileId))
+      }
+      return result.data
+    } catch (error) {
+      Logger.error(`Error (${mode}) transferring files:`, error)
+      throw new Error(error.code === 'functions/permission-denied' ? error.message : `Failed to ${mode} files.`)
+    }
+  }
+
+  /**
+   * Move files into another bucket
+   * @param {Array<string>} fileIds - File IDs
+   * @param {string} targetBucketId - Target bucket ID
+   * @returns {Promise<object>} File IDs by outcome (see transferFiles)
+   */
+  moveFiles(fileIds, targetBucketId) {
+    return this.transferFiles(fileIds, targetBucketId, 'move')
+  }
+
+  /**
+   * Copy files into another bucket
+   * @param {Array<string>} fileIds - File IDs
+   * @param {string} targetBucketId - Target bucket ID
+   * @returns {Promise<object>} File IDs by outcome (see transferFiles)
+   */
+  copyFiles(fileIds, targetBucketId) {
+    return this.transferFiles(fileIds, targetBucketId, 'copy')
+  }
+
+  /**
+   * Move a file into another bucket
+   * @param {string} fileId - File ID
+   * @param {string} targetBucketId - Target bucket ID
+   * @returns {Promise<FileModel>} The moved file
+   */
+  async moveFile(fileId, targetBucketId) {
+    const result = await this.moveFiles([fileId], targetBucketId)
+    throwIfNotTransferred(result, fileId, 'move')
+    return await this.getFileById(fileId)
+  }
+
+  /**
+   * Copy a file into another bucket
+   * @param {string} fileId - File ID
+   * @param {string} targetBucketId - Target bucket ID
+   * @returns {Promise<FileModel>} The new copy
+   */
+  async copyFile(fileId, targetBucketId) {
+    const result = await this.copyFiles([fileId], targetBucketId)
+    throwIfNotTransferred(result, fileId, 'copy')
+    return await this.getFileById(result.newFileIds[fileId])
+  }
+
+  /**
+   * Restore a file from the trash
+   * @param {string} fileId - File ID
+   * @returns {Promise<FileModel>} Restored file
+   */
+  async restoreFile(fileId) {
+    const file = await this.getFileById(fileId)
+    if (!file) {
+      throw new Error('File not found')
+    }
+
+    // Files trashed before blobs were kept only have their record left
+    try {
+      await getMetadata(ref(storage, file.storagePath))
+    } catch (error) {
+      Logger.error('Error checking trashed file contents:', error)
+      throw new Error(error.code === 'storage/object-not-found'
+        ? `${file.name} was deleted before the trash existed and can't be restored.`
+        : 'Failed to restore file.')
+    }
+
+    try {
+      await updateDoc(doc(db, COLLECTIONS.FILES, fileId), {
+        isActive: true,
+        deletedAt: null
+      })
+
+      file.update({ isActive: true, deletedAt: null })
+      this.files.set(file.id, file)
+      return file
+    } catch (error) {
+      Logger.error('Error restoring file:', error)
+      throw new Error('Failed to restore file.')
+    }
+  }
+
   /**
    * Delete all files in a bucket (used during bucket deletion)
    * @param {string} bucketId - Bucket ID
-   * @param {boolean} permanent - Whether to permanently delete files
+   * @param {boolean} permanent - Whether to permanently delete files (including the trash)
    * @returns {Promise<void>}
    */
   async deleteAllBucketFiles(bucketId, permanent = false) {
     try {
-      const files = await this.getBucketFiles(bucketId)
+      const files = permanent
+        ? [...await this.getBucketFiles(bucketId), ...await this.getTrashedFiles(bucketId)]
+        : await this.getBucketFiles(bucketId)
       const batch = writeBatch(db)
 
       for (const file of files) {
         try {
           if (permanent && file.storagePath) {
-            await deleteObject(ref(storage, file.storagePath))
+            await deleteObject(ref(storage, file.storagePath)).catch(error => {
+              if (error.code !== 'storage/object-not-found') throw error
+            })
           }
           batch.delete(doc(db, COLLECTIONS.FILES, file.id))
         } catch (error) {
@@ -334,77 +877,207 @@ export class FileService {
     }
   }
 
+  /**
+   * Set a file's optional expiry and download limit
+   * @param {string} fileId - File ID
+   * @param {object} limits
+   * @param {string|null} limits.expiresAt - ISO timestamp after which the file is purged, or null for none
+   * @param {number|null} limits.maxDownloads - Downloads after which the file is purged, or null for no limit
+   * @returns {Promise<FileModel>} Updated file
+   */
+  async setFileLimits(fileId, { expiresAt, maxDownloads }) {
+    const file = await this.getFileById(fileId)
+    if (!file) {
+      throw new Error('File not found')
+    }
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      throw new Error('The expiry must be in the future.')
+    }
+    if (maxDownloads !== null && (!Number.isInteger(maxDownloads) || maxDownloads <= file.downloadCount)) {
+      throw new Error(`The download limit must be a whole number above the ${file.downloadCount} downloads so far.`)
+    }
+
+    try {
+      await updateDoc(doc(db, COLLECTIONS.FILES, fileId), {
+        expiresAt,
+        maxDownloads,
+        updatedAt: new Date().toISOString()
+      })
+
+      file.update({ expiresAt, maxDownloads })
+      return file
+    } catch (error) {
+      Logger.error('Error setting file limits:', error)
+      throw new Error('Failed to update file limits.')
+    }
+  }
+
+  /**
+   * Get a file that may still be downloaded
+   * Encrypted files also need their bucket unlocked, so a download isn't counted for a file that can't be decrypted.
+   * @param {string} fileId - File ID
+   * @returns {Promise<FileModel>} File
+   */
+  async getDownloadableFile(fileId) {
+    const file = await this.getFileById(fileId)
+    if (!file) {
+      throw new Error('File not found')
+    }
+    if (file.hasExpired()) {
+      const expiredError = new Error(`${file.name} has expired and can no longer be downloaded.`)
+      expiredError.code = 'file/expired'
+      throw expiredError
+    }
+    if (file.encrypted) {
+      getUnlockedKeys(file.bucketId)
+    }
+    return file
+  }
+
   /**
    * Download a file (record download event)
+   * Files with a download limit are counted by the recordFileDownload function as their URL is issued,
+   * so the limit holds however the URL is used.
    * @param {string} fileId - File ID
-   * @returns {Promise<string>} Download URL
+   * @param {string} [channel] - One of DOWNLOAD_CHANNELS
+   * @returns {Promise<string>} Signed download URL, valid for a few minutes
    */
-  async downloadFile(fileId) {
+  async downloadFile(fileId, channel = DOWNLOAD_CHANNELS.SINGLE) {
     try {
-      const file = await this.getFileById(fileId)
-      if (!file) {
-        throw new Error('File not found')
+      const file = await this.getDownloadableFile(fileId)
+      if (file.maxDownloads !== null) {
+        return await this.downloadCountedFile(fileId, channel)
       }
+      const downloadURL = await this.getSignedUrl(fileId)
 
       // Record download
-      await this.recordDownload(fileId)
+      await this.recordDownload(fileId, channel)
 
-      return file.downloadURL
+      return downloadURL
     } catch (error) {
       Logger.error('Error downloading file:', error)
-      throw new Error('Failed to download file.')
+      throw new Error(DOWNLOAD_REFUSED_ERRORS.includes(error.code) ? error.message : 'Failed to download file.')
     }
   }
 
   /**
-   * Download a file for PIN users (no authentication required, no download recording)
+   * Download a file for PIN users
+   * PIN sessions can't update file documents, so the recordFileDownload function records the download.
    * @param {string} fileId - File ID
-   * @returns {Promise<string>} Download URL
+   * @param {string} [channel] - One of DOWNLOAD_CHANNELS
+   * @returns {Promise<string>} Signed download URL, valid for a few minutes
    */
-  async downloadFileForPinUser(fileId) {
+  async downloadFileForPinUser(fileId, channel = DOWNLOAD_CHANNELS.SINGLE) {
     try {
-      const file = await this.getFileById(fileId)
-      if (!file) {
-        throw new Error('File not found')
-      }
-
-      // Return download URL without recording statistics
-      // PIN users don't have authentication so we can't update Firestore
-      return file.downloadURL
+      await this.getDownloadableFile(fileId)
+      return await this.downloadCountedFile(fileId, channel)
     } catch (error) {
       Logger.error('Error downloading file for PIN user:', error)
-      throw new Error('Failed to download file.')
+      throw new Error(DOWNLOAD_REFUSED_ERRORS.includes(error.code) ? error.message : 'Failed to download file.')
     }
   }
 
   /**
-   * Record file download
+   * Get a file's download URL from the recordFileDownload function, which counts the download
+   * in the same transaction and refuses once the file's download limit is reached. Downloads by
+   * the bucket owner and editors aren't counted.
+   * @param {string} fileId - File ID
+   * @param {string} channel - One of DOWNLOAD_CHANNELS
+   * @returns {Promise<string>} Signed download URL, valid for a few minutes
+   */
+  async downloadCountedFile(fileId, channel) {
+    const recordFileDownload = httpsCallable(this.functions, 'recordFileDownload')
+    const result = await recordFileDownload({ fileId, channel })
+    if (result.data.counted) {
+      this.files.get(fileId)?.recordDownload()
+    }
+    return result.data.url
+  }
+
+  /**
+   * Get a file's PIN download history
    * @param {string} fileId - File ID
+   * @returns {Promise<Array<{id: string, downloadedAt: string, userAgent: string, ipHash: string}>>} Most recent first
    */
-  async recordDownload(fileId) {
+  async getFileDownloads(fileId) {
     try {
-      const file = this.files.get(fileId)
-      const currentCount = file?.downloadCount || 0
-      const newCount = currentCount + 1
+      const q = query(
+        collection(db, COLLECTIONS.FILES, fileId, 'downloads'),
+        orderBy('downloadedAt', 'desc'),
+        limit(DOWNLOAD_HISTORY_LIMIT)
+      )
 
-      // Update cached file if it exists
-      if (file) {
-        file.downloadCount = newCount
-        file.lastDownloaded = new Date().toISOString()
+      const querySnapshot = await getDocs(q)
+      return querySnapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+    } catch (error) {
+      Logger.error('Error fetching download history:', error)
+      throw new Error('Failed to load the download history.')
+    }
+  }
+
+  /**
+   * Record file download
+   * Increments the file's download count and appends a download event for the bucket's timeline.
+   * @param {string} fileId - File ID
+   * @param {string} [channel] - One of DOWNLOAD_CHANNELS
+   */
+  async recordDownload(fileId, channel = DOWNLOAD_CHANNELS.SINGLE) {
+    try {
+      const file = this.files.get(fileId) || await this.getFileById(fileId)
+      if (!file) {
+        throw new Error('File not found')
       }
+      const timestamp = new Date().toISOString()
 
-      // Update Firestore with the new count (not incrementing the already incremented cache)
-      const docRef = doc(db, COLLECTIONS.FILES, fileId)
-      await updateDoc(docRef, {
-        downloadCount: newCount,
-        lastDownloaded: new Date().toISOString()
+      // increment() keeps concurrent downloads (e.g. from two tabs) from losing counts
+      const batch = writeBatch(db)
+      batch.update(doc(db, COLLECTIONS.FILES, fileId), {
+        downloadCount: increment(1),
+        lastDownloaded: timestamp
+      })
+      batch.set(doc(collection(db, COLLECTIONS.DOWNLOAD_EVENTS)), {
+        fileId,
+        bucketId: file.bucketId,
+        actor: auth.currentUser?.uid || null,
+        timestamp,
+        channel
       })
+      await batch.commit()
+
+      // Update cached file if it exists
+      const cachedFile = this.files.get(fileId)
+      if (cachedFile) {
+        cachedFile.downloadCount += 1
+        cachedFile.lastDownloaded = timestamp
+      }
     } catch (error) {
       Logger.error('Error recording download:', error)
       // Non-critical error, don't throw
     }
   }
 
+  /**
+   * Get a bucket's download events, for building a download timeline
+   * @param {string} bucketId - Bucket ID
+   * @returns {Promise<Array<{id: string, fileId: string, bucketId: string, actor: string, timestamp: string, channel: string}>>}
+   *   Most recent first
+   */
+  async getBucketDownloadEvents(bucketId) {
+    try {
+      const q = query(
+        collection(db, COLLECTIONS.DOWNLOAD_EVENTS),
+        where('bucketId', '==', bucketId),
+        orderBy('timestamp', 'desc')
+      )
+
+      const querySnapshot = await getDocs(q)
+      return querySnapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+    } catch (error) {
+      Logger.error('Error fetching download events:', error)
+      throw new Error('Failed to load the download timeline.')
+    }
+  }
+
   /**
    * Validate files before upload
    * @param {FileList} files - Files to validate
@@ -417,40 +1090,36 @@ export class FileService {
       const fileArray = Array.from(files)
       const newFilesSize = fileArray.reduce((total, file) => total + file.size, 0)
       
-      // For PIN users, check the bucket owner's storage limit instead of the uploader's
-      let userToCheck = userId
-      let userType = 'authenticated user'
-      
-      if (userId === 'pin-user') {
-        // Get bucket to find the owner and check PIN upload permission
-        const bucket = await bucketService.getBucketById(bucketId)
-        if (!bucket) {
-          return {
-            valid: false,
-            error: 'Bucket not found.'
-          }
+      // Uploads count against the bucket owner's storage limit, whoever uploads them
+      const bucket = await bucketService.getBucketById(bucketId)
+      if (!bucket) {
+        return {
+          valid: false,
+          error: 'Bucket not found.'
         }
+      }
 
-        // Check if PIN uploads are allowed
-        if (!bucket.allowPinUploads) {
-          return {
-            valid: false,
-            error: 'PIN uploads are not allowed for this bucket.'
-          }
+      // Check if PIN uploads are allowed
+      if (userId === 'pin-user' && !bucket.allowPinUploads) {
+        return {
+          valid: false,
+          error: 'PIN uploads are not allowed for this bucket.'
         }
-
-        userToCheck = bucket.ownerId
-        userType = 'bucket owner'
       }
-      
-      // Check total storage limit for the appropriate user
-      const userTotalStorage = await this.getUserTotalStorage(userToCheck)
-      const totalAfterUpload = (userTotalStorage + newFilesSize) / (1024 * 1024)
+
+      // Only the owner can read their usage; for collaborators and PIN users the storage rules
+      // enforce the owner's limit on upload
+      const isOwner = bucket.ownerId === userId
+      const ownerStorage = isOwner ? await this.getUserTotalStorage(userId) : 0
+      const totalAfterUpload = (ownerStorage + newFilesSize) / (1024 * 1024)
 
       if (totalAfterUpload > STORAGE_LIMITS.MAX_TOTAL_STORAGE_MB) {
+        const adding = `Adding: ${(newFilesSize / (1024 * 1024)).toFixed(1)}MB`
         return {
           valid: false,
-          error: `Upload would exceed ${STORAGE_LIMITS.MAX_TOTAL_STORAGE_MB}MB ${userType} storage limit. Current: ${(userTotalStorage / (1024 * 1024)).toFixed(1)}MB, Adding: ${(newFilesSize / (1024 * 1024)).toFixed(1)}MB`
+          error: isOwner
+            ? `Upload would exceed your ${STORAGE_LIMITS.MAX_TOTAL_STORAGE_MB}MB storage limit. Current: ${(ownerStorage / (1024 * 1024)).toFixed(1)}MB, ${adding}`
+            : `Upload would exceed the bucket owner's ${STORAGE_LIMITS.MAX_TOTAL_STORAGE_MB}MB storage limit. ${adding}`
         }
       }
 
@@ -466,50 +1135,21 @@ export class FileService {
 
   /**
    * Get total storage used by a user across all their buckets
+   * Read from users/{userId}.storageUsed, which the updateStorageUsage function keeps up to date,
+   * plus storageReserved, held by file transfers that haven't been counted yet
    * @param {string} userId - User ID
    * @returns {Promise<number>} Total storage in bytes
    */
   async getUserTotalStorage(userId) {
     try {
-      // Get all buckets owned by the user
-      const userBuckets = await bucketService.getUserBuckets(userId)
-      
-      // Calculate total storage across all buckets
-      let totalStorage = 0
-      
-      for (const bucket of userBuckets) {
-        const bucketFiles = await this.getBucketFiles(bucket.id)
-        const bucketStorage = calculateTotalStorage(bucketFiles)
-        totalStorage += bucketStorage
-      }
-      
-      return totalStorage
+      const userDoc = await getDoc(doc(db, COLLECTIONS.USERS, userId))
+      return userDoc.exists() ? (userDoc.data().storageUsed || 0) + (userDoc.data().storageReserved || 0) : 0
     } catch (error) {
       Logger.error('Error calculating user total storage:', error)
       throw error
     }
   }
 
-  /**
-   * Update bucket statistics (file count and storage used)
-   * @param {string} bucketId - Bucket ID
-   */
-  async updateBucketStats(bucketId) {
-    try {
-      const files = await this.getBucketFiles(bucketId)
-      const fileCount = files.length
-      const storageUsed = calculateTotalStorage(files)
-
-      await bucketService.updateBucket(bucketId, {
-        fileCount,
-        storageUsed
-      })
-    } catch (error) {
-      Logger.error('Error updating bucket stats:', error)
-      // Non-critical error, don't throw
-    }
-  }
-
   /**
    * Listen to file changes in a bucket
    * @param {string} bucketId - Bucket ID
@@ -528,6 +1168,7 @@ export class FileService {
       const files = []
       querySnapshot.forEach((doc) => {
         const file = FileModel.fromFirestore(doc.id, doc.data())
+        if (file.hasExpired()) return
         this.files.set(file.id, file)
         files.push(file)
       })
@@ -539,107 +1180,59 @@ export class FileService {
   }
 
   /**
-   * Download all files in a bucket as ZIP
+   * Download the files in a bucket as ZIP
+   * The exportBucketZip function streams the ZIP from Storage, so the browser saves it like any
+   * other download instead of building it in memory. Progress comes from the export's document.
    * @param {string} bucketId - Bucket ID
-   * @param {string} bucketName - Bucket name for ZIP filename
-   * @param {function} onProgress - Progress callback function
-   * @returns {Promise<void>}
+   * @param {function(number, number): void} [onProgress] - Called with files sent so far and the total
+   * @param {Array<string>} [fileIds] - Only zip these files (the whole bucket if omitted)
+   * @returns {Promise<void>} Resolves once the whole ZIP has been sent
    */
-  async downloadBucketAsZip(bucketId, bucketName, onProgress) {
+  async downloadBucketAsZip(bucketId, onProgress, fileIds = null) {
     try {
-      // Get all files in the bucket
-      const files = await this.getBucketFiles(bucketId)
-      
-      if (files.length === 0) {
-        throw new Error('No files found in bucket')
-      }
-
-      const zip = new JSZip()
-      let completedFiles = 0
-      const totalFiles = files.length
+      const createZipExport = httpsCallable(this.functions, 'createZipExport')
+      const { data } = await createZipExport({ bucketId, fileIds })
+      onProgress?.(0, data.filesTotal)
 
-      // Function to update progress
-      const updateProgress = () => {
-        completedFiles++
-        if (onProgress) {
-          onProgress(completedFiles, totalFiles)
+      const finished = new Promise((resolve, reject) => {
+        let started = false
+        let unsubscribe = () => {}
+        const fail = (error) => {
+          clearTimeout(startTimer)
+          unsubscribe()
+          reject(error)
         }
-      }
+        // The link may never be followed (e.g. a blocked download), which would leave the export waiting
+        const startTimer = setTimeout(() => {
+          if (!started) fail(new Error('The ZIP download did not start.'))
+        }, ZIP_EXPORT_START_TIMEOUT_MS)
 
-      // Download and add files to ZIP concurrently (but limit concurrency)
-      const maxConcurrency = 5 // Limit to prevent overwhelming the browser
-      const downloadPromises = []
-      
-      for (let i = 0; i < files.length; i += maxConcurrency) {
-        const batch = files.slice(i, i + maxConcurrency)
-        const batchPromises = batch.map(async (file) => {
-          try {
-            // Fetch file from Firebase Storage
-            const response = await fetch(file.downloadURL)
-            if (!response.ok) {
-              throw new Error(`Failed to download ${file.name}`)
-            }
-            
-            const blob = await response.blob()
-            
-            // Handle duplicate filenames by adding a counter
-            let fileName = file.name
-            let counter = 1
-            while (zip.files[fileName]) {
-              const nameParts = file.name.split('.')
-              if (nameParts.length > 1) {
-                const extension = nameParts.pop()
-                const baseName = nameParts.join('.')
-                fileName = `${baseName}_${counter}.${extension}`
-              } else {
-                fileName = `${file.name}_${counter}`
-              }
-              counter++
-            }
-            
-            // Add file to ZIP
-            zip.file(fileName, blob)
-            updateProgress()
-            
-            Logger.info(`Added ${fileName} to ZIP`)
-          } catch (error) {
-            Logger.error(`Failed to add ${file.name} to ZIP:`, error)
-            updateProgress() // Still update progress even if file failed
-          }
-        })
-        
-        downloadPromises.push(...batchPromises)
-        
-        // Wait for current batch to complete before starting next batch
-        await Promise.allSettled(batchPromises)
-      }
+        unsubscribe = onSnapshot(doc(db, COLLECTIONS.ZIP_EXPORTS, data.exportId), (snapshot) => {
+          const zipExport = snapshot.data()
+          if (!zipExport) return
 
-      // Generate ZIP file
-      Logger.info('Generating ZIP file...')
-      const zipBlob = await zip.generateAsync({
-        type: 'blob',
-        compression: 'DEFLATE',
-        compressionOptions: {
-          level: 6 // Balanced compression
-        }
+          started = zipExport.status !== 'ready'
+          onProgress?.(zipExport.filesDone, zipExport.filesTotal)
+          if (zipExport.status === 'done') {
+            clearTimeout(startTimer)
+            unsubscribe()
+            resolve()
+          } else if (zipExport.status === 'failed' || zipExport.status === 'aborted') {
+            fail(new Error('The ZIP download was interrupted.'))
+          }
+        }, fail)
       })
 
-      // Create download link
-      const url = URL.createObjectURL(zipBlob)
       const link = document.createElement('a')
-      link.href = url
-      link.download = `${bucketName.replace(/[^a-zA-Z0-9.-]/g, '_')}_files.zip`
+      link.href = data.url
       link.style.display = 'none'
-      
+
       document.body.appendChild(link)
       link.click()
       document.body.removeChild(link)
-      
-      // Clean up
-      URL.revokeObjectURL(url)
-      
-      Logger.info(`Successfully downloaded ${files.length} files as ZIP`)
-      
+
+      await finished
+      Logger.info(`Successfully downloaded ${data.filesTotal} files as ZIP`)
     } catch (error) {
       Logger.error('Error downloading bucket as ZIP:', error)
       throw new Error(`Failed to download files as ZIP: ${error.message}`)
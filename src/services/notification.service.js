@@ -0,0 +1,122 @@
+import {
+  collection,
+  doc,
+  deleteDoc,
+  limit,
+  onSnapshot,
+  orderBy,
+  query,
+  updateDoc,
+  writeBatch
+} from 'firebase/firestore'
+import { db } from '../firebase/config.js'
+import { COLLECTIONS } from '../utils/constants.js'
+import Logger from '../utils/logger.js'
+
+// Only the most recent notifications are shown in the inbox
+const INBOX_SIZE = 20
+
+/**
+ * Notification Service - Reads the per-user inbox written by Cloud Functions
+ * (users/{uid}/notifications), e.g. warnings about buckets that are about to expire
+ */
+export class NotificationService {
+  constructor() {
+    this.listeners = []
+  }
+
+  /**
+   * Get the notifications collection for a user
+   * @param {string} userId - User ID
+   * @returns {CollectionReference}
+   */
+  notificationsRef(userId) {
+    return collection(db, COLLECTIONS.USERS, userId, COLLECTIONS.NOTIFICATIONS)
+  }
+
+  /**
+   * Listen to a user's most recent notifications
+   * @param {string} userId - User ID
+   * @param {function} callback - Called with an array of notifications, newest first
+   * @returns {function} Unsubscribe function
+   */
+  listenToNotifications(userId, callback) {
+    const q = query(
+      this.notificationsRef(userId),
+      orderBy('createdAt', 'desc'),
+      limit(INBOX_SIZE)
+    )
+
+    const unsubscribe = onSnapshot(q, (querySnapshot) => {
+      callback(querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })))
+    }, (error) => {
+      Logger.error('Error listening to notifications:', error)
+      callback([])
+    })
+
+    this.listeners.push(unsubscribe)
+    return unsubscribe
+  }
+
+  /**
+   * Mark a notification as read
+   * @param {string} userId - User ID
+   * @param {string} notificationId - Notification ID
+   * @returns {Promise<void>}
+   */
+  async markAsRead(userId, notificationId) {
+    try {
+      await updateDoc(doc(this.notificationsRef(userId), notificationId), { read: true })
+    } catch (error) {
+      Logger.error('Error marking notification as read:', error)
+      throw new Error('Failed to update notification. Please try again.')
+    }
+  }
+
+  /**
+   * Mark several notifications as read
+   * @param {string} userId - User ID
+   * @param {string[]} notificationIds - Notification IDs
+   * @returns {Promise<void>}
+   */
+  async markAllAsRead(userId, notificationIds) {
+    if (notificationIds.length === 0) return
+
+    try {
+      const batch = writeBatch(db)
+      notificationIds.forEach(notificationId => {
+        batch.update(doc(this.notificationsRef(userId), notificationId), { read: true })
+      })
+      await batch.commit()
+    } catch (error) {
+      Logger.error('Error marking notifications as read:', error)
+      throw new Error('Failed to update notifications. Please try again.')
+    }
+  }
+
+  /**
+   * Delete a notification
+   * @param {string} userId - User ID
+   * @param {string} notificationId - Notification ID
+   * @returns {Promise<void>}
+   */
+  async deleteNotification(userId, notificationId) {
+    try {
+      await deleteDoc(doc(this.notificationsRef(userId), notificationId))
+    } catch (error) {
+      Logger.error('Error deleting notification:', error)
+      throw new Error('Failed to delete notification. Please try again.')
+    }
+  }
+
+  /**
+   * Clean up listeners
+   */
+  destroy() {
+    this.listeners.forEach(unsubscribe => unsubscribe())
+    this.listeners = []
+  }
+}
+
+// Create singleton instance
+export const notificationService = new NotificationService()
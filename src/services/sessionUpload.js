@@ -0,0 +1,200 @@
+// Storage accepts resumable chunks in multiples of 256KB (only the last chunk may be shorter)
+const CHUNK_SIZE = 32 * 256 * 1024
+
+/**
+ * Build an error carrying a code, like the ones the Storage SDK throws
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const uploadError = (code, message) => {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+/**
+ * Session Upload - Continues a Storage resumable upload session started by uploadBytesResumable
+ *
+ * The SDK can't pick up a session it didn't start, so after a reload the saved session is
+ * continued here: Storage is asked how many bytes it has confirmed, and the rest is sent in chunks.
+ * Mirrors the parts of the SDK's UploadTask the file service uses: on('state_changed'),
+ * pause(), resume(), cancel() and awaiting the upload.
+ * Errors use the SDK's codes, plus 'upload/session-expired' when Storage no longer knows the session.
+ */
+export class SessionUpload {
+  /**
+   * @param {string} sessionUrl - Upload URL of the session
+   * @param {Blob} blob - The same contents the session was started with
+   * @param {function(): Promise<string|undefined>} getAuthToken - Firebase ID token of the uploader
+   */
+  constructor(sessionUrl, blob, getAuthToken) {
+    this.sessionUrl = sessionUrl
+    this.blob = blob
+    this.getAuthToken = getAuthToken
+
+    this.bytesTransferred = 0
+    this.state = 'running'
+    this.listeners = new Set()
+    this.controller = null
+    this.wakeUp = null
+    this.promise = this.run()
+  }
+
+  /**
+   * Listen to progress
+   * @param {string} event - Only 'state_changed' is supported
+   * @param {function(object): void} listener - Called with { bytesTransferred, totalBytes, state }
+   * @returns {function} Unsubscribe function
+   */
+  on(event, listener) {
+    if (event !== 'state_changed') return () => {}
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  /**
+   * Wait for the upload, so the task can be awaited like the SDK's
+   * @param {function} onFulfilled
+   * @param {function} onRejected
+   * @returns {Promise<void>}
+   */
+  then(onFulfilled, onRejected) {
+    return this.promise.then(onFulfilled, onRejected)
+  }
+
+  /**
+   * Pause the upload; the chunk in flight is dropped and sent again on resume
+   * @returns {boolean} True if the upload was running
+   */
+  pause() {
+    if (this.state !== 'running') return false
+    this.state = 'paused'
+    this.controller?.abort()
+    this.notify()
+    return true
+  }
+
+  /**
+   * Resume a paused upload from the last byte Storage confirmed
+   * @returns {boolean} True if the upload was paused
+   */
+  resume() {
+    if (this.state !== 'paused') return false
+    this.state = 'running'
+    this.notify()
+    this.wakeUp?.()
+    return true
+  }
+
+  /**
+   * Cancel the upload
+   * @returns {boolean} True if the upload was still running or paused
+   */
+  cancel() {
+    if (this.state !== 'running' && this.state !== 'paused') return false
+    this.state = 'canceled'
+    this.controller?.abort()
+    this.wakeUp?.()
+    return true
+  }
+
+  /**
+   * Tell listeners about the current progress
+   */
+  notify() {
+    const snapshot = { bytesTransferred: this.bytesTransferred, totalBytes: this.blob.size, state: this.state }
+    this.listeners.forEach(listener => listener(snapshot))
+  }
+
+  /**
+   * Send a command to the upload session
+   * @param {string} command - X-Goog-Upload-Command ('query', 'upload' or 'upload, finalize')
+   * @param {object} [headers] - Extra headers
+   * @param {Blob} [body] - Chunk contents
+   * @returns {Promise<Response>} Successful response
+   */
+  async send(command, headers = {}, body = null) {
+    this.controller = new AbortController()
+    const token = await this.getAuthToken()
+
+    let response
+    try {
+      response = await fetch(this.sessionUrl, {
+        method: 'POST',
+        headers: {
+          'X-Goog-Upload-Protocol': 'resumable',
+          'X-Goog-Upload-Command': command,
+          ...(token && { Authorization: `Firebase ${token}` }),
+          ...headers
+        },
+        body,
+        signal: this.controller.signal
+      })
+    } catch (error) {
+      if (error.name === 'AbortError') throw error
+      throw uploadError('storage/retry-limit-exceeded', 'Connection lost while uploading.')
+    }
+
+    if (response.ok) return response
+    if (response.status === 404 || response.status === 410) {
+      throw uploadError('upload/session-expired', 'The upload session has expired.')
+    }
+    if (response.status === 401 || response.status === 403) {
+      throw uploadError('storage/unauthorized', 'Upload refused.')
+    }
+    if (response.status === 408 || response.status === 429 || response.status >= 500) {
+      throw uploadError('storage/retry-limit-exceeded', `Storage responded with ${response.status}.`)
+    }
+    throw uploadError('storage/unknown', `Storage responded with ${response.status}.`)
+  }
+
+  /**
+   * Ask Storage how far the session got and send the rest, chunk by chunk
+   * @returns {Promise<void>} Resolves once Storage has finalized the upload
+   */
+  async run() {
+    // Unknown until Storage has been asked, again after every pause
+    let offset = null
+
+    while (true) {
+      if (this.state === 'canceled') {
+        throw uploadError('storage/canceled', 'User canceled the upload.')
+      }
+      if (this.state === 'paused') {
+        await new Promise(resolve => { this.wakeUp = resolve })
+        this.wakeUp = null
+        offset = null
+        continue
+      }
+
+      try {
+        if (offset === null) {
+          const status = await this.send('query')
+          if (status.headers.get('X-Goog-Upload-Status') === 'final') break
+          offset = Number(status.headers.get('X-Goog-Upload-Size-Received')) || 0
+          this.bytesTransferred = offset
+          this.notify()
+        }
+
+        const end = Math.min(offset + CHUNK_SIZE, this.blob.size)
+        const isLast = end === this.blob.size
+        await this.send(isLast ? 'upload, finalize' : 'upload', {
+          'X-Goog-Upload-Offset': String(offset)
+        }, this.blob.slice(offset, end))
+
+        offset = end
+        this.bytesTransferred = end
+        if (isLast) break
+        this.notify()
+      } catch (error) {
+        // Pausing and canceling abort the request in flight; the loop takes it from there
+        if (error.name !== 'AbortError') throw error
+      }
+    }
+
+    this.bytesTransferred = this.blob.size
+    this.state = 'success'
+    this.notify()
+  }
+}
@@ -0,0 +1,240 @@
+import { UPLOAD_QUEUE } from '../utils/constants.js'
+import Logger from '../utils/logger.js'
+
+// Items in these states are finished and won't change unless retried
+const SETTLED_STATES = ['success', 'error', 'canceled', 'duplicate']
+
+/**
+ * Upload Queue - Runs uploads with a cap on how many run in parallel
+ *
+ * Items move through queued -> running (<-> paused) -> success | error | canceled | duplicate.
+ * Transient failures go to 'retrying' and are queued again after an exponential backoff.
+ * Listeners receive a snapshot of all items whenever one of them changes.
+ */
+export class UploadQueue {
+  /**
+   * @param {object} options
+   * @param {function(object, function): Promise<*>} options.runUpload - Uploads an item, calling back with { bytesTransferred, state } progress
+   * @param {function(object): boolean} options.abortUpload - Aborts an item's running upload
+   * @param {function(Error): boolean} options.isTransient - Whether a failed upload is worth retrying automatically
+   * @param {number} [options.concurrency] - Uploads run in parallel
+   * @param {number} [options.maxRetries] - Automatic retries per item
+   * @param {number} [options.retryDelayMs] - Delay before the first retry
+   */
+  constructor({
+    runUpload,
+    abortUpload,
+    isTransient,
+    concurrency = UPLOAD_QUEUE.CONCURRENCY,
+    maxRetries = UPLOAD_QUEUE.MAX_RETRIES,
+    retryDelayMs = UPLOAD_QUEUE.RETRY_DELAY_MS
+  }) {
+    this.runUpload = runUpload
+    this.abortUpload = abortUpload
+    this.isTransient = isTransient
+    this.concurrency = concurrency
+    this.maxRetries = maxRetries
+    this.retryDelayMs = retryDelayMs
+
+    this.items = new Map()
+    this.waiting = []
+    this.running = new Set()
+    this.retryTimers = new Map()
+    this.settleCallbacks = new Map()
+    this.listeners = new Set()
+  }
+
+  /**
+   * Listen to queue changes
+   * @param {function(Array<object>): void} listener - Called with every item, immediately and on each change
+   * @returns {function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    listener(this.getItems())
+    return () => this.listeners.delete(listener)
+  }
+
+  /**
+   * Get a snapshot of all items
+   * @returns {Array<object>} Items in the order they were added
+   */
+  getItems() {
+    return Array.from(this.items.values())
+  }
+
+  /**
+   * Check whether an upload is (or was) in the queue
+   * @param {string} id - Upload ID
+   * @returns {boolean}
+   */
+  has(id) {
+    return this.items.has(id)
+  }
+
+  /**
+   * Add uploads to the queue
+   * @param {Array<object>} entries - { id, file, bucketId, userId }
+   * @returns {Promise<Array<object>>} The items once every one of them has settled
+   */
+  enqueue(entries) {
+    const settled = entries.map(entry => {
+      this.items.set(entry.id, {
+        ...entry,
+        fileName: entry.file.name,
+        totalBytes: entry.file.size,
+        bytesTransferred: 0,
+        state: 'queued',
+        attempts: 0,
+        error: null,
+        result: null
+      })
+      this.waiting.push(entry.id)
+      return this.whenSettled(entry.id)
+    })
+
+    this.emit()
+    this.next()
+    return Promise.all(settled)
+  }
+
+  /**
+   * Queue a failed or canceled upload again
+   * @param {string} id - Upload ID
+   * @returns {Promise<object>} The item once it has settled again
+   */
+  retry(id) {
+    const item = this.items.get(id)
+    if (!item || (item.state !== 'error' && item.state !== 'canceled')) {
+      return Promise.reject(new Error('Only failed or canceled uploads can be retried.'))
+    }
+
+    const settled = this.whenSettled(id)
+    this.update(id, { state: 'queued', attempts: 0, bytesTransferred: 0, error: null })
+    this.waiting.push(id)
+    this.next()
+    return settled
+  }
+
+  /**
+   * Cancel a queued, running or retrying upload
+   * @param {string} id - Upload ID
+   * @returns {boolean} True if the upload was canceled
+   */
+  cancel(id) {
+    const item = this.items.get(id)
+    if (!item || SETTLED_STATES.includes(item.state)) return false
+
+    if (this.running.has(id)) {
+      // The running upload rejects with storage/canceled and settles in start()
+      this.update(id, { state: 'canceled' })
+      this.abortUpload(item)
+      return true
+    }
+
+    clearTimeout(this.retryTimers.get(id))
+    this.retryTimers.delete(id)
+    this.waiting = this.waiting.filter(waitingId => waitingId !== id)
+    this.settle(id, { state: 'canceled' })
+    return true
+  }
+
+  /**
+   * Remove settled items from the queue
+   * @param {function(object): boolean} [predicate] - Limits which settled items are removed
+   */
+  clearSettled(predicate = () => true) {
+    for (const [id, item] of this.items) {
+      if (SETTLED_STATES.includes(item.state) && predicate(item)) {
+        this.items.delete(id)
+      }
+    }
+    this.emit()
+  }
+
+  // Start queued uploads while there is room
+  next() {
+    while (this.running.size < this.concurrency && this.waiting.length > 0) {
+      this.start(this.waiting.shift())
+    }
+  }
+
+  async start(id) {
+    const item = this.items.get(id)
+    this.running.add(id)
+    this.update(id, { state: 'running', attempts: item.attempts + 1, bytesTransferred: 0, error: null })
+
+    try {
+      const result = await this.runUpload(item, ({ bytesTransferred, state }) => {
+        if (this.items.get(id).state === 'canceled') {
+          // Canceled before the upload task existed, so abort now that it does
+          this.abortUpload(item)
+          return
+        }
+        if (state === 'running' || state === 'paused') {
+          this.update(id, { bytesTransferred, state })
+        }
+      })
+      this.running.delete(id)
+      this.settle(id, { state: 'success', bytesTransferred: item.totalBytes, result })
+    } catch (error) {
+      this.running.delete(id)
+      const current = this.items.get(id)
+
+      if (current.state === 'canceled' || error.code === 'storage/canceled') {
+        this.settle(id, { state: 'canceled' })
+      } else if (error.code === 'file/duplicate') {
+        // The content is already in the bucket, so there is nothing to upload or retry
+        this.settle(id, { state: 'duplicate', error: error.message })
+      } else if (this.isTransient(error) && current.attempts <= this.maxRetries) {
+        this.scheduleRetry(id, error)
+      } else {
+        this.settle(id, { state: 'error', error: error.message })
+      }
+    }
+
+    this.next()
+  }
+
+  scheduleRetry(id, error) {
+    const { attempts } = this.items.get(id)
+    const delay = Math.min(this.retryDelayMs * 2 ** (attempts - 1), UPLOAD_QUEUE.MAX_RETRY_DELAY_MS)
+    Logger.warn(`Upload ${id} failed (attempt ${attempts}), retrying in ${delay}ms:`, error)
+
+    this.update(id, { state: 'retrying', error: error.message })
+    this.retryTimers.set(id, setTimeout(() => {
+      this.retryTimers.delete(id)
+      this.update(id, { state: 'queued' })
+      this.waiting.push(id)
+      this.next()
+    }, delay))
+  }
+
+  whenSettled(id) {
+    return new Promise(resolve => {
+      const callbacks = this.settleCallbacks.get(id) || []
+      callbacks.push(resolve)
+      this.settleCallbacks.set(id, callbacks)
+    })
+  }
+
+  settle(id, changes) {
+    this.update(id, changes)
+    const callbacks = this.settleCallbacks.get(id) || []
+    this.settleCallbacks.delete(id)
+    callbacks.forEach(resolve => resolve(this.items.get(id)))
+  }
+
+  // Items are replaced rather than mutated so listeners can compare snapshots
+  update(id, changes) {
+    const item = this.items.get(id)
+    if (!item) return
+    this.items.set(id, { ...item, ...changes })
+    this.emit()
+  }
+
+  emit() {
+    const items = this.getItems()
+    this.listeners.forEach(listener => listener(items))
+  }
+}
@@ -1,21 +1,69 @@
 // Storage and file constraints
 export const STORAGE_LIMITS = {
-  MAX_TOTAL_STORAGE_MB: 500,
-  BUCKET_EXPIRY_DAYS: 7
+  MAX_TOTAL_STORAGE_MB: 500
 }
 
-// PIN format constants
+// Upload queue settings
+export const UPLOAD_QUEUE = {
+  CONCURRENCY: 3,       // Files uploaded in parallel
+  MAX_RETRIES: 3,       // Automatic retries for transient failures
+  RETRY_DELAY_MS: 1000, // First retry delay, doubled for every further attempt
+  MAX_RETRY_DELAY_MS: 30000
+}
+
+// Bucket lifetime limits (owners pick an expiry at creation and can extend it later)
+// Buckets created before expiresAt existed expire DEFAULT_HOURS after creation
+export const BUCKET_EXPIRY = {
+  MIN_HOURS: 1,
+  MAX_HOURS: 30 * 24,
+  DEFAULT_HOURS: 7 * 24
+}
+
+// Encrypted buckets: the passphrase is combined with the PIN to derive the content key
+export const ENCRYPTION = {
+  MIN_PASSPHRASE_LENGTH: 8
+}
+
+// Bucket passwords, asked for after the PIN (checked against a salted hash in resolveBucketPin)
+export const BUCKET_PASSWORD = {
+  MIN_LENGTH: 8,
+  MAX_LENGTH: 128
+}
+
+// What each collaborator role can do, enforced by firestore.rules and storage.rules. Collaborators
+// added before roles existed count as editors.
+export const COLLABORATOR_ROLES = [
+  { value: 'viewer', name: 'Viewer', description: 'Can view and download files' },
+  { value: 'uploader', name: 'Uploader', description: 'Can also upload files' },
+  { value: 'editor', name: 'Editor', description: 'Can also rename, move and delete files' }
+]
+export const DEFAULT_COLLABORATOR_ROLE = 'editor'
+
+// Deleted files stay in the trash, restorable, for this long before cleanupBuckets purges them
+export const TRASH_RETENTION_DAYS = 7
+
+// Bucket expiry options
+export const BUCKET_EXPIRY_OPTIONS = [
+  { name: '1 hour', hours: 1 },
+  { name: '1 day', hours: 24 },
+  { name: '3 days', hours: 3 * 24 },
+  { name: '7 days', hours: 7 * 24 },
+  { name: '14 days', hours: 14 * 24 },
+  { name: '30 days', hours: 30 * 24 }
+]
+
+// PIN format constants (total length including the 'drop-' prefix)
+// New PINs start at 'drop-XXXX' and the server adds characters as the keyspace fills up
 export const PIN_LENGTH = {
-  NEW: 9,      // Total length for 'drop-XXXX' format
-  LEGACY: 13   // Total length for 'drop-XXXXXXXX' format
+  MIN: 9,      // Total length for 'drop-XXXX' format
+  MAX: 13      // Total length for 'drop-XXXXXXXX' format (also used by legacy PINs)
 }
 
-// Security settings
+// Security settings (PIN attempt thresholds are enforced server-side in resolveBucketPin)
 export const SECURITY = {
-  PIN_ATTEMPTS_BEFORE_CAPTCHA: 3,
-  PIN_ATTEMPTS_BEFORE_TIMEOUT: 10,
-  PIN_TIMEOUT_MINUTES: 60,
-  RECAPTCHA_SITE_KEY: '6LcR0sorAAAAAIOTAy5vW3EBoOY6XGqrQLdpplvE'
+  RECAPTCHA_SITE_KEY: '6LcR0sorAAAAAIOTAy5vW3EBoOY6XGqrQLdpplvE',
+  // Visitors who open a bucket by PIN are signed in as a custom-token user with this UID prefix
+  PIN_SESSION_UID_PREFIX: 'pin-'
 }
 
 // Bucket color options
@@ -41,7 +89,19 @@ export const BUCKET_ICONS = [
 // Firestore collection names
 export const COLLECTIONS = {
   BUCKETS: 'buckets',
-  FILES: 'files'
+  FILES: 'files',
+  USERS: 'users',
+  NOTIFICATIONS: 'notifications',
+  DOWNLOAD_EVENTS: 'downloadEvents',
+  ZIP_EXPORTS: 'zipExports',
+  INVITES: 'invites'
+}
+
+// How a file was downloaded, recorded on each download event
+export const DOWNLOAD_CHANNELS = {
+  SINGLE: 'single',
+  ZIP: 'zip',
+  PREVIEW: 'preview'
 }
 
 // Local storage keys
@@ -1,138 +1,114 @@
+import { getFunctions, httpsCallable } from 'firebase/functions';
+import { hashFile } from './fileHash.js';
 import Logger from './logger.js';
 
 // ----------------------
 // CONFIG
 // ----------------------
-const IV_LENGTH = 12;        // 12 bytes for AES-GCM
-if (!import.meta.env.VITE_ENCRYPTION_SECRET) {
-  throw new Error('VITE_ENCRYPTION_SECRET environment variable is not set. Refusing to use weak default secret.');
-}
-if (!import.meta.env.VITE_HMAC_SECRET) {
-  throw new Error('VITE_HMAC_SECRET environment variable is not set. Refusing to use weak default secret.');
-}
-const ENCRYPTION_SECRET = import.meta.env.VITE_ENCRYPTION_SECRET;
-const HMAC_SECRET = import.meta.env.VITE_HMAC_SECRET;
+// Encrypted buckets: files are encrypted with AES-GCM in the browser before upload and
+// decrypted after download. The keys are derived with PBKDF2 from the bucket's PIN and the
+// owner's passphrase, using the salt and iteration count stored on the bucket. Neither secret
+// nor the keys leave the browser; the bucket only keeps a key check to catch wrong passphrases.
+const CONTENT_IV_BYTES = 12;
+const KEY_CHECK_LABEL = 'dropsto-bucket-key-check';
 
-// Convert string to ArrayBuffer
-function str2ab(str) {
-  const encoder = new TextEncoder();
-  return encoder.encode(str);
-}
-
-// Convert ArrayBuffer to base64
-function ab2base64(buffer) {
-  return btoa(String.fromCharCode(...new Uint8Array(buffer)));
-}
+// ----------------------
+// FUNCTIONS
+// ----------------------
+// PIN encryption and hashing secrets are held by Cloud Functions only.
+// New PINs are sealed by the createBucket function; the browser can only ask
+// the server to reveal PINs for buckets the signed-in user owns.
 
-// Convert base64 to ArrayBuffer
-function base642ab(base64) {
-  const binaryString = atob(base64);
-  const bytes = new Uint8Array(binaryString.length);
-  for (let i = 0; i < binaryString.length; i++) {
-    bytes[i] = binaryString.charCodeAt(i);
+/**
+ * Decrypt the PIN of a bucket owned by the current user
+ * @param {string} bucketId - Bucket ID
+ * @returns {Promise<string|null>} Raw PIN code or null if it could not be revealed
+ */
+async function revealPIN(bucketId) {
+  try {
+    const revealPin = httpsCallable(getFunctions(), 'revealPin');
+    const result = await revealPin({ bucketId });
+    return result.data.pinCode;
+  } catch (err) {
+    Logger.error('Decryption error:', err);
+    return null;
   }
-  return bytes.buffer;
 }
 
-// Generate encryption key from secret
-async function getKey(secret, usage = ['encrypt', 'decrypt']) {
-  const keyMaterial = await crypto.subtle.importKey(
+/**
+ * Derive an encrypted bucket's keys from its PIN and passphrase
+ * @param {string} pinCode - Bucket PIN
+ * @param {string} passphrase - Passphrase chosen by the bucket owner
+ * @param {{salt: string, iterations: number}} encryption - The bucket's encryption settings (base64 salt)
+ * @returns {Promise<{contentKey: CryptoKey, hashKey: CryptoKey}>} AES-GCM key for the contents and
+ *   HMAC key for content hashes
+ */
+async function deriveBucketKeys(pinCode, passphrase, { salt, iterations }) {
+  const material = await crypto.subtle.importKey(
     'raw',
-    str2ab(secret),
-    { name: 'PBKDF2' },
+    new TextEncoder().encode(`${pinCode}\u0000${passphrase}`),
+    'PBKDF2',
     false,
-    ['deriveBits', 'deriveKey']
+    ['deriveBits']
   );
+  const saltBytes = Uint8Array.from(atob(salt), char => char.charCodeAt(0));
+  const bits = new Uint8Array(await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: saltBytes, iterations },
+    material,
+    512
+  ));
 
-  return crypto.subtle.deriveKey(
-    {
-      name: 'PBKDF2',
-      salt: str2ab('salt'),
-      iterations: 100000,
-      hash: 'SHA-256'
-    },
-    keyMaterial,
-    { name: 'AES-GCM', length: 256 },
-    true,
-    usage
-  );
+  const [contentKey, hashKey] = await Promise.all([
+    crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']),
+    crypto.subtle.importKey('raw', bits.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+  ]);
+  return { contentKey, hashKey };
 }
 
-// Generate HMAC key from secret
-async function getHmacKey(secret) {
-  return await crypto.subtle.importKey(
-    'raw',
-    str2ab(secret),
-    { name: 'HMAC', hash: 'SHA-256' },
-    false,
-    ['sign']
-  );
+/**
+ * Compute the key check stored on an encrypted bucket
+ * @param {{hashKey: CryptoKey}} keys - Keys from deriveBucketKeys
+ * @returns {Promise<string>} Hex HMAC of a fixed label
+ */
+async function getKeyCheck({ hashKey }) {
+  return hashFile(new Blob([KEY_CHECK_LABEL]), hashKey);
 }
 
-// ----------------------
-// FUNCTIONS
-// ----------------------
-async function encryptPIN(pin) {
-  try {
-    const key = await getKey(ENCRYPTION_SECRET);
-    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
-    const encrypted = await crypto.subtle.encrypt(
-      {
-        name: 'AES-GCM',
-        iv: iv
-      },
-      key,
-      str2ab(pin)
-    );
-
-    // Combine IV and encrypted data
-    const combined = new Uint8Array([...iv, ...new Uint8Array(encrypted)]);
-    return ab2base64(combined);
-  } catch (err) {
-    Logger.error('Encryption error:', err);
-    return null;
-  }
+/**
+ * Encrypt a file for upload to an encrypted bucket
+ * @param {Blob} blob - File contents
+ * @param {CryptoKey} contentKey - The bucket's AES-GCM key
+ * @returns {Promise<Blob>} Random IV followed by the ciphertext
+ */
+async function encryptBlob(blob, contentKey) {
+  const iv = crypto.getRandomValues(new Uint8Array(CONTENT_IV_BYTES));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, contentKey, await blob.arrayBuffer());
+  return new Blob([iv, ciphertext], { type: 'application/octet-stream' });
 }
 
-async function decryptPIN(encryptedData) {
+/**
+ * Decrypt a file downloaded from an encrypted bucket
+ * @param {Blob} blob - IV and ciphertext, as written by encryptBlob
+ * @param {CryptoKey} contentKey - The bucket's AES-GCM key
+ * @param {string} [type] - MIME type for the decrypted blob
+ * @returns {Promise<Blob>} File contents
+ */
+async function decryptBlob(blob, contentKey, type = '') {
+  const data = await blob.arrayBuffer();
   try {
-    const key = await getKey(ENCRYPTION_SECRET);
-    const data = base642ab(encryptedData);
-    
-    // Split IV and encrypted data
-    const iv = data.slice(0, IV_LENGTH);
-    const ciphertext = data.slice(IV_LENGTH);
-
-    const decrypted = await crypto.subtle.decrypt(
-      {
-        name: 'AES-GCM',
-        iv: new Uint8Array(iv)
-      },
-      key,
-      ciphertext
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: data.slice(0, CONTENT_IV_BYTES) },
+      contentKey,
+      data.slice(CONTENT_IV_BYTES)
     );
-
-    const decoder = new TextDecoder();
-    return decoder.decode(decrypted);
+    return new Blob([plaintext], { type });
   } catch (err) {
+    // AES-GCM fails on a wrong key or on contents changed after encryption
     Logger.error('Decryption error:', err);
-    return null;
-  }
-}
-
-async function hashPIN(pin) {
-  try {
-    const key = await getHmacKey(HMAC_SECRET);
-    const signature = await crypto.subtle.sign(
-      'HMAC',
-      key,
-      str2ab(pin)
-    );
-    return ab2base64(signature);
-  } catch (err) {
-    Logger.error('Hashing error:', err);
-    return null;
+    const decryptError = new Error('The file could not be decrypted. It may be corrupted.');
+    decryptError.code = 'file/decrypt-failed';
+    throw decryptError;
   }
 }
 
-export { encryptPIN, decryptPIN, hashPIN };
\ No newline at end of file
+export { revealPIN, deriveBucketKeys, getKeyCheck, encryptBlob, decryptBlob };
@@ -0,0 +1,40 @@
+// ----------------------
+// CONFIG
+// ----------------------
+// Files are hashed whole with WebCrypto, which has no streaming digest. That keeps
+// the file in memory while hashing, which the 500MB storage limit keeps bounded.
+const HASH_ALGORITHM = 'SHA-256'
+
+// ----------------------
+// FUNCTIONS
+// ----------------------
+
+/**
+ * Compute the SHA-256 of a file or blob
+ * Encrypted buckets pass their hash key, which makes it an HMAC-SHA-256: duplicates in the
+ * bucket are still found, but the stored hash can't be matched against known files.
+ * @param {Blob} blob - File or blob to hash
+ * @param {CryptoKey} [hashKey] - HMAC key of an encrypted bucket
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+export const hashFile = async (blob, hashKey = null) => {
+  const data = await blob.arrayBuffer()
+  const digest = hashKey
+    ? await crypto.subtle.sign('HMAC', hashKey, data)
+    : await crypto.subtle.digest(HASH_ALGORITHM, data)
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('')
+}
+
+/**
+ * Check a downloaded blob against the hash recorded when it was uploaded
+ * @param {Blob} blob - Downloaded content (decrypted, for encrypted files)
+ * @param {string} expectedHash - Hex SHA-256 (or HMAC) recorded on the file
+ * @param {CryptoKey} [hashKey] - HMAC key of an encrypted bucket
+ * @returns {Promise<boolean>} True if the content matches (or no hash was recorded)
+ */
+export const verifyFileHash = async (blob, expectedHash, hashKey = null) => {
+  if (!expectedHash) return true
+  return (await hashFile(blob, hashKey)) === expectedHash
+}
@@ -0,0 +1,150 @@
+// Files record their folder in `path`: '' for the bucket root, otherwise folder names joined
+// with '/' (e.g. 'photos/2024'). Folders only exist through the files inside them.
+
+/**
+ * Clean up a folder path: drop empty, '.' and '..' segments and surrounding slashes
+ * @param {string} path - Folder path
+ * @returns {string} Normalized folder path ('' for the root)
+ */
+export const normalizeFolderPath = (path) => {
+  if (!path) return ''
+  return path
+    .split('/')
+    .map(segment => segment.trim())
+    .filter(segment => segment && segment !== '.' && segment !== '..')
+    .join('/')
+}
+
+/**
+ * Join folder paths
+ * @param {...string} paths - Folder paths
+ * @returns {string} Normalized folder path
+ */
+export const joinFolderPath = (...paths) => {
+  return normalizeFolderPath(paths.filter(Boolean).join('/'))
+}
+
+/**
+ * Get the folder part of a relative file path (e.g. a File's webkitRelativePath)
+ * @param {string} relativePath - Path including the file name
+ * @returns {string} Folder path
+ */
+export const getFolderFromRelativePath = (relativePath) => {
+  if (!relativePath) return ''
+  return normalizeFolderPath(relativePath.split('/').slice(0, -1).join('/'))
+}
+
+/**
+ * Split a folder path into breadcrumbs
+ * @param {string} path - Folder path
+ * @returns {Array<{name: string, path: string}>} One entry per folder, outermost first
+ */
+export const getBreadcrumbs = (path) => {
+  const segments = normalizeFolderPath(path).split('/').filter(Boolean)
+  return segments.map((name, index) => ({
+    name,
+    path: segments.slice(0, index + 1).join('/')
+  }))
+}
+
+/**
+ * Get what a folder directly contains
+ * @param {Array<FileModel>} files - Every file in the bucket
+ * @param {string} folderPath - Folder to list ('' for the root)
+ * @returns {{folders: Array<{name: string, path: string, fileCount: number, size: number}>, files: Array<FileModel>}}
+ */
+export const getFolderContents = (files, folderPath) => {
+  const current = normalizeFolderPath(folderPath)
+  const prefix = current ? `${current}/` : ''
+  const folders = new Map()
+  const directFiles = []
+
+  files.forEach(file => {
+    const path = normalizeFolderPath(file.path)
+    if (path === current) {
+      directFiles.push(file)
+      return
+    }
+    if (!path.startsWith(prefix)) return
+
+    const name = path.slice(prefix.length).split('/')[0]
+    const folder = folders.get(name) || { name, path: prefix + name, fileCount: 0, size: 0 }
+    folder.fileCount++
+    folder.size += file.size
+    folders.set(name, folder)
+  })
+
+  return {
+    folders: Array.from(folders.values()).sort((a, b) => a.name.localeCompare(b.name)),
+    files: directFiles
+  }
+}
+
+/**
+ * Pair files picked with a file input with their folder
+ * Folder pickers (webkitdirectory) set webkitRelativePath; plain file pickers leave it empty
+ * @param {FileList|Array<File>} fileList - Selected files
+ * @param {string} [targetFolder] - Folder the files are being added to
+ * @returns {Array<{file: File, path: string}>} Upload entries
+ */
+export const getSelectedFiles = (fileList, targetFolder = '') => {
+  return Array.from(fileList).map(file => ({
+    file,
+    path: joinFolderPath(targetFolder, getFolderFromRelativePath(file.webkitRelativePath))
+  }))
+}
+
+/**
+ * Read a FileSystemDirectoryReader to the end (readEntries returns entries in batches)
+ * @param {FileSystemDirectoryReader} reader
+ * @returns {Promise<Array<FileSystemEntry>>}
+ */
+const readAllEntries = async (reader) => {
+  const entries = []
+  let batch
+  do {
+    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+    entries.push(...batch)
+  } while (batch.length > 0)
+  return entries
+}
+
+/**
+ * Collect the files under a dropped file system entry
+ * @param {FileSystemEntry} entry - Dropped file or folder
+ * @param {string} folderPath - Folder the entry sits in
+ * @param {Array<object>} results - Upload entries are pushed here
+ */
+const collectEntry = async (entry, folderPath, results) => {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject))
+    results.push({ file, path: folderPath })
+  } else if (entry.isDirectory) {
+    const childPath = joinFolderPath(folderPath, entry.name)
+    const children = await readAllEntries(entry.createReader())
+    await Promise.all(children.map(child => collectEntry(child, childPath, results)))
+  }
+}
+
+/**
+ * Get the files from a drop, walking into any dropped folders
+ * Must be called from the drop handler itself: the browser empties dataTransfer once it returns
+ * @param {DataTransfer} dataTransfer - The drop event's dataTransfer
+ * @param {string} [targetFolder] - Folder the files are being dropped into
+ * @returns {Promise<Array<{file: File, path: string}>>} Upload entries
+ */
+export const getDroppedFiles = async (dataTransfer, targetFolder = '') => {
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean)
+
+  // Browsers without the entries API only hand over the top-level files
+  if (entries.length === 0) {
+    return getSelectedFiles(dataTransfer.files || [], targetFolder)
+  }
+
+  const results = []
+  await Promise.all(entries.map(entry => collectEntry(entry, normalizeFolderPath(targetFolder), results)))
+  return results
+}
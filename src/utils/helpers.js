@@ -1,17 +1,4 @@
-import { STORAGE_LIMITS } from './constants.js'
-
-/**
- * Generate a unique PIN code for bucket access
- * @returns {string} PIN code in format "drop-XXXX"
- */
-export const generatePinCode = () => {
-  const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789'
-  let result = 'drop-'
-  for (let i = 0; i < 4; i++) {
-    result += characters.charAt(Math.floor(Math.random() * characters.length))
-  }
-  return result
-}
+import { BUCKET_EXPIRY } from './constants.js'
 
 /**
  * Format file size in human readable format
@@ -45,49 +32,59 @@ export const parseSizeToBytes = (sizeString) => {
 }
 
 /**
- * Calculate days until bucket expiration
- * @param {string} createdAt - ISO timestamp of bucket creation
- * @returns {number} Days remaining (0 if expired)
+ * Get the exact expiration date for a bucket
+ * Buckets without an expiresAt fall back to the default lifetime from their creation date
+ * @param {object} bucket - Bucket with expiresAt and/or createdAt ISO timestamps
+ * @returns {Date} Expiration date
  */
-export const getDaysUntilExpiration = (createdAt) => {
-  const createdDate = new Date(createdAt)
-  const currentDate = new Date()
-  const expirationDate = new Date(
-    createdDate.getTime() + (STORAGE_LIMITS.BUCKET_EXPIRY_DAYS * 24 * 60 * 60 * 1000)
+export const getBucketExpirationDate = (bucket) => {
+  if (bucket.expiresAt) {
+    return new Date(bucket.expiresAt)
+  }
+  const createdDate = new Date(bucket.createdAt)
+  return new Date(
+    createdDate.getTime() + (BUCKET_EXPIRY.DEFAULT_HOURS * 60 * 60 * 1000)
   )
-  const timeLeft = expirationDate.getTime() - currentDate.getTime()
-  const daysLeft = Math.ceil(timeLeft / (24 * 60 * 60 * 1000))
-  return Math.max(0, daysLeft)
 }
 
 /**
- * Check if a bucket has expired
- * @param {string} createdAt - ISO timestamp of bucket creation
- * @returns {boolean} True if bucket has expired
+ * Calculate time until bucket expiration
+ * @param {object} bucket - Bucket with expiresAt and/or createdAt ISO timestamps
+ * @returns {number} Milliseconds remaining (0 if expired)
  */
-export const isBucketExpired = (createdAt) => {
-  return getDaysUntilExpiration(createdAt) === 0
+export const getTimeUntilExpiration = (bucket) => {
+  const timeLeft = getBucketExpirationDate(bucket).getTime() - Date.now()
+  return Math.max(0, timeLeft)
 }
 
 /**
- * Get the exact expiration date for a bucket
- * @param {string} createdAt - ISO timestamp of bucket creation
- * @returns {Date} Expiration date
+ * Calculate days until bucket expiration
+ * @param {object} bucket - Bucket with expiresAt and/or createdAt ISO timestamps
+ * @returns {number} Days remaining, rounded up (0 if expired)
  */
-export const getBucketExpirationDate = (createdAt) => {
-  const createdDate = new Date(createdAt)
-  return new Date(
-    createdDate.getTime() + (STORAGE_LIMITS.BUCKET_EXPIRY_DAYS * 24 * 60 * 60 * 1000)
-  )
+export const getDaysUntilExpiration = (bucket) => {
+  return Math.ceil(getTimeUntilExpiration(bucket) / (24 * 60 * 60 * 1000))
+}
+
+/**
+ * Check if a bucket has expired
+ * @param {object} bucket - Bucket with expiresAt and/or createdAt ISO timestamps
+ * @returns {boolean} True if bucket has expired
+ */
+export const isBucketExpired = (bucket) => {
+  return getTimeUntilExpiration(bucket) === 0
 }
 
 /**
  * Get expiration status with styling information
- * @param {number} daysLeft - Days until expiration
+ * @param {number} timeLeft - Milliseconds until expiration
  * @returns {object} Status object with text and color
  */
-export const getExpirationStatus = (daysLeft) => {
-  if (daysLeft === 0) return { text: 'Expired', color: 'text-red-600 bg-red-100' }
+export const getExpirationStatus = (timeLeft) => {
+  const hoursLeft = Math.ceil(timeLeft / (60 * 60 * 1000))
+  const daysLeft = Math.ceil(timeLeft / (24 * 60 * 60 * 1000))
+  if (timeLeft <= 0) return { text: 'Expired', color: 'text-red-600 bg-red-100' }
+  if (hoursLeft < 24) return { text: `${hoursLeft} hour${hoursLeft === 1 ? '' : 's'} left`, color: 'text-red-600 bg-red-100' }
   if (daysLeft === 1) return { text: '1 day left', color: 'text-red-600 bg-red-100' }
   if (daysLeft <= 2) return { text: `${daysLeft} days left`, color: 'text-orange-600 bg-orange-100' }
   if (daysLeft <= 4) return { text: `${daysLeft} days left`, color: 'text-yellow-600 bg-yellow-100' }
@@ -155,15 +152,12 @@ export const calculateTotalStorage = (files) => {
 }
 
 /**
- * Check if a bucket should be auto-deleted (7+ days old)
- * @param {string} createdAt - ISO timestamp of bucket creation
+ * Check if a bucket should be auto-deleted (past its expiresAt, or the default lifetime for older buckets)
+ * @param {object} bucket - Bucket with expiresAt and/or createdAt ISO timestamps
  * @returns {boolean} True if bucket should be auto-deleted
  */
-export const shouldAutoDeleteBucket = (createdAt) => {
-  const createdDate = new Date(createdAt)
-  const now = new Date()
-  const daysDiff = Math.floor((now - createdDate) / (1000 * 60 * 60 * 24))
-  return daysDiff >= 7
+export const shouldAutoDeleteBucket = (bucket) => {
+  return isBucketExpired(bucket)
 }
 
 /**
@@ -0,0 +1,103 @@
+import Logger from './logger.js'
+
+// ----------------------
+// CONFIG
+// ----------------------
+// Uploads in progress are kept in IndexedDB (Blobs are structured-cloneable), together with
+// their Storage upload session, so an upload interrupted by a reload or closed tab can continue
+const DB_NAME = 'dropsto-uploads'
+const DB_VERSION = 1
+const STORE_NAME = 'uploads'
+
+let dbPromise = null
+
+/**
+ * Open (and create on first use) the upload database
+ * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB is unavailable
+ */
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve(null)
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' })
+        store.createIndex('bucketId', 'bucketId')
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        // Private browsing modes can refuse IndexedDB; uploads still work, they just can't be resumed
+        Logger.warn('Upload store unavailable:', request.error)
+        resolve(null)
+      }
+    })
+  }
+  return dbPromise
+}
+
+/**
+ * Run a request against the upload store
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {function(IDBObjectStore): IDBRequest} operation - Builds the request
+ * @param {*} fallback - Returned when IndexedDB is unavailable or the request fails
+ * @returns {Promise<*>} Request result
+ */
+const withStore = async (mode, operation, fallback) => {
+  const db = await openDatabase()
+  if (!db) return fallback
+
+  return new Promise((resolve) => {
+    const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME))
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => {
+      Logger.warn('Upload store request failed:', request.error)
+      resolve(fallback)
+    }
+  })
+}
+
+// ----------------------
+// FUNCTIONS
+// ----------------------
+
+/**
+ * Save an upload so it can continue after a reload (saving it again replaces the earlier record)
+ * If the browser's storage quota can't fit the contents nothing is saved, and the upload can't outlive the page.
+ * @param {object} upload - { id, bucketId, userId, path, file, contentHash, encrypted, storagePath, contents, sessionUrl, createdAt }
+ * @returns {Promise<void>}
+ */
+export const saveUpload = async (upload) => {
+  await withStore('readwrite', store => store.put(upload))
+}
+
+/**
+ * Get a saved upload
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<object|null>} Saved upload, if any
+ */
+export const getSavedUpload = async (uploadId) => {
+  return (await withStore('readonly', store => store.get(uploadId), null)) || null
+}
+
+/**
+ * Get the saved (unfinished) uploads for a bucket
+ * @param {string} bucketId - Bucket ID
+ * @returns {Promise<Array<object>>} Saved uploads, oldest first
+ */
+export const getSavedUploads = async (bucketId) => {
+  const uploads = await withStore('readonly', store => store.index('bucketId').getAll(bucketId), [])
+  return uploads.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+}
+
+/**
+ * Remove a saved upload once it has finished or been cancelled
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<void>}
+ */
+export const removeSavedUpload = async (uploadId) => {
+  await withStore('readwrite', store => store.delete(uploadId))
+}